@@ -0,0 +1,237 @@
+// js/CityGenerator.js
+import { Config } from './Config.js';
+import { RoadNetwork } from './RoadNetwork.js';
+import { Utils } from './Utils.js';
+
+// Builds RoadNetwork graphs for synthetic cities. Every layout is reproducible from its seed.
+// Layout options come from Config.cityLayout; missing values fall back to the road settings in Config.
+export class CityGenerator {
+    constructor(layout = {}) {
+        this.layout = layout;
+        this.random = Utils.createSeededRandom(layout.seed ?? 1);
+        this.blockLength = layout.blockLength ?? Config.roadLength; // Road length between junction squares
+        this.junctionSize = Config.junctionSize;
+        this.spacing = this.blockLength + this.junctionSize; // Junction centre to junction centre
+        this.stubLength = layout.stubLength ?? this.blockLength * 0.5; // Dead-end arms leaving the city edge
+    }
+
+    static generate(layout = Config.cityLayout || {}) {
+        const generator = new CityGenerator(layout);
+        switch (layout.type) {
+            case 'grid': return generator.createGrid();
+            case 'arterial': return generator.createArterials();
+            case 'irregular': return generator.createIrregular();
+            case 'corridor':
+            case undefined:
+                return generator.createCorridor();
+            default:
+                console.warn(`CityGenerator: unknown layout type '${layout.type}', using corridor.`);
+                return generator.createCorridor();
+        }
+    }
+
+    randomRange(min, max) {
+        return min + (max - min) * this.random();
+    }
+
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    // Dead-end arm leaving a junction in the given (unit) direction
+    addStub(network, node, dirX, dirZ, options = {}) {
+        const reach = this.junctionSize / 2 + this.stubLength;
+        const end = network.addNode({ x: node.position.x + dirX * reach, z: node.position.z + dirZ * reach });
+        return network.addEdge(node.id, end.id, options);
+    }
+
+    // The original single East-West strip: numJunctions four-way crossings with North and South arms.
+    createCorridor() {
+        const network = new RoadNetwork();
+        const roadLength = this.blockLength;
+        const junctionSize = this.junctionSize;
+        const numJunctions = this.layout.junctions ?? Config.numJunctions;
+        const totalLengthOverall = (numJunctions + 1) * roadLength + numJunctions * junctionSize;
+
+        let previous = network.addNode({ x: -totalLengthOverall / 2, z: 0 }); // Far west dead end
+        for (let i = 0; i < numJunctions; i++) {
+            const junctionX = -totalLengthOverall / 2 + (i + 1) * roadLength + i * junctionSize + junctionSize / 2;
+            const junction = network.addNode({ x: junctionX, z: 0, signalized: true, size: junctionSize });
+            network.addEdge(previous.id, junction.id);
+
+            const armReach = junctionSize / 2 + roadLength;
+            const south = network.addNode({ x: junctionX, z: -armReach });
+            const north = network.addNode({ x: junctionX, z: armReach });
+            network.addEdge(south.id, junction.id);
+            network.addEdge(junction.id, north.id);
+            previous = junction;
+        }
+        const east = network.addNode({ x: totalLengthOverall / 2, z: 0 }); // Far east dead end
+        network.addEdge(previous.id, east.id);
+        return network.finalize();
+    }
+
+    // Manhattan-style grid of junctionsX x junctionsZ signalised crossings with dead-end arms around the edge.
+    createGrid() {
+        const network = new RoadNetwork();
+        const countX = Math.max(1, this.layout.junctionsX ?? 4);
+        const countZ = Math.max(1, this.layout.junctionsZ ?? 3);
+        const nodes = [];
+
+        for (let i = 0; i < countX; i++) {
+            nodes.push([]);
+            for (let j = 0; j < countZ; j++) {
+                nodes[i].push(network.addNode({
+                    x: (i - (countX - 1) / 2) * this.spacing,
+                    z: (j - (countZ - 1) / 2) * this.spacing,
+                    signalized: true,
+                    size: this.junctionSize
+                }));
+            }
+        }
+        for (let i = 0; i < countX; i++) {
+            for (let j = 0; j < countZ; j++) {
+                if (i + 1 < countX) network.addEdge(nodes[i][j].id, nodes[i + 1][j].id);
+                if (j + 1 < countZ) network.addEdge(nodes[i][j].id, nodes[i][j + 1].id);
+                if (i === 0) this.addStub(network, nodes[i][j], -1, 0);
+                if (i === countX - 1) this.addStub(network, nodes[i][j], 1, 0);
+                if (j === 0) this.addStub(network, nodes[i][j], 0, -1);
+                if (j === countZ - 1) this.addStub(network, nodes[i][j], 0, 1);
+            }
+        }
+        return network.finalize();
+    }
+
+    // Parallel East-West arterials (wider, multi-lane) crossed by irregularly spaced North-South side streets.
+    createArterials() {
+        const network = new RoadNetwork();
+        const arterialCount = Math.max(1, this.layout.arterials ?? 2);
+        const sideStreetCount = Math.max(1, this.layout.sideStreets ?? 5);
+        const arterialLanes = this.layout.arterialLanes ?? 2; // Lanes per direction
+        const arterialSpacing = this.layout.arterialSpacing ?? this.spacing * 2;
+        const sideStreetsOneWay = this.layout.sideStreetsOneWay ?? false;
+        const arterialOptions = { lanesForward: arterialLanes, lanesBackward: arterialLanes, speedLimit: (Config.defaultSpeedLimit ?? 14) * 1.3 };
+
+        // Side street positions: evenly spread with a seeded jitter so blocks are not all the same length
+        const sideStreetXs = [];
+        for (let i = 0; i < sideStreetCount; i++) {
+            const jitter = (i > 0 && i < sideStreetCount - 1) ? this.randomRange(-0.25, 0.25) * this.spacing : 0;
+            sideStreetXs.push((i - (sideStreetCount - 1) / 2) * this.spacing + jitter);
+        }
+        const arterialZs = [];
+        for (let k = 0; k < arterialCount; k++) arterialZs.push((k - (arterialCount - 1) / 2) * arterialSpacing);
+
+        const nodes = sideStreetXs.map(x => arterialZs.map(z => network.addNode({ x, z, signalized: true })));
+
+        arterialZs.forEach((z, k) => {
+            const first = nodes[0][k];
+            const last = nodes[sideStreetCount - 1][k];
+            this.addStub(network, first, -1, 0, arterialOptions);
+            for (let i = 0; i + 1 < sideStreetCount; i++) network.addEdge(nodes[i][k].id, nodes[i + 1][k].id, arterialOptions);
+            this.addStub(network, last, 1, 0, arterialOptions);
+        });
+
+        sideStreetXs.forEach((x, i) => {
+            // Alternate one-way directions (northbound, southbound) when requested
+            const northbound = i % 2 === 0;
+            const link = (a, b) => {
+                if (!sideStreetsOneWay) return network.addEdge(a.id, b.id);
+                return northbound ? network.addEdge(a.id, b.id, { lanesForward: 1, lanesBackward: 0 })
+                                  : network.addEdge(b.id, a.id, { lanesForward: 1, lanesBackward: 0 });
+            };
+            const reach = this.junctionSize / 2 + this.stubLength;
+            const south = network.addNode({ x, z: arterialZs[0] - reach });
+            const north = network.addNode({ x, z: arterialZs[arterialCount - 1] + reach });
+            link(south, nodes[i][0]);
+            for (let k = 0; k + 1 < arterialCount; k++) link(nodes[i][k], nodes[i][k + 1]);
+            link(nodes[i][arterialCount - 1], north);
+        });
+        return network.finalize();
+    }
+
+    // Jittered grid with some links removed and a few diagonals added, keeping the network connected.
+    createIrregular() {
+        const network = new RoadNetwork();
+        const countX = Math.max(2, this.layout.junctionsX ?? 5);
+        const countZ = Math.max(2, this.layout.junctionsZ ?? 4);
+        const jitter = (this.layout.jitter ?? 0.2) * this.spacing;
+        const removeFraction = this.layout.removeFraction ?? 0.2;
+        const diagonalFraction = this.layout.diagonalFraction ?? 0.1;
+        const stubFraction = this.layout.stubFraction ?? 0.5;
+        const nodes = [];
+
+        for (let i = 0; i < countX; i++) {
+            nodes.push([]);
+            for (let j = 0; j < countZ; j++) {
+                nodes[i].push(network.addNode({
+                    x: (i - (countX - 1) / 2) * this.spacing + this.randomRange(-jitter, jitter),
+                    z: (j - (countZ - 1) / 2) * this.spacing + this.randomRange(-jitter, jitter)
+                }));
+            }
+        }
+
+        // Candidate links, then drop a share of them as long as the grid stays connected
+        const links = [];
+        for (let i = 0; i < countX; i++) {
+            for (let j = 0; j < countZ; j++) {
+                if (i + 1 < countX) links.push([nodes[i][j], nodes[i + 1][j]]);
+                if (j + 1 < countZ) links.push([nodes[i][j], nodes[i][j + 1]]);
+            }
+        }
+        let toRemove = Math.floor(links.length * removeFraction);
+        const kept = new Set(links);
+        this.shuffle([...links]).forEach(link => {
+            if (toRemove <= 0) return;
+            kept.delete(link);
+            if (this.isConnected(nodes.flat(), kept)) toRemove--;
+            else kept.add(link);
+        });
+        links.filter(link => kept.has(link)).forEach(([a, b]) => network.addEdge(a.id, b.id));
+
+        // Diagonals cut through blocks, at most one per block so they never cross each other
+        for (let i = 0; i + 1 < countX; i++) {
+            for (let j = 0; j + 1 < countZ; j++) {
+                if (this.random() >= diagonalFraction) continue;
+                if (this.random() < 0.5) network.addEdge(nodes[i][j].id, nodes[i + 1][j + 1].id);
+                else network.addEdge(nodes[i + 1][j].id, nodes[i][j + 1].id);
+            }
+        }
+
+        // Dead-end arms on part of the perimeter; always at least one on the West and East sides
+        for (let i = 0; i < countX; i++) {
+            for (let j = 0; j < countZ; j++) {
+                const guaranteed = j === Math.floor(countZ / 2);
+                if (i === 0 && (guaranteed || this.random() < stubFraction)) this.addStub(network, nodes[i][j], -1, 0);
+                if (i === countX - 1 && (guaranteed || this.random() < stubFraction)) this.addStub(network, nodes[i][j], 1, 0);
+                if (j === 0 && this.random() < stubFraction) this.addStub(network, nodes[i][j], 0, -1);
+                if (j === countZ - 1 && this.random() < stubFraction) this.addStub(network, nodes[i][j], 0, 1);
+            }
+        }
+
+        // Only real crossings (three or more legs) get signals
+        nodes.flat().forEach(node => {
+            node.signalized = network.getEdgesAt(node.id).length >= 3;
+        });
+        return network.finalize();
+    }
+
+    isConnected(nodeList, links) {
+        const neighbours = new Map(nodeList.map(n => [n.id, []]));
+        links.forEach(([a, b]) => {
+            neighbours.get(a.id).push(b.id);
+            neighbours.get(b.id).push(a.id);
+        });
+        const visited = new Set([nodeList[0].id]);
+        const queue = [nodeList[0].id];
+        while (queue.length > 0) {
+            neighbours.get(queue.shift()).forEach(id => {
+                if (!visited.has(id)) { visited.add(id); queue.push(id); }
+            });
+        }
+        return visited.size === nodeList.length;
+    }
+}
@@ -24,10 +24,36 @@ export const Config = {
     numJunctions: 3,
     footpathWidth: 2.0,
     footpathHeightOffset: 0.05, // How much footpath surface is above roadSurfaceY
+    driveOnLeft: true,          // Vehicles keep to the left of the centre line (set false for right-hand traffic)
+    defaultSpeedLimit: 14,      // Units per second, used for road network edges without an explicit limit
+
+    // Street layout generated by CityGenerator. type: 'corridor' (single E-W strip of numJunctions crossings),
+    // 'grid' (junctionsX x junctionsZ), 'arterial' (arterials x sideStreets, optional sideStreetsOneWay)
+    // or 'irregular' (jittered grid with jitter/removeFraction/diagonalFraction/stubFraction). Same seed = same city.
+    cityLayout: {
+        type: 'corridor',
+        seed: 1,
+        junctionsX: 4,
+        junctionsZ: 3,
+        arterials: 2,
+        sideStreets: 5
+    },
+
+    // Where the road network comes from: 'generated' uses cityLayout above, 'geojson', 'osm' and 'sumo' load a
+    // local file, e.g. { type: 'osm', url: 'data/sample_neighbourhood.osm' } or
+    // { type: 'sumo', url: 'data/sample_corridor.net.xml' }. Optional options are passed to the loader
+    // (origin: { lat, lon }, scale, mergeDistance, signalSnapDistance). SUMO tlLogic programs replace the default cycle.
+    roadNetworkSource: { type: 'generated' },
+    importScale: 1,               // Scene units per metre for imported networks
+    importMergeDistance: 3,       // Imported nodes closer than this are merged into one
+    importSignalSnapDistance: 25, // Signals tagged on an approach this close to a junction control that junction
+    importIncludeService: false,  // Include highway=service ways (car parks, driveways) when importing
+    fcdExportEnabled: true,       // Record vehicle trajectories as SUMO FCD XML (press F to download)
+    fcdExportPeriod: 1,           // Seconds between recorded FCD timesteps
 
     // Building Placement (New/Adjusted)
-    cityBlocksX: 6,               // Number of "blocks" along X axis for city generation
-    cityBlocksZ: 5,               // Number of "blocks" along Z axis
+    cityBlocksX: 6,               // Minimum number of "blocks" along X axis (grows to cover the road network)
+    cityBlocksZ: 5,               // Minimum number of "blocks" along Z axis
     blockSpacing: 45,             // Spacing between block centers (reduced for density)
     buildingsPerBlockAttempt: 6,  // How many times to try placing a building in a block
     maxBuildingsPerBlock: 1,      // Max successful building placements per block
@@ -36,23 +62,128 @@ export const Config = {
     // Ambulance
     ambulanceSpeed: 0.25,
     ambulanceFadeOutDuration: 2.0, // Added for Ambulance.js
+    ambulanceAcceleration: 3.5,   // Units/s^2
+    ambulanceBraking: 7,          // Units/s^2
+    ambulanceMaxLateralAcceleration: 4.5, // Units/s^2, sets the cornering speed in bends and turns
+    ambulanceJunctionSpeed: 9,    // Units/s while crossing a junction
+    ambulanceWheelbase: 2.4,
+    ambulanceMaxSteeringAngle: 0.6, // Radians at the front wheels
+    vehiclePhysicsStep: 1 / 120,  // Seconds per emergency vehicle physics step (motion does not depend on the frame rate)
+    obstacleSensingDistance: 35,  // How far ahead emergency vehicles look for vehicles and pedestrians in their lane
+    obstacleStopGap: 2,           // Gap kept to the vehicle or pedestrian in front
+    overtakingEnabled: true,      // Pass slow or stopped traffic in the opposing lane when it is clear
+    overtakeTriggerDistance: 15,  // Start considering an overtake this close behind the obstacle
+    overtakeClearDistance: 30,    // Opposing lane must be free this far beyond the obstacle (and no junction in between)
+    overtakeLateralSpeed: 2.5,    // Units/s sideways when changing into or out of the opposing lane
+    hornDistance: 12,             // Sound the horn at traffic in the way this close ahead
+    hornInterval: 3,              // Seconds between horn blasts
     sirenDetectionRadius: 60,   // Increased: How far a reflector can 'hear' the siren
     ambulancePreemptionRadius: 150, // New: Distance from junction center to start preempting traffic lights
+    preemptionTrigger: 'eta',     // 'radius' (as soon as within ambulancePreemptionRadius) or 'eta' (within it, just in time for the arrival)
+    preemptionLeadTime: 2,        // 'eta': seconds of green the approach gets before the ambulance reaches the stop line
+    preemptionQueueStartupTime: 2, // 'eta': seconds before a queue stopped at the light starts moving
+    preemptionQueueHeadway: 2,    // 'eta': seconds per queued car to drive off
+    preemptionArbitration: 'firstCome', // Two units of one class requesting one junction from conflicting approaches: 'firstCome', 'priority' or 'eta'
+    emergencyPriorityClasses: { fire: 3, ambulance: 2, police: 1 }, // A higher class always wins a contested junction
+    preemptionCommitDistance: 10,  // A unit this close to the junction keeps its green even if another one outranks it
+    preemptionMinGreen: 4,         // Seconds a conflicting green runs at least before preemption ends it
+    preemptionYellowTime: 2,       // Yellow of a conflicting approach on preemption entry
+    preemptionAllRedTime: 1.5,     // All-red clearance before the emergency approach turns green (and after its green, on exit)
+    preemptionRecovery: 'shortWay', // Back to the plan after preemption: 'interrupted', 'longestWait', 'shortWay' or 'longWay' (see JunctionController.startRecovery)
+    resyncMaxShorten: 0.2,        // 'shortWay': a green may be shortened by at most this fraction per cycle (never below preemptionMinGreen)
+    resyncMaxLengthen: 0.3,       // 'shortWay' / 'longWay': a green may be lengthened by at most this fraction per cycle
     ambulanceModelFile: 'assets/models/ambulance.glb',
     sirenAudioFile: 'assets/audio/ambulance_siren.mp3',
-    ambulanceLaneOffsetZ: -1.75, // z-offset for ambulance path from center of the road
+    ambulanceLaneIndex: 0,      // Lane the ambulance drives in (0 = lane next to the centre line)
     ambulanceScaleFactor: 0.05, // Example scale for your GLB model
     ambulanceModelYAdjust: 4.85, // Fine-tune Y offset for ambulance model base after scaling (original value was 4.85, check if this is better)
 
+    // Fire engines and police cars (no model file = placeholder geometry; siren files default to sirenAudioFile)
+    fireEngineSpeed: 0.2,
+    fireEngineModelFile: null,
+    policeCarSpeed: 0.3,
+    policeCarModelFile: null,
+
+    // Incidents and dispatch (DispatchCenter). Locations are node ids or { x, z } positions; a station without
+    // a location sits at the westernmost dead end, a hospital without one at the easternmost dead end.
+    // Station type: 'ambulance', 'fire' or 'police'.
+    emergencyStations: [{ name: 'Station 1', type: 'ambulance', location: null, units: 1 }],
+    hospitals: [{ name: 'City Hospital', location: null }],
+    // Which unit type answers each incident type; random incidents pick a type by weight (types nobody can answer are skipped)
+    incidentTypes: {
+        medical: { unitType: 'ambulance', transport: true, weight: 3 },
+        fire: { unitType: 'fire', transport: false, weight: 1, dwellTime: 20 },
+        crime: { unitType: 'police', transport: false, weight: 1, dwellTime: 8 }
+    },
+    incidentMode: 'random',       // 'random' (random spot on the network every incidentInterval) or 'scripted'
+    incidentInterval: 45,         // Seconds between random incidents
+    firstIncidentTime: 2,         // Seconds until the first random incident
+    incidentScript: [],           // Scripted incidents: [{ time: 5, location: 'J1', type: 'fire', priority: 2 }, { time: 60, location: { x: 40, z: 0 } }]
+    sceneDwellTime: 12,           // Seconds the crew spends on scene (incident types may set their own dwellTime)
+    hospitalHandoverTime: 8,      // Seconds at the hospital before returning to the station
+    dispatchRetryInterval: 5,     // Seconds a waiting incident that found no free unit waits before looking again
+
+    // Route planning (Router)
+    routeAlgorithm: 'astar',      // 'astar' or 'dijkstra' (same routes, A* explores fewer edges)
+    routeSignalDelay: 6,          // Expected seconds lost crossing a signalised junction
+    routeTurnPenalty: 4,          // Seconds added for turning across oncoming traffic (half for kerb-side turns)
+    routeLaneChangeDistance: 15,  // Length of a lane change before a turn
+    routeTurnSegments: 6,         // Waypoints per turn curve through a junction
+    routeCurveResolution: 0.5,    // Arc-length table step of the smoothed route curve (Catmull-Rom through the waypoints)
+    routePathSpacing: 1,          // Spacing of the points the emergency vehicles follow along that curve
+    rerouteEnabled: true,         // Re-plan the ambulance route around queues and red lights while driving
+    rerouteInterval: 2,           // Seconds between route re-evaluations
+    rerouteMinTimeSaving: 5,      // Only switch when the alternative is at least this many seconds faster
+    rerouteDelayPerQueuedCar: 1.5, // Seconds lost per stopped car on an edge
+    rerouteRedLightDelay: 8,      // Seconds lost at a red light that is not preempted (half for yellow)
+    rerouteMinDistanceToJunction: 15, // No reroutes closer than this to the next junction (lanes are already chosen)
+
     // Traffic Light
-    trafficLightGreenDuration: 8000,
+    signalPlansUrl: 'data/signal_plans.json', // Signal plans per junction (see JunctionController); null = default plan everywhere
+    trafficLightGreenDuration: 8000, // Greens of the built-in plan, until adaptive timing has measured the demand
     trafficLightYellowDuration: 2000,
     trafficLightRedDuration: 10000, // Not directly used in cycle, but for reference
     trafficLightSize: { width: 0.5, height: 1.5, depth: 0.3 },
     lightRadius: 0.15,
 
+    signalControl: 'fixed',       // 'fixed' (plan durations) or 'actuated' (detector loops; a plan's own control setting wins)
+    actuatedMinGreen: 5,          // Seconds every actuated green runs (phases may set minGreen)
+    actuatedPassageTime: 2.5,     // Gap between vehicles over the loop that ends an actuated green (gap-out)
+    detectorSetback: 0,           // Distance of the detector loop behind the stop line
+    detectorLength: 8,            // Length of the detector loop along the approach
+    permissiveTurnGap: 25,        // On a flashing yellow arrow, turn only with no moving oncoming car this close to the junction
+
+    // Signal faults (JunctionController.setFault; press X to step the junction nearest the followed unit through them)
+    flashingRedStopTime: 1.5,     // Seconds a car stops at a flashing red (all-way stop) before going on
+    faultRestartAllRedTime: 3,    // All-red after a flashing or dark fault before the plan restarts
+    signalFaults: [],             // Scheduled: [{ junction: node id, mode, at: s, duration: s (null = stays), approach, state }]
+    // Pedestrian signals (one per junction leg) and countdown displays
+    pedestrianWalkSpeed: 1.5,     // Units per second: the clearance (flashing don't-walk) is the road width at this speed
+    pedestrianClearanceTime: null, // Seconds, for every crossing; null = from the walk speed
+    pedestrianWalkTime: 4,        // Seconds of walk at the start of an actuated green, which is held through walk and clearance
+    // Conflict monitor on every junction (see ConflictMonitor): a violation puts the junction into flashing red
+    conflictMonitor: {
+        minYellow: 2,             // Seconds; shorter yellows are violations
+        minAllRed: 0.5,           // Seconds a conflicting movement must have been red before a green
+        failSafe: true            // false: only record violations, the junction runs on
+    },
+
+    // Adaptive timing (SignalOptimizer): every interval seconds the cycle length and green splits of each junction
+    // are recomputed by Webster's method from the demand its detector loops and queues saw. mode 'apply' runs the
+    // new plans from the next cycle, 'advise' only computes them, 'off'. Press P to compare current and computed.
+    // saturationFlow in vehicles per second per lane; greens, cycles and the interval in seconds.
+    adaptiveTiming: { mode: 'apply', interval: 60, saturationFlow: 0.5, startupLostTime: 2, minGreen: 5, minCycle: 20, maxCycle: 90, smoothing: 0.5, turnShare: 0.25 },
+
+    // Green waves (CorridorCoordinator): junctions along a straight road share one cycle, offset so a vehicle at
+    // designSpeed (units per second) meets green after green. cycleLength null = the corridor's longest plan cycle;
+    // corridors null = found automatically, or lists of node ids, e.g. [['n1', 'n4', 'n7']]
+    coordination: { enabled: true, designSpeed: 10, cycleLength: null, corridors: null },
+    timeSpaceWindow: 120,         // Seconds shown by the time-space diagram (press T)
+
     // Smart Reflector
     reflectorSpacing: 6,
+    reflectorLateralOffset: 0,    // Units from the centre line towards the kerb of the inbound lane
+    reflectorSegments: {},        // Per road segment (edge id) over the two above: { e3: { spacing: 4, lateralOffset: 1.5 }, e7: { enabled: false } }
     reflectorDetectionChainRadius: 4.0, // For one reflector to detect another if ambulance is between them
     reflectorSignalDuration: 1500,
 
@@ -66,6 +197,11 @@ export const Config = {
     carStopDistanceToJunction: 8, // How far before junction cars stop for red/yellow
     carDetectionDistanceToJunction: 25, // How far cars look ahead for traffic lights
 
+    numberOfBuses: 2,
+    transitSignalPriority: true,  // Buses near a green ask for it to be extended (never forced like emergency preemption)
+    tspDetectionDistance: 40,     // Bus distance to the junction at which it requests an extension
+    tspMaxGreenExtension: 8,      // Seconds a green may be extended per phase
+
     // Procedural Pedestrians
     numberOfPedestrians: 15,
 
@@ -80,6 +216,8 @@ export const Config = {
         yellowLightOff: 0x444400,
         greenLightOn: 0x00ff00,
         greenLightOff: 0x004400,
+        pedestrianWalk: 0xeeeeff, // Walking figure of the pedestrian signals
+        pedestrianDontWalk: 0xff6600, // Hand of the pedestrian signals
         reflector: 0xAAAAAA, // Color of reflector LEDs when 'off' or standby
         reflectorEmissiveOff: 0x111100, // Emissive color for reflector LEDs when 'off'
         reflectorSignal: 0x00ffff, // Color of reflector LEDs when signaling (e.g., cyan)
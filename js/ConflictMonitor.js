@@ -0,0 +1,123 @@
+// js/ConflictMonitor.js
+import { Config } from './Config.js';
+import { MovementConflicts } from './MovementConflicts.js';
+import { TrafficLight } from './TrafficLight.js';
+
+const LIGHT_STATE = TrafficLight.LIGHT_STATE;
+const GO_STATES = [LIGHT_STATE.GREEN, LIGHT_STATE.YELLOW, LIGHT_STATE.FLASHING_YELLOW]; // Traffic may be in the junction
+const RED_STATES = [LIGHT_STATE.RED, LIGHT_STATE.FLASHING_RED, LIGHT_STATE.OFF];
+const FRAME_TOLERANCE = 0.05; // Seconds: phases change on the first update past their time, measured up to a (capped) frame short
+
+// Conflict monitor for one junction, like the malfunction management unit of a signal cabinet. It watches every
+// state change of the junction's lights and checks what each movement (approach to exit) is shown against four rules:
+//   'conflictingGreens': two conflicting movements may go at once (green, yellow or flashing yellow)
+//   'missingYellow':     a movement went from green or flashing yellow straight to red
+//   'shortYellow':       a yellow lasted less than minYellow
+//   'noAllRed':          a movement turned green before every movement conflicting with it had been red for minAllRed
+// Which movements conflict follows from the junction's geometry (see MovementConflicts): paths that cross or end in
+// the same exit, except a far-side turn against the oncoming traffic while it is permissive (green ball or flashing
+// yellow arrow: it gives way); on a green arrow, and the yellow arrow after it, it is protected and conflicts.
+// A violation is recorded in events and, unless failSafe is off, puts the junction into flashing red (an all-way
+// stop) until the fault is cleared. Changes are checked at the next junction update, once the junction has finished
+// switching, at the junction clock time they were made; a flashing or dark junction is not checked.
+export class ConflictMonitor {
+    constructor(junction, options = Config.conflictMonitor ?? {}) {
+        this.junction = junction;
+        this.minYellow = options.minYellow ?? 2; // Seconds
+        this.minAllRed = options.minAllRed ?? 0.5; // Seconds
+        this.failSafe = options.failSafe ?? true; // false: only record violations
+        this.movements = this.buildMovements(); // { approach, exit, turn, arrow, from, to, state, since, isProtected }
+        this.isDirty = true; // A light has changed since the last check
+        this.isWatching = false; // Until the first check: it only reads the states (start-up, or the restart after a fault)
+        this.hasRestarted = false; // Reading the states after a fault: they were set just now
+        this.checks = 0; // Checks of changed lights
+        this.events = []; // Violations: { time, junctionId, type, movements, detail }
+        junction.trafficLights.forEach(light => { light.onStateChange = (changed) => this.onLightChange(changed); });
+        const pairs = this.movements.reduce((sum, a, i) => sum + this.movements.slice(i + 1).filter(b => this.crosses(a, b)).length, 0);
+        console.log(`Junction ${junction.id}: conflict monitor watching ${this.movements.length} movements (${pairs} crossing pairs).`);
+    }
+
+    // Every movement through the junction but U-turns, with the arrow head it follows
+    buildMovements() {
+        const junction = this.junction;
+        return junction.approaches.flatMap(approach => MovementConflicts.getLegMovements(junction.network, approach).map(movement => ({
+            ...movement, approach, arrow: junction.getMovementArrow(approach, movement.exit), state: null, since: -Infinity
+        })));
+    }
+
+    crosses(a, b) {
+        return MovementConflicts.crosses(a, b);
+    }
+
+    isConflict(a, b) {
+        return MovementConflicts.isConflict(this.junction.network, a, b);
+    }
+
+    // Every change as it is made: a yellow arrow is protected if a green arrow came right before it (not a flashing one),
+    // even when both changes fall in one update
+    onLightChange(light) {
+        this.isDirty = true;
+        this.movements.filter(movement => movement.approach.light === light).forEach(movement => {
+            const arrowState = light.getArrowState(movement.arrow);
+            movement.isProtected = arrowState === LIGHT_STATE.GREEN || (arrowState === LIGHT_STATE.YELLOW && movement.isProtected);
+        });
+    }
+
+    // Called at the start of every junction update: checks the lights if any has changed
+    check() {
+        if (!this.isDirty) return;
+        this.isDirty = false;
+        const junction = this.junction;
+        if (junction.fault && junction.fault.mode !== 'stuckLamp') {
+            this.isWatching = false;
+            this.hasRestarted = true;
+            return;
+        }
+        const now = junction.clock;
+        const changes = [];
+        this.movements.forEach(movement => {
+            const state = movement.approach.light.getStateFor(movement.arrow);
+            if (state === movement.state) return;
+            changes.push({ movement, previous: movement.state, previousSince: movement.since });
+            movement.state = state;
+            movement.since = this.isWatching || this.hasRestarted ? now : -Infinity;
+        });
+        if (!this.isWatching) {
+            this.isWatching = true;
+            this.hasRestarted = false;
+            return;
+        }
+        this.checks++;
+
+        const violations = [];
+        changes.forEach(({ movement, previous, previousSince }) => {
+            const state = movement.state;
+            if ((previous === LIGHT_STATE.GREEN || previous === LIGHT_STATE.FLASHING_YELLOW) && RED_STATES.includes(state)) {
+                violations.push({ type: 'missingYellow', movements: [movement], detail: `${previous} to ${state}` });
+            } else if (previous === LIGHT_STATE.YELLOW && RED_STATES.includes(state) && now - previousSince < this.minYellow - FRAME_TOLERANCE) {
+                violations.push({ type: 'shortYellow', movements: [movement], detail: `yellow for ${(now - previousSince).toFixed(2)} s` });
+            }
+            if (RED_STATES.includes(previous) && (state === LIGHT_STATE.GREEN || state === LIGHT_STATE.FLASHING_YELLOW)) {
+                const early = this.movements.filter(other => RED_STATES.includes(other.state) && now - other.since < this.minAllRed - FRAME_TOLERANCE && this.isConflict(movement, other));
+                if (early.length > 0) violations.push({ type: 'noAllRed', movements: [movement, ...early], detail: `all-red for ${Math.min(...early.map(o => now - o.since)).toFixed(2)} s` });
+            }
+        });
+        const changed = new Set(changes.map(change => change.movement));
+        const going = this.movements.filter(movement => GO_STATES.includes(movement.state));
+        going.forEach((a, i) => going.slice(i + 1).forEach(b => {
+            if ((changed.has(a) || changed.has(b)) && this.isConflict(a, b)) violations.push({ type: 'conflictingGreens', movements: [a, b], detail: null });
+        }));
+        if (violations.length === 0) return;
+
+        violations.forEach(violation => {
+            const event = { time: now, junctionId: junction.id, type: violation.type, movements: violation.movements.map(m => this.describe(m)), detail: violation.detail };
+            this.events.push(event);
+            console.warn(`Junction ${junction.id}: conflict monitor: ${event.type}, ${event.movements.join(' / ')}` + (event.detail ? ` (${event.detail}).` : '.'));
+        });
+        if (this.failSafe) junction.setFault('flashingRed', { cause: `conflict monitor: ${violations.map(v => v.type).join(', ')}` });
+    }
+
+    describe(movement) {
+        return `${movement.approach.compass} ${movement.turn} on ${movement.approach.light.id} ${movement.arrow} ${movement.state}`;
+    }
+}
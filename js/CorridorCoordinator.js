@@ -0,0 +1,159 @@
+// js/CorridorCoordinator.js
+import { Config } from './Config.js';
+import { RoadNetwork } from './RoadNetwork.js';
+import { TrafficLight } from './TrafficLight.js';
+
+const OPPOSITE = { east: 'west', west: 'east', north: 'south', south: 'north' };
+
+// Green waves: runs the signalised junctions along a straight road on one common cycle length, each with an
+// offset so that its green for traffic along the corridor starts when a vehicle at the design speed arrives from
+// the previous junction. Corridors are found automatically (chains of signalised junctions joined by straight
+// continuations, running east or north, longest first, each junction in one corridor) or listed in
+// Config.coordination.corridors as node ids. Plans are stretched or squeezed to the common cycle by scaling
+// their green phases; yellows and all-reds keep their time.
+export class CorridorCoordinator {
+    constructor(network, junctionsByNodeId, options = Config.coordination ?? {}) {
+        this.network = network;
+        this.junctionsByNodeId = junctionsByNodeId;
+        this.designSpeed = options.designSpeed ?? 10; // Units per second
+        this.cycleLength = options.cycleLength ?? null; // Seconds; null = the longest plan cycle of the corridor
+        this.corridorNodeIds = options.corridors ?? null;
+        // Corridors: { id, direction, cycleLength, designSpeed, length, points: [{ position, distance }],
+        //              stops: [{ junction, distance, approach, greenStart, greenDuration, offset }] }
+        this.corridors = [];
+    }
+
+    coordinate() {
+        const candidates = this.corridorNodeIds ? this.corridorNodeIds.map(ids => this.buildListedCorridor(ids)) : this.findCorridors();
+        candidates.filter(Boolean).forEach(candidate => {
+            const corridor = this.coordinateCorridor(candidate, this.corridors.length + 1);
+            if (corridor) this.corridors.push(corridor);
+        });
+        return this.corridors;
+    }
+
+    // Every chain of two or more signalised junctions along straight roads, running east or north
+    findCorridors() {
+        const chains = [];
+        this.junctionsByNodeId.forEach((junction, nodeId) => {
+            ['east', 'north'].forEach(direction => {
+                if (this.walk(nodeId, OPPOSITE[direction]).stops.length > 1) return; // Not the first junction of its chain
+                const chain = this.walk(nodeId, direction);
+                if (chain.stops.length > 1) chains.push({ ...chain, direction });
+            });
+        });
+        chains.sort((a, b) => b.stops.length - a.stops.length || b.length - a.length);
+        const claimed = new Set();
+        return chains.filter(chain => {
+            if (chain.stops.some(stop => claimed.has(stop.junction))) return false;
+            chain.stops.forEach(stop => claimed.add(stop.junction));
+            return true;
+        });
+    }
+
+    // Follows the road leaving nodeId in a compass direction straight on, collecting the signalised junctions
+    walk(nodeId, direction) {
+        const network = this.network;
+        const start = network.getNode(nodeId);
+        const points = [{ position: start.position.clone(), distance: 0 }];
+        const stops = [{ junction: this.junctionsByNodeId.get(nodeId), distance: 0, approachEdge: null }];
+        let step = network.getOutgoing(nodeId)
+            .find(o => RoadNetwork.compassFromVector(network.getTravelDirection(o.edge, o.travelDir)) === direction) ?? null;
+        const visited = new Set([nodeId]);
+        let distance = 0;
+        while (step) {
+            const end = network.getEndNode(step.edge, step.travelDir);
+            if (visited.has(end.id)) break;
+            visited.add(end.id);
+            distance += step.edge.length;
+            points.push({ position: end.position.clone(), distance });
+            const junction = this.junctionsByNodeId.get(end.id);
+            if (junction) stops.push({ junction, distance, approachEdge: step.edge });
+            step = network.getStraightContinuation(step.edge, step.travelDir);
+        }
+        const length = stops[stops.length - 1].distance;
+        return { stops, points: points.filter(p => p.distance <= length), length };
+    }
+
+    // A corridor given as node ids, measured junction centre to junction centre
+    buildListedCorridor(nodeIds) {
+        const stops = [];
+        const points = [];
+        let distance = 0;
+        nodeIds.forEach((nodeId, i) => {
+            const junction = this.junctionsByNodeId.get(nodeId);
+            if (!junction) {
+                console.warn(`CorridorCoordinator: node ${nodeId} is not a signalised junction, left out of its corridor.`);
+                return;
+            }
+            if (stops.length > 0) distance += junction.center.distanceTo(stops[stops.length - 1].junction.center);
+            const previous = stops[stops.length - 1]?.junction;
+            const approachEdge = previous
+                ? junction.approaches.find(a => this.network.getOtherNode(a.edge, junction.nodeId).id === previous.nodeId)?.edge ?? null
+                : null;
+            stops.push({ junction, distance, approachEdge });
+            points.push({ position: junction.center.clone(), distance });
+        });
+        if (stops.length < 2) return null;
+        const direction = RoadNetwork.compassFromVector(stops[1].junction.center.clone().sub(stops[0].junction.center));
+        return { stops, points, length: distance, direction };
+    }
+
+    coordinateCorridor(candidate, id) {
+        const cycleLength = this.cycleLength ?? Math.max(...candidate.stops.map(stop => stop.junction.getCycleLength()));
+        const stops = [];
+        candidate.stops.forEach(stop => {
+            const junction = stop.junction;
+            // The corridor approach: along the walked edge, or for the first junction the leg traffic comes from
+            const approach = junction.approaches.find(a => stop.approachEdge ? a.edge === stop.approachEdge : a.compass === OPPOSITE[candidate.direction]);
+            const phases = approach ? this.scalePhases(junction, cycleLength) : null;
+            const timing = phases ? this.getStopTiming(junction, approach, stop.distance, phases, cycleLength) : null;
+            if (!timing) {
+                console.warn(`CorridorCoordinator: junction ${junction.id} cannot be coordinated in corridor ${id} (no green for the corridor in a ${cycleLength.toFixed(0)} s cycle).`);
+                return;
+            }
+            junction.setPlan({ ...junction.plan, name: `${junction.plan.name} (corridor ${id})`, offset: timing.offset, phases });
+            stops.push({ junction, distance: stop.distance, approach, ...timing });
+        });
+        if (stops.length < 2) return null;
+        console.log(`CorridorCoordinator: corridor ${id} (${candidate.direction}) through ${stops.map(s => s.junction.nodeId).join(', ')}: ` +
+            `cycle ${cycleLength.toFixed(0)} s, design speed ${this.designSpeed}, offsets ${stops.map(s => s.offset.toFixed(1)).join(' / ')} s.`);
+        return {
+            id, direction: candidate.direction, cycleLength, designSpeed: this.designSpeed,
+            length: candidate.length, points: candidate.points, stops
+        };
+    }
+
+    // Start and length of the corridor green in the phases, and the offset that starts it as the band arrives
+    getStopTiming(junction, approach, distance, phases, cycleLength) {
+        const greenIndex = phases.findIndex(p => junction.getMovementState(p, approach) === TrafficLight.LIGHT_STATE.GREEN);
+        if (greenIndex === -1) return null;
+        const greenStart = phases.slice(0, greenIndex).reduce((sum, p) => sum + p.duration, 0);
+        const arrival = distance / this.designSpeed;
+        const offset = (((arrival - greenStart) % cycleLength) + cycleLength) % cycleLength;
+        return { greenStart, greenDuration: phases[greenIndex].duration, offset };
+    }
+
+    // New timing for a coordinated corridor (adaptive control): phasesOf(junction) gives each junction's phases,
+    // all lasting cycleLength. Updates the corridor and returns the offset of each junction.
+    retime(corridor, cycleLength, phasesOf) {
+        corridor.cycleLength = cycleLength;
+        const offsets = new Map();
+        corridor.stops.forEach(stop => {
+            const timing = this.getStopTiming(stop.junction, stop.approach, stop.distance, phasesOf(stop.junction), cycleLength);
+            if (!timing) return;
+            Object.assign(stop, timing);
+            offsets.set(stop.junction, timing.offset);
+        });
+        return offsets;
+    }
+
+    // The junction's phases with the greens scaled so that the cycle lasts cycleLength (null if it cannot)
+    scalePhases(junction, cycleLength) {
+        const fixed = junction.phases.filter(p => !junction.phaseHasGreen(p)).reduce((sum, p) => sum + p.duration, 0);
+        const green = junction.getCycleLength() - fixed;
+        if (green <= 0 || cycleLength <= fixed) return null;
+        const factor = (cycleLength - fixed) / green;
+        return junction.phases.map(p => junction.phaseHasGreen(p) ? { ...p, duration: p.duration * factor } : p);
+    }
+}
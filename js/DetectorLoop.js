@@ -0,0 +1,34 @@
+// js/DetectorLoop.js
+import { Config } from './Config.js';
+
+// Virtual inductive loop in the inbound lanes of one junction approach, just behind the stop line. Detects
+// ProceduralCars over it and keeps what an actuated controller asks of a real loop: presence, the gap since
+// the last vehicle, a count of actuations and a call (demand) latched while the approach is not green.
+export class DetectorLoop {
+    constructor(id, approach, junctionSize, setback = Config.detectorSetback ?? 0, length = Config.detectorLength ?? 8) {
+        this.id = id;
+        this.approach = approach; // { edge, travelDir } towards the junction
+        this.from = Math.max(junctionSize / 2, Config.carStopDistanceToJunction ?? 8) + setback; // Distance of the loop from the junction centre
+        this.to = this.from + length;
+        this.isOccupied = false;
+        this.gapTime = Infinity; // Seconds since a vehicle was last over the loop
+        this.occupiedTime = 0; // Seconds the current vehicle (or queue) has been over it
+        this.count = 0; // Vehicles detected (rising edges)
+        this.hasCall = false; // A vehicle arrived while the approach was not green
+    }
+
+    update(cars, deltaTime, isGreen) {
+        const margin = 2; // About half a car length: a car is over the loop when any part of it is
+        const occupied = cars.some(car => car.edge === this.approach.edge && car.travelDir === this.approach.travelDir &&
+            car.getDistanceToEndNode() > this.from - margin && car.getDistanceToEndNode() < this.to + margin);
+        if (occupied && !this.isOccupied) this.count++;
+        this.isOccupied = occupied;
+        this.occupiedTime = occupied ? this.occupiedTime + deltaTime : 0;
+        this.gapTime = occupied ? 0 : this.gapTime + deltaTime;
+        if (occupied && !isGreen) this.hasCall = true;
+    }
+
+    clearCall() {
+        this.hasCall = false;
+    }
+}
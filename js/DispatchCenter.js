@@ -0,0 +1,391 @@
+// js/DispatchCenter.js
+import * as THREE from 'three';
+import { Config } from './Config.js';
+import { Ambulance } from './Ambulance.js';
+import { FireEngine } from './FireEngine.js';
+import { PoliceCar } from './PoliceCar.js';
+import { Router } from './Router.js';
+
+const UNIT_STATE = {
+    AVAILABLE: 'available', TO_SCENE: 'toScene', ON_SCENE: 'onScene',
+    TO_HOSPITAL: 'toHospital', AT_HOSPITAL: 'atHospital', RETURNING: 'returning'
+};
+// Vehicle class, id prefix and station colour per unit type (station.type / incidentTypes[...].unitType)
+const UNIT_TYPES = {
+    ambulance: { VehicleClass: Ambulance, prefix: 'A', stationColor: 0x2d6cdf },
+    fire: { VehicleClass: FireEngine, prefix: 'F', stationColor: 0xa51c1c },
+    police: { VehicleClass: PoliceCar, prefix: 'P', stationColor: 0x1a2a6c }
+};
+const UNIT_STATE_LABEL = {
+    available: 'at station', toScene: 'to scene', onScene: 'on scene',
+    toHospital: 'to hospital', atHospital: 'at hospital', returning: 'returning'
+};
+
+// Emergency response loop: incidents appear (randomly or from a script), the nearest free unit of the type
+// the incident needs (by route travel time) drives to the scene with siren and dwells there. Medical calls
+// continue with a transport leg to the nearest hospital and a handover; then the unit returns to its station.
+// Every incident records its timings.
+export class DispatchCenter {
+    constructor(scene, camera, road) {
+        this.scene = scene;
+        this.camera = camera;
+        this.road = road;
+        this.network = road.network;
+        this.router = new Router(this.network);
+        this.stations = [];
+        this.hospitals = [];
+        this.units = []; // EmergencyVehicles, with dispatch fields (station, dispatchState, incident, stateTimer)
+        this.incidents = []; // Open incidents
+        this.completedIncidents = [];
+        this.nextIncidentId = 1;
+        this.currentTime = 0;
+        this.nextRandomIncidentTime = Config.firstIncidentTime ?? 2;
+        this.script = [...(Config.incidentScript || [])].sort((a, b) => a.time - b.time);
+
+        this.setupPlaces();
+        this.setupUnits();
+    }
+
+    setupPlaces() {
+        const { west, east } = this.road.getDefaultRouteEnds();
+        const stations = Config.emergencyStations?.length ? Config.emergencyStations : [{ type: 'ambulance', location: null, units: 1 }];
+        stations.forEach((station, i) => {
+            const point = this.road.resolveRoutePoint(station.location, west);
+            if (!point) return;
+            const type = UNIT_TYPES[station.type] ? station.type : 'ambulance';
+            const place = { id: i, type, name: station.name || `Station ${i + 1}`, units: station.units ?? 1, ...this.getRoadsidePlace(point) };
+            place.marker = this.createMarker(place, 'station');
+            this.stations.push(place);
+        });
+        const hospitals = Config.hospitals?.length ? Config.hospitals : [{ location: null }];
+        hospitals.forEach((hospital, i) => {
+            const point = this.road.resolveRoutePoint(hospital.location, east);
+            if (!point) return;
+            const place = { id: i, name: hospital.name || `Hospital ${i + 1}`, ...this.getRoadsidePlace(point) };
+            place.marker = this.createMarker(place, 'hospital');
+            this.hospitals.push(place);
+        });
+    }
+
+    setupUnits() {
+        this.stations.forEach(station => {
+            const { VehicleClass, prefix } = UNIT_TYPES[station.type];
+            for (let k = 0; k < station.units; k++) {
+                const unit = new VehicleClass(this.scene, this.camera, [station.parking]);
+                unit.id = `${prefix}${this.units.filter(u => u.type === unit.type).length + 1}`;
+                unit.station = station;
+                unit.dispatchState = UNIT_STATE.AVAILABLE;
+                unit.incident = null;
+                unit.stateTimer = 0;
+                unit.legStartedAt = -Infinity;
+                unit.onPathComplete = (arrived) => this.handleArrival(arrived);
+                unit.park(station.parking, station.direction);
+                this.units.push(unit);
+            }
+        });
+        console.log(`DispatchCenter: ${this.units.length} units at ${this.stations.length} stations, ${this.hospitals.length} hospitals.`);
+    }
+
+    // Road position of a place: point on the centreline for routing, a kerbside parking spot and a
+    // spot beside the road for the marker
+    getRoadsidePlace(point) {
+        const nearest = this.network.nearestEdgePoint(point);
+        if (!nearest) return { point, parking: point.clone(), roadside: point.clone(), direction: new THREE.Vector3(1, 0, 0) };
+        const { edge, s } = nearest;
+        const travelDir = this.network.getLaneCount(edge, 1) > 0 ? 1 : -1;
+        const along = travelDir > 0 ? s : edge.length - s;
+        const kerbLane = Math.max(0, this.network.getLaneCount(edge, travelDir) - 1);
+        const parking = this.network.getPointOnEdge(edge, travelDir, along, this.network.getLaneOffset(edge, travelDir, kerbLane))
+            .setY(this.road.roadSurfaceY + 0.2);
+        const roadside = this.network.getPointOnEdge(edge, travelDir, along,
+            edge.width / 2 + (Config.footpathWidth || 1.5) + 4).setY(this.road.roadSurfaceY);
+        return { point: nearest.point.clone(), parking, roadside, direction: this.network.getTravelDirection(edge, travelDir) };
+    }
+
+    createMarker(place, type) {
+        const group = new THREE.Group();
+        if (type === 'incident') {
+            const cone = new THREE.Mesh(new THREE.ConeGeometry(0.8, 2.2, 12),
+                new THREE.MeshStandardMaterial({ color: 0xff3300, emissive: 0x661100 }));
+            cone.position.y = 1.1;
+            group.add(cone);
+        } else {
+            const isHospital = type === 'hospital';
+            const size = isHospital ? { w: 10, h: 6, d: 8 } : { w: 7, h: 3.5, d: 6 };
+            const body = new THREE.Mesh(new THREE.BoxGeometry(size.w, size.h, size.d),
+                new THREE.MeshStandardMaterial({ color: isHospital ? 0xf4f4f4 : UNIT_TYPES[place.type].stationColor, roughness: 0.8 }));
+            body.position.y = size.h / 2;
+            body.castShadow = true;
+            group.add(body);
+            if (isHospital || place.type === 'ambulance') { // Red cross on the roof
+                const crossMaterial = new THREE.MeshStandardMaterial({ color: 0xdd1111, emissive: 0x330000 });
+                [[3, 0.2, 1], [1, 0.2, 3]].forEach(([w, h, d]) => {
+                    const bar = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), crossMaterial);
+                    bar.position.y = size.h + 0.1;
+                    group.add(bar);
+                });
+            }
+        }
+        group.position.copy(place.roadside ?? place.point);
+        this.scene.add(group);
+        return group;
+    }
+
+    update(time, deltaTime) {
+        this.currentTime = time;
+        this.spawnIncidents(time);
+
+        this.units.forEach(unit => {
+            if (unit.dispatchState !== UNIT_STATE.ON_SCENE && unit.dispatchState !== UNIT_STATE.AT_HOSPITAL) return;
+            unit.stateTimer -= deltaTime;
+            if (unit.stateTimer > 0) return;
+            if (unit.dispatchState !== UNIT_STATE.ON_SCENE) this.startReturn(unit);
+            else if (unit.incident.transport) this.startTransport(unit, time);
+            else this.leaveScene(unit, time);
+        });
+
+        this.incidents.filter(incident => incident.state === 'waiting' && time >= incident.nextDispatchAttempt)
+            .forEach(incident => this.assignUnit(incident, time));
+    }
+
+    spawnIncidents(time) {
+        if ((Config.incidentMode ?? 'random') === 'random') {
+            if (time >= this.nextRandomIncidentTime) {
+                this.nextRandomIncidentTime = time + (Config.incidentInterval ?? 45);
+                const location = this.getRandomRoadPoint();
+                const type = this.getRandomIncidentType();
+                if (location && type) this.createIncident(location, time, THREE.MathUtils.randInt(1, 3), type);
+            }
+            return;
+        }
+        while (this.script.length > 0 && this.script[0].time <= time) {
+            const entry = this.script.shift();
+            const location = this.road.resolveRoutePoint(entry.location, null);
+            if (location) this.createIncident(location, time, entry.priority ?? 1, entry.type ?? 'medical');
+            else console.warn('DispatchCenter: scripted incident without a valid location skipped.', entry);
+        }
+    }
+
+    // Weighted pick among the incident types some station can respond to
+    getRandomIncidentType() {
+        const types = Object.entries(this.getIncidentTypes())
+            .filter(([, t]) => this.units.some(u => u.type === t.unitType) && (t.weight ?? 1) > 0);
+        let pick = Math.random() * types.reduce((sum, [, t]) => sum + (t.weight ?? 1), 0);
+        return (types.find(([, t]) => (pick -= t.weight ?? 1) <= 0) || types[types.length - 1])?.[0] ?? null;
+    }
+
+    getIncidentTypes() {
+        return Config.incidentTypes ?? { medical: { unitType: 'ambulance', transport: true, weight: 1 } };
+    }
+
+    // Random point on the road network, long roads being proportionally more likely
+    getRandomRoadPoint() {
+        const edges = [...this.network.edges.values()];
+        const totalLength = edges.reduce((sum, e) => sum + e.length, 0);
+        let pick = Math.random() * totalLength;
+        const edge = edges.find(e => (pick -= e.length) <= 0) || edges[edges.length - 1];
+        if (!edge) return null;
+        const start = this.network.getNode(edge.from).size / 2;
+        const end = edge.length - this.network.getNode(edge.to).size / 2;
+        if (end <= start) return this.network.getNode(edge.from).position.clone();
+        return this.network.getPointOnEdge(edge, 1, THREE.MathUtils.randFloat(start, end));
+    }
+
+    createIncident(location, time = this.currentTime, priority = 1, type = 'medical') {
+        const incidentType = this.getIncidentTypes()[type];
+        if (!incidentType) {
+            console.warn(`DispatchCenter: unknown incident type '${type}'.`);
+            return null;
+        }
+        const incident = {
+            id: this.nextIncidentId++,
+            type,
+            unitType: incidentType.unitType,
+            transport: !!incidentType.transport, // Patient goes to hospital after the scene
+            dwellTime: incidentType.dwellTime ?? Config.sceneDwellTime ?? 12,
+            priority, // Severity; the unit sent takes it as its junction arbitration priority
+            ...this.getRoadsidePlace(location),
+            state: 'waiting', // waiting -> assigned -> onScene -> transporting -> closed
+            unit: null,
+            hospital: null,
+            createdAt: time,
+            dispatchedAt: null,
+            nextDispatchAttempt: time, // While waiting: when to look for a unit again (see assignUnit)
+            sceneArrivalAt: null,
+            sceneDepartureAt: null,
+            hospitalArrivalAt: null,
+            trafficDelay: 0 // Seconds the unit lost to traffic on the way to the scene and to hospital
+        };
+        incident.marker = this.createMarker(incident, 'incident');
+        this.incidents.push(incident);
+        console.log(`DispatchCenter: ${type} incident #${incident.id} (priority ${priority}) at (${incident.point.x.toFixed(0)}, ${incident.point.z.toFixed(0)}).`);
+        return incident;
+    }
+
+    // Where a unit starts a new leg: its current edge and direction when driving, else where it stands
+    getUnitOrigin(unit) {
+        const position = unit.getPosition();
+        if (unit.isMoving() && unit.route) {
+            const nearest = this.network.nearestEdgePoint(position);
+            const step = nearest && unit.route.steps.find(s => s.edge === nearest.edge);
+            if (step) return { edge: step.edge, travelDir: step.travelDir, distance: step.travelDir > 0 ? nearest.s : step.edge.length - nearest.s };
+        }
+        return position.clone();
+    }
+
+    // Sends the free unit of the right type (at its station or returning) with the shortest travel time to the incident.
+    // Without one the incident waits for Config.dispatchRetryInterval, or until a unit frees up (see startReturn).
+    assignUnit(incident, time) {
+        let best = null;
+        this.units.forEach(unit => {
+            if (unit.type !== incident.unitType) return;
+            if (unit.dispatchState !== UNIT_STATE.AVAILABLE && unit.dispatchState !== UNIT_STATE.RETURNING) return;
+            const route = this.road.getAmbulanceRoute(this.getUnitOrigin(unit), incident.point, this.router);
+            if (route && (!best || route.travelTime < best.route.travelTime)) best = { unit, route };
+        });
+        if (!best) {
+            incident.nextDispatchAttempt = time + (Config.dispatchRetryInterval ?? 5);
+            return false;
+        }
+
+        const { unit, route } = best;
+        unit.dispatchState = UNIT_STATE.TO_SCENE;
+        unit.incident = incident;
+        unit.priority = incident.priority;
+        unit.legStartedAt = time;
+        unit.startLeg(route, true);
+        incident.state = 'assigned';
+        incident.unit = unit;
+        incident.dispatchedAt = time;
+        incident.estimatedArrival = time + route.travelTime;
+        console.log(`DispatchCenter: ${unit.id} dispatched to incident #${incident.id}, ETA ${route.travelTime.toFixed(0)} s.`);
+        return true;
+    }
+
+    handleArrival(unit) {
+        const time = this.currentTime;
+        const incident = unit.incident;
+        switch (unit.dispatchState) {
+            case UNIT_STATE.TO_SCENE:
+                unit.dispatchState = UNIT_STATE.ON_SCENE;
+                unit.stateTimer = incident.dwellTime;
+                unit.setEmergency(false);
+                incident.state = 'onScene';
+                incident.sceneArrivalAt = time;
+                incident.trafficDelay = unit.trafficStats.timeLost;
+                console.log(`DispatchCenter: ${unit.id} on scene of incident #${incident.id} after ${(time - incident.createdAt).toFixed(1)} s.`);
+                break;
+            case UNIT_STATE.TO_HOSPITAL:
+                unit.dispatchState = UNIT_STATE.AT_HOSPITAL;
+                unit.stateTimer = Config.hospitalHandoverTime ?? 8;
+                unit.setEmergency(false);
+                incident.hospitalArrivalAt = time;
+                incident.trafficDelay += unit.trafficStats.timeLost;
+                this.closeIncident(incident);
+                break;
+            case UNIT_STATE.RETURNING:
+                unit.dispatchState = UNIT_STATE.AVAILABLE;
+                unit.park(unit.station.parking, unit.station.direction);
+                break;
+        }
+    }
+
+    startTransport(unit, time) {
+        const incident = unit.incident;
+        let best = null;
+        this.hospitals.forEach(hospital => {
+            const route = this.road.getAmbulanceRoute(unit.getPosition().clone(), hospital.point, this.router);
+            if (route && (!best || route.travelTime < best.route.travelTime)) best = { hospital, route };
+        });
+        this.scene.remove(incident.marker);
+        incident.sceneDepartureAt = time;
+        if (!best) {
+            console.warn(`DispatchCenter: no hospital reachable from incident #${incident.id}.`);
+            this.closeIncident(incident);
+            this.startReturn(unit);
+            return;
+        }
+        incident.state = 'transporting';
+        incident.hospital = best.hospital;
+        unit.dispatchState = UNIT_STATE.TO_HOSPITAL;
+        unit.legStartedAt = time;
+        unit.startLeg(best.route, true);
+    }
+
+    // Incidents without transport close when the unit leaves the scene
+    leaveScene(unit, time) {
+        const incident = unit.incident;
+        this.scene.remove(incident.marker);
+        incident.sceneDepartureAt = time;
+        this.closeIncident(incident);
+        this.startReturn(unit);
+    }
+
+    startReturn(unit) {
+        unit.incident = null;
+        unit.priority = 1;
+        this.incidents.forEach(incident => { incident.nextDispatchAttempt = this.currentTime; }); // Free again: waiting incidents retry
+        const route = this.road.getAmbulanceRoute(unit.getPosition().clone(), unit.station.point, this.router);
+        if (!route) { // Already there (or unreachable): park straight away
+            unit.dispatchState = UNIT_STATE.AVAILABLE;
+            unit.park(unit.station.parking, unit.station.direction);
+            return;
+        }
+        unit.dispatchState = UNIT_STATE.RETURNING;
+        unit.startLeg(route, false);
+    }
+
+    closeIncident(incident) {
+        incident.state = 'closed';
+        this.incidents = this.incidents.filter(i => i !== incident);
+        this.completedIncidents.push(incident);
+        const response = incident.sceneArrivalAt - incident.createdAt;
+        const onScene = incident.sceneDepartureAt - incident.sceneArrivalAt;
+        const transport = incident.hospitalArrivalAt !== null
+            ? `, transport ${(incident.hospitalArrivalAt - incident.sceneDepartureAt).toFixed(1)} s to ${incident.hospital.name}` : '';
+        const total = (incident.hospitalArrivalAt ?? incident.sceneDepartureAt) - incident.createdAt;
+        console.log(`DispatchCenter: ${incident.type} incident #${incident.id} closed: response ${response.toFixed(1)} s ` +
+            `(dispatch delay ${(incident.dispatchedAt - incident.createdAt).toFixed(1)} s), on scene ${onScene.toFixed(1)} s` +
+            `${transport}, total ${total.toFixed(1)} s, ${incident.trafficDelay.toFixed(1)} s lost to traffic.`);
+    }
+
+    // Average time per closed incident the units lost to traffic in their way (emergency legs only)
+    getAverageTrafficDelay() {
+        if (this.completedIncidents.length === 0) return null;
+        return this.completedIncidents.reduce((sum, i) => sum + i.trafficDelay, 0) / this.completedIncidents.length;
+    }
+
+    getAverageResponseTime() {
+        if (this.completedIncidents.length === 0) return null;
+        return this.completedIncidents.reduce((sum, i) => sum + (i.sceneArrivalAt - i.createdAt), 0) / this.completedIncidents.length;
+    }
+
+    // Unit the camera should follow: the one that most recently started an emergency leg
+    getFocusUnit() {
+        return this.units
+            .filter(u => u.isEmergency && u.isMoving())
+            .sort((a, b) => b.legStartedAt - a.legStartedAt)[0] || null;
+    }
+
+    getStatusText() {
+        const parts = this.incidents.map(incident => {
+            if (!incident.unit) return `#${incident.id} ${incident.type} waiting`;
+            const unit = incident.unit;
+            let text = `#${incident.id} ${unit.id} ${UNIT_STATE_LABEL[unit.dispatchState]}`;
+            if (unit.dispatchState === UNIT_STATE.TO_SCENE) {
+                text += ` (ETA ${Math.max(0, incident.estimatedArrival - this.currentTime).toFixed(0)} s)`;
+            }
+            return text;
+        });
+        const average = this.getAverageResponseTime();
+        parts.push(`${this.completedIncidents.length} closed` + (average !== null
+            ? `, avg response ${average.toFixed(1)} s, ${this.getAverageTrafficDelay().toFixed(1)} s lost to traffic` : ''));
+        const free = this.units.filter(u => u.dispatchState === UNIT_STATE.AVAILABLE).length;
+        parts.push(`${free}/${this.units.length} units at station`);
+        return parts.join(' | ');
+    }
+
+    static get UNIT_STATE() {
+        return UNIT_STATE;
+    }
+}
@@ -0,0 +1,741 @@
+// js/EmergencyVehicle.js
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { Config } from './Config.js';
+
+// Base class for vehicles that drive with siren and request signal preemption (Ambulance, FireEngine, PoliceCar).
+// Subclasses pass a profile: { type, label, modelFile, scaleFactor, modelYAdjust, size: { length, width, height },
+// color, lightColors: [left, right], flashInterval (ms), sirenAudioFile, sirenPlaybackRate, hornPitch, speed, normalSpeed,
+// priorityClass, acceleration, braking, maxLateralAcceleration, junctionSpeed, wheelbase, maxSteeringAngle, maxSteeringRate }
+// and may override createPlaceholderModel() for their own geometry.
+export class EmergencyVehicle {
+    constructor(scene, camera, pathPoints, route = null, profile = {}) {
+        this.scene = scene;
+        this.camera = camera;
+        this.profile = profile;
+        this.type = profile.type || 'emergency';
+        this.label = profile.label || 'Emergency vehicle';
+        this.size = profile.size || { length: 3.5, width: 1.5, height: 1.8 };
+        this.route = null; // Planned route (Router.findRoute + junctions along the path) the path was laid out from
+        this.path = [];
+        this.pathDistances = []; // Distance along the path to each point
+        this.setPath(pathPoints, route);
+        this.currentPathIndex = 0;
+        this.cruiseSpeed = profile.speed ?? Config.ambulanceSpeed; // Units per frame with siren
+        this.normalSpeed = profile.normalSpeed ?? this.cruiseSpeed * 0.7; // Without siren (returning to the station)
+        this.speed = this.cruiseSpeed;
+        this.priorityClass = profile.priorityClass ?? 1; // Rank of the vehicle type at a contested junction, higher wins
+        this.group = new THREE.Group();
+
+        // Kinematic model (units per second, seconds, radians), see stepKinematics()
+        const wheelbase = profile.wheelbase ?? this.size.length * 0.6;
+        this.kinematics = {
+            acceleration: profile.acceleration ?? 3,          // Units/s^2
+            braking: profile.braking ?? 6,                    // Units/s^2, comfortable emergency deceleration
+            maxLateralAcceleration: profile.maxLateralAcceleration ?? 4, // Units/s^2 in bends
+            junctionSpeed: profile.junctionSpeed ?? 9,        // Units/s while crossing a junction
+            wheelbase,
+            maxSteeringAngle: profile.maxSteeringAngle ?? 0.6,
+            maxSteeringRate: profile.maxSteeringRate ?? 1.5,  // Radians/s at the front wheels
+            lookAheadTime: 0.6, minLookAhead: 3, maxLookAhead: 12 // Pure-pursuit look-ahead distance = speed * time, clamped
+        };
+        this.velocity = 0; // Units per second along the heading
+        this.heading = 0; // Yaw, 0 = +Z
+        this.steeringAngle = 0;
+        this.physicsTimeAccumulator = 0;
+
+        if (this.path.length > 0) {
+            this.group.position.copy(this.path[0]);
+            if (this.path.length > 1) {
+                // Look at the next point in the path to set initial orientation
+                this.group.lookAt(this.path[1].x, this.group.position.y, this.path[1].z);
+            }
+        } else {
+            // Fallback if path is empty
+            console.warn(`${this.label} path is empty.`);
+        }
+        this.syncHeading();
+
+        this.model = null;
+        this.sirenSound = null;
+        this.sirenLight1 = null;
+        this.sirenLight2 = null;
+        this.sirenLightOn = false;
+        this.sirenLightTimer = null;
+        this.isDeactivating = false;
+        this.fadeOutTimer = 0;
+        this.hasFadedOut = false;
+        this.isEmergency = true; // Siren on, preempts signals and makes cars give way
+        this.passedJunctionIds = new Set(); // Junctions released behind the vehicle on the current path
+        this.rerouteTimer = 0;
+        this.onPathComplete = null; // Called at the end of the path instead of fading out (used by DispatchCenter)
+        this.priority = 1; // Urgency of the current call, ranks vehicles of the same class (see PreemptionArbiter)
+        this.holds = new Map(); // Junction node id -> distance along the path to stop at (lost an arbitration)
+
+        // Traffic in the way, see senseObstacles()
+        this.obstacle = null; // Nearest vehicle or pedestrian ahead in the lane being driven: { object, kind, gap, speed, along, length }
+        this.lateralOffset = 0; // Offset from the path towards the centre line, > 0 while overtaking in the opposing lane
+        this.targetLateralOffset = 0;
+        this.hornTimer = 0;
+        this.isRecoveringFromTraffic = false; // Slowed by traffic and not yet back up to the speed the road allows
+        this.trafficStats = { timeLost: 0, timeStopped: 0, overtakes: 0, horns: 0 }; // For the current leg
+
+        this.loadAndCreateModel();
+        this.setupSirenSound();
+        this.scene.add(this.group);
+    }
+
+    async loadAndCreateModel() {
+        const loader = new GLTFLoader();
+        try {
+            const modelPath = this.profile.modelFile;
+            if (!modelPath) throw new Error(`no model file for ${this.type}`);
+            const gltf = await loader.loadAsync(modelPath);
+            this.model = gltf.scene;
+            
+            const scaleFactor = this.profile.scaleFactor || 0.05;
+            this.model.scale.set(scaleFactor, scaleFactor, scaleFactor);
+            this.model.rotation.y = Math.PI / 2; 
+            this.model.position.y = this.profile.modelYAdjust || 0.0;
+
+            this.model.traverse(child => {
+                if (child.isMesh) {
+                    child.castShadow = true;
+                    if (child.material) {
+                        child.material.transparent = true; 
+                        child.material.needsUpdate = true;
+                    }
+                }
+            });
+            this.group.add(this.model);
+            this.createSirenLightsPlaceholder();
+        } catch (error) {
+            if (this.profile.modelFile) console.error(`Failed to load ${this.type} model, using placeholder:`, error);
+            this.model = this.createPlaceholderModel();
+            this.group.add(this.model);
+            this.createSirenLightsPlaceholder();
+        }
+        if (this.isEmergency) this.animateSirenLights();
+    }
+
+    // Box body along +Z (the driving direction after lookAt), on the road surface; subclasses add details
+    createPlaceholderModel() {
+        const { length, width, height } = this.size;
+        const body = new THREE.Mesh(new THREE.BoxGeometry(width, height, length),
+            new THREE.MeshStandardMaterial({ color: this.profile.color ?? 0xffdddd, transparent: true }));
+        body.castShadow = true;
+        const model = new THREE.Group();
+        body.position.y = height / 2;
+        model.add(body);
+        return model;
+    }
+
+    createSirenLightsPlaceholder() {
+        const modelRenderHeight = this.size.height; // Approximate visual height of placeholder or simple model
+        const lightYPos = (this.profile.modelFile ? this.model.position.y + modelRenderHeight * 0.5 : modelRenderHeight) + 0.2;
+        const [leftColor, rightColor] = this.profile.lightColors || [0xff0000, 0x0000ff];
+
+        const lightGeo = new THREE.SphereGeometry(0.15, 16, 8);
+        const matRed = new THREE.MeshStandardMaterial({ color: leftColor, emissive: new THREE.Color(leftColor).multiplyScalar(0.33), emissiveIntensity: 1, transparent: true, opacity: 1.0 });
+        const matBlue = new THREE.MeshStandardMaterial({ color: rightColor, emissive: new THREE.Color(rightColor).multiplyScalar(0.33), emissiveIntensity: 1, transparent: true, opacity: 1.0 });
+
+        this.sirenLight1 = new THREE.Mesh(lightGeo, matRed);
+        this.sirenLight1.position.set(0.3, lightYPos, (this.model ? this.model.position.z : 0) + 0.3);
+        this.group.add(this.sirenLight1);
+
+        this.sirenLight2 = new THREE.Mesh(lightGeo, matBlue);
+        this.sirenLight2.position.set(-0.3, lightYPos, (this.model ? this.model.position.z : 0) + 0.3);
+        this.group.add(this.sirenLight2);
+    }
+
+    animateSirenLights() {
+        if (this.sirenLightTimer) clearInterval(this.sirenLightTimer);
+        const [leftColor, rightColor] = (this.profile.lightColors || [0xff0000, 0x0000ff]).map(c => new THREE.Color(c));
+        const dim = (color) => color.clone().multiplyScalar(0.2);
+        this.sirenLightTimer = setInterval(() => {
+            if (!this.sirenLight1 || !this.sirenLight2) return;
+            this.sirenLightOn = !this.sirenLightOn;
+            this.sirenLight1.material.emissive.copy(this.sirenLightOn ? leftColor : dim(leftColor));
+            this.sirenLight2.material.emissive.copy(this.sirenLightOn ? dim(rightColor) : rightColor);
+            this.sirenLight1.material.emissiveIntensity = this.sirenLightOn ? 2.0 : 0.5;
+            this.sirenLight2.material.emissiveIntensity = !this.sirenLightOn ? 2.0 : 0.5;
+        }, this.profile.flashInterval ?? 300);
+    }
+
+    setupSirenSound() {
+        if (!this.camera) {
+            console.warn(`${this.label}: Camera not provided for siren sound.`);
+            return;
+        }
+        let listener = this.camera.children.find(child => child.type === "AudioListener");
+        if(!listener){
+            listener = new THREE.AudioListener();
+            this.camera.add(listener);
+        }
+        this.sirenSound = new THREE.PositionalAudio(listener);
+        this.hornSound = new THREE.PositionalAudio(listener); // Fed by soundHorn()
+        this.hornSound.setRefDistance(15);
+        this.hornSound.setVolume(0.15);
+        this.group.add(this.hornSound);
+        const audioLoader = new THREE.AudioLoader();
+        const sirenAudioFile = this.profile.sirenAudioFile ?? Config.sirenAudioFile;
+        if (!sirenAudioFile) {
+            console.warn("Siren audio file not specified in Config.");
+            return;
+        }
+        audioLoader.load(sirenAudioFile, (buffer) => {
+            this.sirenSound.setBuffer(buffer);
+            this.sirenSound.setRefDistance(20); 
+            this.sirenSound.setRolloffFactor(2.5); 
+            this.sirenSound.setLoop(true);
+            this.sirenSound.setVolume(0.7); 
+            this.sirenSound.setPlaybackRate(this.profile.sirenPlaybackRate ?? 1); // Pitch/tempo of the siren pattern
+        }, () => {}, (err) => { console.error('Error loading siren audio:', sirenAudioFile, err); });
+        this.group.add(this.sirenSound);
+    }
+
+    startSiren() {
+    if (this.sirenSound && this.sirenSound.buffer && !this.sirenSound.isPlaying) {
+        // --- BEGIN AUTOPLAY FIX ---
+        const listener = this.sirenSound.listener; // THREE.AudioListener
+        if (listener && listener.context.state === 'suspended') {
+            listener.context.resume().then(() => {
+                console.log("AudioContext resumed successfully by user gesture (or was already running).");
+                this.sirenSound.play();
+                const sirenStatusEl = document.getElementById('sirenStatus');
+                if(sirenStatusEl) sirenStatusEl.textContent = 'Playing';
+            }).catch(e => console.error("Error resuming AudioContext:", e));
+        } else if (listener && listener.context.state === 'running') {
+             this.sirenSound.play();
+             const sirenStatusEl = document.getElementById('sirenStatus');
+             if(sirenStatusEl) sirenStatusEl.textContent = 'Playing';
+        } else {
+            // Fallback or if context is in a weird state - try playing directly
+            // but this might be blocked if context was never started by user.
+            console.warn("AudioContext state is not 'suspended' or 'running', attempting to play anyway. State: " + (listener ? listener.context.state : "unknown"));
+            this.sirenSound.play();
+            const sirenStatusEl = document.getElementById('sirenStatus');
+            if(sirenStatusEl) sirenStatusEl.textContent = 'Playing';
+        }
+        // --- END AUTOPLAY FIX ---
+    } else if (this.sirenSound && !this.sirenSound.buffer) {
+         console.warn("Siren sound buffer not loaded yet.");
+    }
+}
+
+    stopSiren() {
+        if (this.sirenSound && this.sirenSound.isPlaying) {
+            this.sirenSound.stop();
+            const sirenStatusEl = document.getElementById('sirenStatus');
+            if(sirenStatusEl) sirenStatusEl.textContent = 'Stopped';
+        }
+    }
+
+    update(deltaTime) { 
+        if (this.hasFadedOut) return;
+
+        if (this.isDeactivating) {
+            this.fadeOutTimer += deltaTime;
+            const fadeDuration = Config.ambulanceFadeOutDuration || 2.0;
+            const fadeProgress = Math.min(1, this.fadeOutTimer / fadeDuration);
+            const newOpacity = Math.max(0, 1.0 - fadeProgress);
+            const newScale = Math.max(0.001, 1.0 - fadeProgress); 
+
+            if (this.model) {
+                this.model.traverse(child => {
+                    if (child.isMesh && child.material) child.material.opacity = newOpacity;
+                });
+            }
+            if (this.sirenLight1?.material) this.sirenLight1.material.opacity = newOpacity;
+            if (this.sirenLight2?.material) this.sirenLight2.material.opacity = newOpacity;
+            
+            this.group.scale.set(newScale, newScale, newScale);
+
+            if (fadeProgress >= 1) this.hasFadedOut = true;
+            return; 
+        }
+
+        if (!this.path || this.path.length === 0 || this.currentPathIndex >= this.path.length || !this.model) return;
+
+        // Fixed physics steps, so the motion (and every travel time measured from it) does not depend on the frame rate
+        const step = Config.vehiclePhysicsStep || 1 / 120;
+        this.physicsTimeAccumulator += Math.min(deltaTime, 0.25); // A stalled frame (hidden tab) must not teleport the vehicle
+        while (this.physicsTimeAccumulator >= step && this.currentPathIndex < this.path.length) {
+            this.physicsTimeAccumulator -= step;
+            this.stepKinematics(step);
+        }
+        if (this.currentPathIndex >= this.path.length) {
+            this.physicsTimeAccumulator = 0;
+            if (this.onPathComplete) {
+                this.path = []; // Wait where we are for the next leg
+                this.onPathComplete(this);
+            } else {
+                this.deactivate(); 
+            }
+        }
+    }
+
+    // One step of a kinematic bicycle model: pure-pursuit steering towards a look-ahead point on the path and
+    // a speed limited by acceleration, braking and the limits ahead (bends, junction crossings, stop lines)
+    stepKinematics(dt) {
+        const k = this.kinematics;
+        const pathLength = this.pathDistances[this.path.length - 1];
+        this.updatePathProgress();
+
+        // Steering target: a look-ahead point on the path, moved across by the overtaking offset
+        const lateralSpeed = Math.min(Config.overtakeLateralSpeed ?? 2.5, this.velocity * 0.35); // No sideways move at a standstill
+        this.lateralOffset += THREE.MathUtils.clamp(this.targetLateralOffset - this.lateralOffset, -lateralSpeed * dt, lateralSpeed * dt);
+        const minTurnRadius = k.wheelbase / Math.tan(k.maxSteeringAngle);
+        const aim = (lookAhead) => {
+            const lookAheadDistance = Math.min(pathLength, this.pathProgress + lookAhead);
+            const target = this.getPathPoint(lookAheadDistance);
+            if (Math.abs(this.lateralOffset) > 1e-3) target.addScaledVector(this.getCentreSideNormal(this.getPathTangent(lookAheadDistance)), this.lateralOffset);
+            const dx = target.x - this.group.position.x;
+            const dz = target.z - this.group.position.z;
+            const bearing = Math.atan2(dx, dz) - this.heading;
+            return { dx, dz, alpha: Math.atan2(Math.sin(bearing), Math.cos(bearing)) }; // alpha wrapped to [-PI, PI]
+        };
+        let { dx, dz, alpha } = aim(THREE.MathUtils.clamp(this.velocity * k.lookAheadTime, k.minLookAhead, k.maxLookAhead));
+        // Turning round (path behind the vehicle, e.g. leaving a kerb the other way) is done on full lock at crawling
+        // speed, aiming far enough along the path that the point is outside the turning circle
+        const isTurningRound = Math.abs(alpha) > Math.PI / 3;
+        if (isTurningRound) ({ dx, dz, alpha } = aim(2.5 * minTurnRadius));
+
+        // Longitudinal: accelerate, or brake towards the highest speed that still meets every limit ahead
+        const freeSpeed = this.getTargetSpeed(false);
+        const trafficSpeed = this.getTargetSpeed();
+        const targetSpeed = isTurningRound ? Math.min(trafficSpeed, Math.sqrt(k.maxLateralAcceleration * minTurnRadius)) : trafficSpeed;
+        if (this.velocity < targetSpeed) this.velocity = Math.min(targetSpeed, this.velocity + k.acceleration * dt);
+        else this.velocity = Math.max(targetSpeed, this.velocity - k.braking * dt);
+        this.recordTrafficDelay(dt, freeSpeed, trafficSpeed);
+
+        // Lateral: pure pursuit, limited in angle and in how fast the wheel turns
+        const desiredSteering = Math.abs(alpha) > Math.PI / 2
+            ? (alpha < 0 ? -k.maxSteeringAngle : k.maxSteeringAngle) // Target behind: full lock (sin(alpha) fades to 0 there)
+            : Math.atan2(2 * k.wheelbase * Math.sin(alpha), Math.max(Math.hypot(dx, dz), 0.1));
+        const maxChange = k.maxSteeringRate * dt;
+        this.steeringAngle = THREE.MathUtils.clamp(
+            this.steeringAngle + THREE.MathUtils.clamp(desiredSteering - this.steeringAngle, -maxChange, maxChange),
+            -k.maxSteeringAngle, k.maxSteeringAngle);
+
+        // Integrate the bicycle model (rear axle reference) and orient the group: +Z is forward after rotation.y = heading
+        this.heading += this.velocity / k.wheelbase * Math.tan(this.steeringAngle) * dt;
+        this.group.position.x += Math.sin(this.heading) * this.velocity * dt;
+        this.group.position.z += Math.cos(this.heading) * this.velocity * dt;
+        this.group.rotation.set(0, this.heading, 0);
+
+        // Arrived, or as close as it gets: the destination is taken by a stopped vehicle (e.g. another unit parked there)
+        const remaining = pathLength - this.pathProgress;
+        const destinationTaken = this.obstacle && this.velocity < 0.1 && this.obstacle.speed < 0.1 &&
+            remaining < this.obstacle.gap + this.obstacle.length + 3;
+        if (remaining < 0.3 || destinationTaken) {
+            this.velocity = 0;
+            this.currentPathIndex = this.path.length;
+        }
+    }
+
+    // Time lost to traffic: while traffic holds the vehicle below the speed the road allows (and until it is back up
+    // to that speed) each second counts by the fraction of that speed it is missing
+    recordTrafficDelay(dt, freeSpeed, targetSpeed) {
+        if (targetSpeed < freeSpeed - 0.05) this.isRecoveringFromTraffic = true;
+        if (!this.isRecoveringFromTraffic) return;
+        if (freeSpeed > 0.5) this.trafficStats.timeLost += dt * Math.max(0, 1 - this.velocity / freeSpeed);
+        if (this.velocity < 0.1 && this.obstacle) this.trafficStats.timeStopped += dt;
+        if (this.velocity >= freeSpeed - 0.05) this.isRecoveringFromTraffic = false;
+    }
+
+    // Highest speed (units per second) from which every limit within braking distance can still be met,
+    // optionally leaving out the traffic ahead (the speed the road alone allows)
+    getTargetSpeed(includeTraffic = true) {
+        const k = this.kinematics;
+        const s = this.pathProgress;
+        const maxSpeed = this.speed * 60; // Config speeds are units per frame at 60 fps
+        const brakeTo = (limit, distance) => Math.sqrt(limit * limit + 2 * k.braking * Math.max(0, distance));
+        const horizon = maxSpeed * maxSpeed / (2 * k.braking) + 5;
+        let target = maxSpeed;
+
+        // Bends: speed^2 * curvature may not exceed the maximum lateral acceleration
+        for (let i = Math.max(1, this.currentPathIndex - 1); i < this.path.length - 1 && this.pathDistances[i] - s < horizon; i++) {
+            const curvature = this.pathCurvatures[i];
+            if (curvature > 1e-4) target = Math.min(target, brakeTo(Math.sqrt(k.maxLateralAcceleration / curvature), this.pathDistances[i] - s));
+        }
+        // Junction crossings on the route
+        const halfJunction = (Config.junctionSize || 12) / 2;
+        (this.route?.junctions || []).forEach(stop => {
+            if (stop.distance + halfJunction < s) return;
+            target = Math.min(target, brakeTo(k.junctionSpeed, stop.distance - halfJunction - s));
+        });
+        // Stop line (held for another vehicle) and the end of the path
+        const holdDistance = this.getHoldDistance();
+        if (holdDistance !== null) target = Math.min(target, brakeTo(0, holdDistance - s));
+        // Traffic ahead: match its speed, keeping a gap
+        if (includeTraffic && this.obstacle) {
+            target = Math.min(target, brakeTo(Math.max(0, this.obstacle.speed), this.obstacle.gap - (Config.obstacleStopGap ?? 2)));
+        }
+        return Math.min(target, brakeTo(0, this.pathDistances[this.path.length - 1] - s));
+    }
+
+    // Seconds to reach a distance along the path, driving the speed profile the road allows (bends, junction
+    // crossings) from the current speed, accelerating and braking within the vehicle's limits. Traffic is left out.
+    estimateTimeTo(pathDistance) {
+        const k = this.kinematics;
+        const maxSpeed = this.speed * 60;
+        const halfJunction = (Config.junctionSize || 12) / 2;
+        const end = Math.min(pathDistance, this.pathDistances[this.path.length - 1] ?? 0);
+        if (end <= this.pathProgress) return 0;
+
+        // Stations: the current position, every path point up to the target and the target, each with its speed limit
+        const stations = [{ s: this.pathProgress, i: this.currentPathIndex }];
+        for (let i = this.currentPathIndex; i < this.path.length && this.pathDistances[i] < end; i++) {
+            if (this.pathDistances[i] > this.pathProgress) stations.push({ s: this.pathDistances[i], i });
+        }
+        stations.push({ s: end, i: Math.min(stations[stations.length - 1].i + 1, this.path.length - 1) });
+        const limits = stations.map(({ s, i }) => {
+            let limit = maxSpeed;
+            const curvature = this.pathCurvatures[i] ?? 0;
+            if (curvature > 1e-4) limit = Math.min(limit, Math.sqrt(k.maxLateralAcceleration / curvature));
+            if ((this.route?.junctions || []).some(stop => Math.abs(stop.distance - s) <= halfJunction)) limit = Math.min(limit, k.junctionSpeed);
+            return limit;
+        });
+
+        // Forward pass: accelerate up to the limits; backward pass: brake in time for them
+        const speeds = [this.velocity];
+        for (let j = 1; j < stations.length; j++) {
+            speeds[j] = Math.min(limits[j], Math.sqrt(speeds[j - 1] ** 2 + 2 * k.acceleration * (stations[j].s - stations[j - 1].s)));
+        }
+        for (let j = stations.length - 2; j > 0; j--) {
+            speeds[j] = Math.min(speeds[j], Math.sqrt(speeds[j + 1] ** 2 + 2 * k.braking * (stations[j + 1].s - stations[j].s)));
+        }
+        let time = 0;
+        for (let j = 1; j < stations.length; j++) {
+            time += (stations[j].s - stations[j - 1].s) / Math.max(0.5, (speeds[j - 1] + speeds[j]) / 2);
+        }
+        return time;
+    }
+
+    // Projects the vehicle onto the path near its current progress (progress never moves backwards)
+    updatePathProgress() {
+        const position = this.group.position;
+        let best = this.pathProgress;
+        let bestDistanceSq = Infinity;
+        for (let i = Math.max(1, this.currentPathIndex - 1); i < this.path.length && this.pathDistances[i - 1] <= this.pathProgress + 15; i++) {
+            const a = this.path[i - 1];
+            const legLength = this.pathDistances[i] - this.pathDistances[i - 1];
+            if (legLength < 1e-6) continue;
+            const b = this.path[i];
+            const t = THREE.MathUtils.clamp(((position.x - a.x) * (b.x - a.x) + (position.z - a.z) * (b.z - a.z)) / (legLength * legLength), 0, 1);
+            const px = a.x + (b.x - a.x) * t;
+            const pz = a.z + (b.z - a.z) * t;
+            const distanceSq = (position.x - px) ** 2 + (position.z - pz) ** 2;
+            if (distanceSq < bestDistanceSq) {
+                bestDistanceSq = distanceSq;
+                best = this.pathDistances[i - 1] + legLength * t;
+            }
+        }
+        this.pathProgress = Math.max(this.pathProgress, best);
+        while (this.currentPathIndex < this.path.length - 1 && this.pathDistances[this.currentPathIndex] <= this.pathProgress) this.currentPathIndex++;
+    }
+
+    // Point at a distance along the path
+    getPathPoint(distance, target = new THREE.Vector3()) {
+        let i = Math.max(1, this.currentPathIndex - 1);
+        while (i < this.path.length - 1 && this.pathDistances[i] < distance) i++;
+        i = Math.min(i, this.path.length - 1);
+        if (i === 0) return target.copy(this.path[0]);
+        const legLength = this.pathDistances[i] - this.pathDistances[i - 1];
+        const t = legLength > 1e-6 ? THREE.MathUtils.clamp((distance - this.pathDistances[i - 1]) / legLength, 0, 1) : 1;
+        return target.lerpVectors(this.path[i - 1], this.path[i], t);
+    }
+
+    // Direction of the path at a distance along it
+    getPathTangent(distance, target = new THREE.Vector3()) {
+        if (this.curve) return this.curve.getTangentAtDistance(distance, target);
+        const pathLength = this.pathDistances[this.path.length - 1];
+        const from = this.getPathPoint(Math.max(0, Math.min(distance, pathLength - 0.5)));
+        target.copy(this.getPathPoint(Math.min(pathLength, Math.max(distance, 0.5)))).sub(from).setY(0);
+        return target.lengthSq() > 1e-9 ? target.normalize() : this.getDirection().setY(0).normalize();
+    }
+
+    // Unit vector across a direction of travel pointing to the centre line side (opposite of RoadNetwork.getKeepSideNormal)
+    getCentreSideNormal(tangent) {
+        const right = new THREE.Vector3(-tangent.z, 0, tangent.x); // tangent x up
+        return Config.driveOnLeft === false ? right.negate() : right;
+    }
+
+    // Heading from the group's current orientation (after lookAt or placement)
+    syncHeading() {
+        const forward = this.getDirection();
+        this.heading = Math.atan2(forward.x, forward.z);
+        this.steeringAngle = 0;
+    }
+
+    setPath(pathPoints, route = null) {
+        this.route = route;
+        this.curve = route?.curve ?? null; // PathCurve the path points were sampled from (null for a plain polyline)
+        this.path = pathPoints.map(p => new THREE.Vector3(p.x, p.y, p.z));
+        this.pathDistances = this.path.map(() => 0);
+        for (let i = 1; i < this.path.length; i++) this.pathDistances[i] = this.pathDistances[i - 1] + this.path[i].distanceTo(this.path[i - 1]);
+        // Curvature at each inner waypoint: from the curve, or the heading change over the mean length of its two legs
+        this.pathCurvatures = this.path.map((p, i) => {
+            if (i === 0 || i === this.path.length - 1) return 0;
+            if (this.curve) return this.curve.getCurvatureAtDistance(this.pathDistances[i], 2);
+            const legIn = new THREE.Vector3().subVectors(p, this.path[i - 1]).setY(0);
+            const legOut = new THREE.Vector3().subVectors(this.path[i + 1], p).setY(0);
+            const meanLength = (legIn.length() + legOut.length()) / 2;
+            return meanLength > 1e-6 && legIn.lengthSq() > 1e-12 && legOut.lengthSq() > 1e-12 ? legIn.angleTo(legOut) / meanLength : 0;
+        });
+        this.pathProgress = 0;
+    }
+
+    // Starts driving a new route from where the vehicle stands, with or without siren and priority
+    startLeg(route, isEmergency = true) {
+        this.setPath(route.path, route);
+        this.currentPathIndex = 0; // Keeps its velocity: a unit leaving the scene may still be rolling
+        this.passedJunctionIds = new Set();
+        this.holds.clear();
+        this.obstacle = null;
+        this.lateralOffset = this.targetLateralOffset = 0;
+        this.isRecoveringFromTraffic = false;
+        this.trafficStats = { timeLost: 0, timeStopped: 0, overtakes: 0, horns: 0 };
+        this.rerouteTimer = Config.rerouteInterval ?? 2;
+        this.setEmergency(isEmergency);
+    }
+
+    // Stands still at a position facing a direction (parked at a station)
+    park(position, direction = null) {
+        this.setPath([], null);
+        this.currentPathIndex = 0;
+        this.group.position.copy(position);
+        if (direction) this.group.lookAt(position.x + direction.x, position.y, position.z + direction.z);
+        this.syncHeading();
+        this.velocity = 0;
+        this.setEmergency(false);
+    }
+
+    isMoving() {
+        return this.path.length > 0 && this.currentPathIndex < this.path.length && !this.isDeactivating && !this.hasFadedOut;
+    }
+
+    setEmergency(isEmergency) {
+        this.isEmergency = isEmergency;
+        this.speed = isEmergency ? this.cruiseSpeed : this.normalSpeed;
+        if (isEmergency) {
+            this.startSiren();
+            if (this.sirenLightTimer === null && this.sirenLight1) this.animateSirenLights();
+        } else {
+            this.stopSiren();
+            if (this.sirenLightTimer) {
+                clearInterval(this.sirenLightTimer);
+                this.sirenLightTimer = null;
+            }
+        }
+    }
+
+    // Switches to a new route while driving; its path starts where the vehicle is now
+    reroute(route) {
+        this.setPath(route.path, route);
+        this.holds.clear(); // Stop lines were measured along the old path; the next arbitration sets them again
+        this.obstacle = null; // Measured along the old path too; sensed again next frame
+        this.currentPathIndex = Math.min(1, this.path.length - 1);
+    }
+
+    getPosition() { return this.group.position; }
+
+    holdAt(junctionId, pathDistance) { this.holds.set(junctionId, pathDistance); }
+
+    clearHold(junctionId) { this.holds.delete(junctionId); }
+
+    // Nearest stop line ahead (one already driven past is ignored: the vehicle is inside the junction and clears it)
+    getHoldDistance() {
+        const driven = this.getDistanceAlongPath();
+        let nearest = null;
+        this.holds.forEach(distance => {
+            if (distance >= driven - 0.5 && (nearest === null || distance < nearest)) nearest = distance;
+        });
+        return nearest;
+    }
+
+    // Distance driven along the path so far (the vehicle's projection on it)
+    getDistanceAlongPath() {
+        return this.path.length === 0 ? 0 : this.pathProgress;
+    }
+
+    // Current speed in units per second
+    getSpeed() { return this.velocity; }
+
+    // Position a distance ahead along the path (clamped to its end), for look-ahead by the camera and the cars
+    getPointAhead(distance, target = new THREE.Vector3()) {
+        if (this.path.length === 0) return target.copy(this.group.position);
+        const s = this.pathProgress + distance;
+        return this.curve ? this.curve.getPointAtDistance(s, target) : this.getPathPoint(Math.min(s, this.pathDistances[this.path.length - 1]), target);
+    }
+
+    // Samples of the path ahead (from < 0 starts behind the vehicle): [{ distance (from the vehicle), point, tangent }]
+    sampleAhead(range, spacing = 2, from = 0) {
+        if (this.path.length === 0) return [];
+        const start = Math.max(0, this.pathProgress + from);
+        if (this.curve) return this.curve.sampleAhead(start, this.pathProgress + range - start, spacing).map(sample => ({ ...sample, distance: sample.distance - this.pathProgress }));
+        const samples = [];
+        const pathLength = this.pathDistances[this.path.length - 1];
+        for (let s = start; s <= this.pathProgress + range && s <= pathLength; s += spacing) {
+            samples.push({ distance: s - this.pathProgress, point: this.getPathPoint(s), tangent: this.getPathTangent(s) });
+        }
+        return samples;
+    }
+
+    // Route step ({ edge, travelDir }) being driven, found by the road nearest to the vehicle (null off the route)
+    getCurrentStep(network) {
+        const nearest = network.nearestEdgePoint(this.getPosition());
+        return nearest ? this.route?.steps.find(step => step.edge === nearest.edge) ?? null : null;
+    }
+
+    // Looks along the path for traffic (obstacles: [{ object, kind: 'vehicle' | 'pedestrian', position, direction, speed
+    // (units/s), length, width }]) and decides how to get past: follow it, sound the horn, overtake in the opposing
+    // lane when that is clear (and the road has one), or stop behind it when it is not
+    senseObstacles(obstacles, deltaTime, network) {
+        this.hornTimer = Math.max(0, this.hornTimer - deltaTime);
+        if (!this.isMoving() || !this.model) {
+            this.obstacle = null;
+            return;
+        }
+        const range = Config.obstacleSensingDistance ?? 35;
+        const behind = this.size.length + 4;
+        const samples = this.sampleAhead(range, 1, -behind);
+        if (samples.length === 0) return;
+
+        // Place each obstacle relative to the path: distance along it (from this vehicle's centre) and offset across it
+        const placed = [];
+        const maxOffset = (Config.laneWidth || 3.5) * 3;
+        obstacles.forEach(o => {
+            if (o.object === this) return;
+            let nearest = null;
+            let nearestDistanceSq = maxOffset * maxOffset;
+            samples.forEach(sample => {
+                const distanceSq = (o.position.x - sample.point.x) ** 2 + (o.position.z - sample.point.z) ** 2;
+                if (distanceSq < nearestDistanceSq) { nearestDistanceSq = distanceSq; nearest = sample; }
+            });
+            if (!nearest) return;
+            const relative = new THREE.Vector3().subVectors(o.position, nearest.point).setY(0);
+            placed.push({
+                object: o.object, kind: o.kind, length: o.length, width: o.width,
+                along: nearest.distance + relative.dot(nearest.tangent),
+                offset: relative.dot(this.getCentreSideNormal(nearest.tangent)),
+                speed: o.speed * (o.direction ? o.direction.dot(nearest.tangent) : 0) // Along the path, < 0 when oncoming
+            });
+        });
+        const inLane = (o, offset) => Math.abs(o.offset - offset) < (this.size.width + o.width) / 2 + 0.3;
+        const gapTo = (o) => o.along - (this.size.length + o.length) / 2;
+        const laneClear = (offset, from, to) => !placed.some(o => inLane(o, offset) && o.along + o.length / 2 > from && o.along - o.length / 2 < to);
+
+        // Nearest obstacle ahead in the lane being driven
+        this.obstacle = null;
+        placed.forEach(o => {
+            if (o.along <= 0 || !inLane(o, this.lateralOffset)) return;
+            const gap = gapTo(o);
+            if (!this.obstacle || gap < this.obstacle.gap) this.obstacle = { ...o, gap };
+        });
+
+        const overtakeOffset = (Config.laneWidth || 3.5) * ((Config.ambulanceLaneIndex ?? 0) + 1); // Centre of the first opposing lane
+        const step = this.getCurrentStep(network);
+        const hasOpposingLane = !step || network.getLaneCount(step.edge, -step.travelDir) > 0; // Not on a one-way road
+        const clearDistance = Config.overtakeClearDistance ?? 30;
+        const triggerDistance = Config.overtakeTriggerDistance ?? 15;
+        const halfJunction = (Config.junctionSize || 12) / 2;
+        const junctionWithin = (distance) => (this.route?.junctions || []).some(stop =>
+            stop.distance + halfJunction > this.pathProgress && stop.distance - halfJunction < this.pathProgress + distance);
+        const obstacle = this.obstacle;
+
+        if (this.targetLateralOffset === 0) {
+            // Overtake a slow or stopped vehicle when the opposing lane is clear for the whole manoeuvre and no junction is in the way
+            const isSlow = obstacle && obstacle.kind === 'vehicle' && obstacle.speed < this.speed * 60 * 0.5;
+            if (this.isEmergency && isSlow && obstacle.gap < triggerDistance && hasOpposingLane && Config.overtakingEnabled !== false) {
+                const passEnd = obstacle.along + obstacle.length / 2 + this.size.length + clearDistance;
+                if (!junctionWithin(passEnd) && laneClear(overtakeOffset, -behind, passEnd)) {
+                    this.targetLateralOffset = overtakeOffset;
+                    this.trafficStats.overtakes++;
+                    console.log(`${this.id}: overtaking ${obstacle.object?.id ?? 'a ' + obstacle.kind} in the opposing lane.`);
+                }
+            }
+        } else {
+            // Back into the own lane once it is free alongside, as soon as it is free ahead too or the opposing lane
+            // stops being safe (oncoming traffic, a junction)
+            const ownLaneFreeAlongside = laneClear(0, -behind, this.size.length / 2 + 3);
+            const ownLaneFreeAhead = laneClear(0, 0, triggerDistance + this.size.length);
+            const oppositeUnsafe = !hasOpposingLane || !laneClear(overtakeOffset, 0, clearDistance) || junctionWithin(clearDistance);
+            if (ownLaneFreeAlongside && (ownLaneFreeAhead || oppositeUnsafe)) this.targetLateralOffset = 0;
+        }
+
+        // Horn at whatever is in the way and slower than us (the siren alone is not getting it to move)
+        const inTheWay = obstacle && obstacle.gap < (Config.hornDistance ?? 12) && (obstacle.speed < this.velocity - 0.5 || this.velocity < 0.1);
+        if (this.isEmergency && inTheWay && this.hornTimer <= 0) this.soundHorn();
+    }
+
+    // Short two-tone blast, synthesised so it needs no audio file
+    soundHorn() {
+        this.hornTimer = Config.hornInterval ?? 3;
+        this.trafficStats.horns++;
+        const listener = this.hornSound?.listener;
+        if (!listener || listener.context.state !== 'running') return;
+        const context = listener.context;
+        const duration = 0.5;
+        const pitch = this.profile.hornPitch ?? 1;
+        [370, 466].forEach(frequency => {
+            const oscillator = context.createOscillator();
+            oscillator.type = 'square';
+            oscillator.frequency.value = frequency * pitch;
+            oscillator.connect(this.hornSound.getOutput());
+            oscillator.start();
+            oscillator.stop(context.currentTime + duration);
+        });
+    }
+
+    getDirection() {
+        const forward = new THREE.Vector3();
+        this.group.getWorldDirection(forward); // Populates 'forward' with the world direction of the group's local -Z axis
+        // The local -Z axis is what points "forward" after a lookAt() call.
+        return forward.normalize();
+    }
+
+    activate() {
+        this.currentPathIndex = 0;
+        this.isDeactivating = false;
+        this.hasFadedOut = false;
+        this.fadeOutTimer = 0;
+        this.group.scale.set(1,1,1); 
+
+        if (this.model) { 
+            this.model.traverse(child => {
+                if (child.isMesh && child.material) child.material.opacity = 1.0;
+            });
+        }
+        if(this.sirenLight1?.material) this.sirenLight1.material.opacity = 1.0;
+        if(this.sirenLight2?.material) this.sirenLight2.material.opacity = 1.0;
+
+        if (this.path && this.path.length > 0) {
+             this.group.position.copy(this.path[0]);
+             // Re-orient if needed
+             if (this.path.length > 1) {
+                this.group.lookAt(this.path[1].x, this.group.position.y, this.path[1].z);
+            }
+        }
+        this.syncHeading();
+        this.velocity = 0;
+        this.pathProgress = 0;
+        this.startSiren();
+        if (this.sirenLightTimer === null && this.sirenLight1) this.animateSirenLights();
+        
+        const ambulanceStatusEl = document.getElementById('ambulanceStatus');
+        if(ambulanceStatusEl) ambulanceStatusEl.textContent = 'Approaching';
+    }
+
+    deactivate() {
+        this.isDeactivating = true; 
+        this.stopSiren();
+        if (this.sirenLightTimer) {
+            clearInterval(this.sirenLightTimer);
+            this.sirenLightTimer = null;
+        }
+        const ambulanceStatusEl = document.getElementById('ambulanceStatus');
+        if(ambulanceStatusEl) ambulanceStatusEl.textContent = 'Reached Destination / Fading';
+    }
+}
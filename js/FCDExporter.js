@@ -0,0 +1,92 @@
+// js/FCDExporter.js
+import { Config } from './Config.js';
+
+// Records vehicle positions as SUMO floating car data (the <fcd-export> format written by sumo --fcd-output),
+// so runs can be replayed or compared in SUMO tools. On networks loaded from a .net.xml, coordinates, edge
+// and lane ids are converted back to the SUMO network; otherwise scene coordinates and RoadNetwork edge ids
+// are written (backward direction of a two-way edge as "-<edgeId>", like netconvert names it).
+export class FCDExporter {
+    constructor(network, period = Config.fcdExportPeriod ?? 1) {
+        this.network = network;
+        this.period = period; // Seconds of simulation time between timesteps
+        this.timesteps = [];
+        this.nextSampleTime = 0;
+    }
+
+    // vehicles: [{ id, type, position, direction, speed (units per second), edge, travelDir, laneIndex, distanceAlongEdge }]
+    // edge/travelDir/laneIndex/distanceAlongEdge may be omitted; the nearest edge is used then.
+    record(time, vehicles) {
+        if (time + 1e-6 < this.nextSampleTime) return;
+        this.nextSampleTime = time + this.period;
+        this.timesteps.push({ time, vehicles: vehicles.map(v => this.describeVehicle(v)) });
+    }
+
+    describeVehicle(vehicle) {
+        const sumo = this.network.sumo || null;
+        const scale = sumo ? sumo.scale : 1;
+        let { edge, travelDir, laneIndex = 0, distanceAlongEdge } = vehicle;
+        if (!edge) {
+            const nearest = this.network.nearestEdgePoint(vehicle.position);
+            if (nearest) {
+                edge = nearest.edge;
+                travelDir = edge.direction.dot(vehicle.direction) >= 0 || edge.lanesBackward === 0 ? 1 : -1;
+                distanceAlongEdge = travelDir > 0 ? nearest.s : edge.length - nearest.s;
+            }
+        }
+
+        let lane = '';
+        if (edge) {
+            const laneCount = Math.max(1, this.network.getLaneCount(edge, travelDir));
+            const kerbIndex = laneCount - 1 - Math.min(laneIndex, laneCount - 1); // SUMO counts lanes from the kerb
+            const ids = sumo ? sumo.edgeIds.get(edge.id) : null;
+            const edgeId = ids ? (travelDir > 0 ? ids.forward : ids.backward) : (travelDir > 0 ? edge.id : `-${edge.id}`);
+            lane = `${edgeId}_${kerbIndex}`;
+        }
+
+        // Angle in degrees clockwise from North, as SUMO writes it
+        let angle = Math.atan2(vehicle.direction.x, vehicle.direction.z) * 180 / Math.PI;
+        if (angle < 0) angle += 360;
+
+        return {
+            id: vehicle.id,
+            x: sumo ? vehicle.position.x / scale + sumo.offsetX : vehicle.position.x,
+            y: sumo ? vehicle.position.z / scale + sumo.offsetY : vehicle.position.z,
+            angle,
+            type: vehicle.type,
+            speed: vehicle.speed / scale,
+            pos: (distanceAlongEdge ?? 0) / scale,
+            lane
+        };
+    }
+
+    toXML() {
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<fcd-export>'];
+        this.timesteps.forEach(step => {
+            lines.push(`    <timestep time="${step.time.toFixed(2)}">`);
+            step.vehicles.forEach(v => {
+                lines.push(`        <vehicle id="${FCDExporter.escape(v.id)}" x="${v.x.toFixed(2)}" y="${v.y.toFixed(2)}" ` +
+                    `angle="${v.angle.toFixed(2)}" type="${FCDExporter.escape(v.type)}" speed="${v.speed.toFixed(2)}" ` +
+                    `pos="${v.pos.toFixed(2)}" lane="${FCDExporter.escape(v.lane)}" slope="0.00"/>`);
+            });
+            lines.push('    </timestep>');
+        });
+        lines.push('</fcd-export>');
+        return lines.join('\n');
+    }
+
+    // Saves the recording through a temporary download link
+    download(filename = 'fcd.xml') {
+        const blob = new Blob([this.toXML()], { type: 'application/xml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+        console.log(`FCDExporter: saved ${this.timesteps.length} timesteps to ${filename}.`);
+    }
+
+    static escape(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+}
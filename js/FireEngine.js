@@ -0,0 +1,45 @@
+// js/FireEngine.js
+import * as THREE from 'three';
+import { Config } from './Config.js';
+import { EmergencyVehicle } from './EmergencyVehicle.js';
+
+// Long, heavy and slower than an ambulance, with red flashers and the highest default priority class
+export class FireEngine extends EmergencyVehicle {
+    constructor(scene, camera, pathPoints, route = null) {
+        super(scene, camera, pathPoints, route, {
+            type: 'fire',
+            label: 'Fire engine',
+            modelFile: Config.fireEngineModelFile ?? null,
+            scaleFactor: Config.fireEngineScaleFactor,
+            modelYAdjust: Config.fireEngineModelYAdjust,
+            size: { length: 7, width: 2.2, height: 2.6 },
+            color: 0xb01010,
+            lightColors: [0xff0000, 0xff2200],
+            flashInterval: 450, // Slow alternating flash
+            sirenAudioFile: Config.fireEngineSirenAudioFile ?? Config.sirenAudioFile,
+            sirenPlaybackRate: 0.8, // Lower, slower wail
+            speed: Config.fireEngineSpeed ?? 0.2,
+            normalSpeed: (Config.fireEngineSpeed ?? 0.2) * 0.7,
+            acceleration: 2, braking: 5, maxLateralAcceleration: 3, junctionSpeed: 7, // Heavy and tall: gentle in every direction
+            wheelbase: 4.2, maxSteeringAngle: 0.7,
+            priorityClass: Config.emergencyPriorityClasses?.fire ?? 3
+        });
+    }
+
+    createPlaceholderModel() {
+        const model = super.createPlaceholderModel();
+        const { length, width, height } = this.size;
+        // Ladder on the roof and a darker cab at the front
+        const ladderMaterial = new THREE.MeshStandardMaterial({ color: 0xcccccc, metalness: 0.6, transparent: true });
+        [-0.35, 0.35].forEach(x => {
+            const rail = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.1, length * 0.8), ladderMaterial);
+            rail.position.set(x * width / 2, height + 0.15, -length * 0.05);
+            model.add(rail);
+        });
+        const cab = new THREE.Mesh(new THREE.BoxGeometry(width + 0.02, height * 0.45, length * 0.22),
+            new THREE.MeshStandardMaterial({ color: 0x222222, transparent: true }));
+        cab.position.set(0, height * 0.72, length * 0.38);
+        model.add(cab);
+        return model;
+    }
+}
@@ -0,0 +1,74 @@
+// js/GeoJSONLoader.js
+import { GeoNetworkBuilder } from './GeoNetworkBuilder.js';
+
+// Loads a road network from GeoJSON: LineString / MultiLineString features are roads (OSM-style
+// properties such as highway, lanes, oneway, maxspeed and name are honoured), Point features tagged
+// highway=traffic_signals (or traffic_signals=yes) mark signalised junctions.
+export class GeoJSONLoader {
+    constructor(options = {}) {
+        this.options = options; // Passed to GeoNetworkBuilder (scale, origin, mergeDistance, ...)
+    }
+
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`GeoJSONLoader: failed to fetch ${url} (${response.status})`);
+        return this.parse(await response.json());
+    }
+
+    parse(geojson) {
+        const features = geojson.type === 'FeatureCollection' ? geojson.features
+            : geojson.type === 'Feature' ? [geojson]
+            : [{ type: 'Feature', geometry: geojson, properties: {} }]; // Bare geometry
+        const coordinates = features.flatMap(f => GeoJSONLoader.flattenCoordinates(f.geometry));
+        // Coordinates outside the lon/lat range are taken to be projected metres already
+        const projected = this.options.projected ?? coordinates.some(([x, y]) => Math.abs(x) > 180 || Math.abs(y) > 90);
+        const builder = new GeoNetworkBuilder({ ...this.options, projected });
+        const keyOf = ([x, y]) => `${x.toFixed(7)},${y.toFixed(7)}`;
+
+        features.forEach(feature => {
+            const geometry = feature.geometry;
+            const properties = feature.properties || {};
+            if (!geometry) return;
+
+            if (geometry.type === 'Point') {
+                if (GeoJSONLoader.isSignal(properties)) {
+                    builder.addPoint(keyOf(geometry.coordinates), geometry.coordinates[0], geometry.coordinates[1], { signal: true });
+                }
+                return;
+            }
+            const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+                : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+            if (lines.length === 0) return;
+            // Untagged lines are treated as roads; tagged ones must be drivable
+            if (properties.highway && !GeoNetworkBuilder.isDrivable(properties.highway)) return;
+
+            const wayOptions = GeoNetworkBuilder.wayOptionsFromTags(properties);
+            lines.forEach(line => {
+                const keys = line.map(coordinate => {
+                    const key = keyOf(coordinate);
+                    builder.addPoint(key, coordinate[0], coordinate[1]);
+                    return key;
+                });
+                builder.addWay(keys, wayOptions);
+            });
+        });
+
+        // Signal points that coincide with a road vertex are merged into it by key
+        return builder.build();
+    }
+
+    static isSignal(properties) {
+        return properties.highway === 'traffic_signals' || properties.traffic_signals === 'yes' ||
+            properties.traffic_signals === true || properties.crossing === 'traffic_signals';
+    }
+
+    static flattenCoordinates(geometry) {
+        if (!geometry) return [];
+        switch (geometry.type) {
+            case 'Point': return [geometry.coordinates];
+            case 'LineString': return geometry.coordinates;
+            case 'MultiLineString': return geometry.coordinates.flat();
+            default: return [];
+        }
+    }
+}
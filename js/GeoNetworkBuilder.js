@@ -0,0 +1,245 @@
+// js/GeoNetworkBuilder.js
+import * as THREE from 'three';
+import { Config } from './Config.js';
+import { RoadNetwork } from './RoadNetwork.js';
+
+const METRES_PER_DEGREE_LAT = 110540;
+const METRES_PER_DEGREE_LON = 111320; // At the equator, scaled by cos(latitude)
+
+// Default lanes per direction and speed (km/h) by OSM highway class
+const HIGHWAY_DEFAULTS = {
+    motorway: { lanes: 2, speed: 100 }, motorway_link: { lanes: 1, speed: 60 },
+    trunk: { lanes: 2, speed: 80 }, trunk_link: { lanes: 1, speed: 50 },
+    primary: { lanes: 2, speed: 60 }, primary_link: { lanes: 1, speed: 40 },
+    secondary: { lanes: 1, speed: 50 }, secondary_link: { lanes: 1, speed: 40 },
+    tertiary: { lanes: 1, speed: 50 }, tertiary_link: { lanes: 1, speed: 40 },
+    unclassified: { lanes: 1, speed: 40 }, residential: { lanes: 1, speed: 30 },
+    living_street: { lanes: 1, speed: 15 }, service: { lanes: 1, speed: 20 },
+    road: { lanes: 1, speed: 40 }
+};
+// Ways that are not for motor vehicles
+const EXCLUDED_HIGHWAYS = ['footway', 'path', 'cycleway', 'steps', 'pedestrian', 'track', 'bridleway',
+    'construction', 'proposed', 'corridor', 'platform', 'elevator', 'bus_stop', 'traffic_signals'];
+
+// Shared by GeoJSONLoader and OSMLoader: collects geographic points and ways, projects them to
+// scene units (equirectangular around the data centre, +Z North) and turns them into a RoadNetwork.
+export class GeoNetworkBuilder {
+    constructor(options = {}) {
+        this.scale = options.scale ?? Config.importScale ?? 1; // Scene units per metre
+        this.origin = options.origin ?? null; // { lat, lon } projected to the scene origin, data centre if null
+        this.projected = options.projected ?? false; // true when coordinates are already metres (x = east, y = north)
+        this.mergeDistance = options.mergeDistance ?? Config.importMergeDistance ?? 3;
+        this.signalSnapDistance = options.signalSnapDistance ?? Config.importSignalSnapDistance ?? 25;
+        this.bendAngle = THREE.MathUtils.degToRad(options.bendAngleDegrees ?? 15); // Shape points turning more than this become nodes
+        this.points = new Map(); // key -> { lon, lat, signal, uses }
+        this.ways = [];
+    }
+
+    addPoint(key, lon, lat, { signal = false } = {}) {
+        const existing = this.points.get(key);
+        if (existing) {
+            existing.signal = existing.signal || signal;
+            return existing;
+        }
+        const point = { key, lon, lat, signal, uses: 0, x: 0, z: 0 };
+        this.points.set(key, point);
+        return point;
+    }
+
+    markSignal(key) {
+        const point = this.points.get(key);
+        if (point) point.signal = true;
+    }
+
+    // pointKeys in digitised order; options as returned by wayOptionsFromTags
+    addWay(pointKeys, options = {}) {
+        const keys = pointKeys.filter((key, i) => this.points.has(key) && key !== pointKeys[i - 1]);
+        if (keys.length < 2) return;
+        if (options.reverse) keys.reverse();
+        keys.forEach(key => this.points.get(key).uses++);
+        this.ways.push({ keys, options });
+    }
+
+    // Lane counts, speed and one-way handling from OSM-style tags (also used for GeoJSON properties)
+    static wayOptionsFromTags(tags = {}) {
+        const highway = tags.highway || 'road';
+        const defaults = HIGHWAY_DEFAULTS[highway] || HIGHWAY_DEFAULTS.road;
+        const oneway = String(tags.oneway ?? (tags.junction === 'roundabout' ? 'yes' : 'no')).toLowerCase();
+        const isOneWay = ['yes', 'true', '1', '-1'].includes(oneway);
+        const totalLanes = parseInt(tags.lanes, 10);
+
+        let lanesForward;
+        let lanesBackward;
+        if (isOneWay) {
+            lanesForward = Number.isFinite(totalLanes) ? totalLanes : defaults.lanes;
+            lanesBackward = 0;
+        } else {
+            lanesForward = parseInt(tags['lanes:forward'], 10);
+            lanesBackward = parseInt(tags['lanes:backward'], 10);
+            if (!Number.isFinite(lanesForward)) lanesForward = Number.isFinite(totalLanes) ? Math.ceil(totalLanes / 2) : defaults.lanes;
+            if (!Number.isFinite(lanesBackward)) lanesBackward = Number.isFinite(totalLanes) ? Math.floor(totalLanes / 2) : defaults.lanes;
+            lanesForward = Math.max(1, lanesForward);
+            lanesBackward = Math.max(1, lanesBackward);
+        }
+        return {
+            lanesForward: Math.max(1, lanesForward),
+            lanesBackward,
+            reverse: oneway === '-1',
+            speedLimit: GeoNetworkBuilder.parseSpeed(tags.maxspeed, defaults.speed),
+            name: tags.name || tags.ref || '',
+            highway
+        };
+    }
+
+    static isDrivable(highway, includeService = Config.importIncludeService ?? false) {
+        if (!highway) return false;
+        if (EXCLUDED_HIGHWAYS.includes(highway)) return false;
+        if (highway === 'service' && !includeService) return false;
+        return true;
+    }
+
+    // OSM maxspeed ("50", "30 mph") to scene units per second
+    static parseSpeed(maxspeed, fallbackKmh) {
+        let kmh = fallbackKmh;
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(mph)?/i.exec(maxspeed || '');
+        if (match) kmh = parseFloat(match[1]) * (match[2] ? 1.609 : 1);
+        return (kmh / 3.6) * (Config.importScale ?? 1);
+    }
+
+    project() {
+        const used = [...this.points.values()].filter(p => p.uses > 0);
+        if (used.length === 0) return;
+        if (this.projected) {
+            const centreX = this.origin?.x ?? (Math.min(...used.map(p => p.lon)) + Math.max(...used.map(p => p.lon))) / 2;
+            const centreY = this.origin?.y ?? (Math.min(...used.map(p => p.lat)) + Math.max(...used.map(p => p.lat))) / 2;
+            this.points.forEach(p => {
+                p.x = (p.lon - centreX) * this.scale;
+                p.z = (p.lat - centreY) * this.scale;
+            });
+            return;
+        }
+        const lat0 = this.origin?.lat ?? (Math.min(...used.map(p => p.lat)) + Math.max(...used.map(p => p.lat))) / 2;
+        const lon0 = this.origin?.lon ?? (Math.min(...used.map(p => p.lon)) + Math.max(...used.map(p => p.lon))) / 2;
+        const lonScale = METRES_PER_DEGREE_LON * Math.cos(lat0 * Math.PI / 180);
+        this.points.forEach(p => {
+            p.x = (p.lon - lon0) * lonScale * this.scale;
+            p.z = (p.lat - lat0) * METRES_PER_DEGREE_LAT * this.scale;
+        });
+    }
+
+    build() {
+        this.project();
+        const network = new RoadNetwork();
+
+        // Points that become graph nodes: way ends, shared points, signals and noticeable bends
+        const kept = new Set();
+        this.ways.forEach(({ keys }) => {
+            keys.forEach((key, i) => {
+                const point = this.points.get(key);
+                if (i === 0 || i === keys.length - 1 || point.uses > 1 || point.signal) {
+                    kept.add(key);
+                    return;
+                }
+                const prev = this.points.get(keys[i - 1]);
+                const next = this.points.get(keys[i + 1]);
+                const a1 = Math.atan2(point.z - prev.z, point.x - prev.x);
+                const a2 = Math.atan2(next.z - point.z, next.x - point.x);
+                let turn = Math.abs(a2 - a1);
+                if (turn > Math.PI) turn = 2 * Math.PI - turn;
+                if (turn > this.bendAngle) kept.add(key);
+            });
+        });
+
+        // Merge kept points that are closer than mergeDistance (dual carriageway ends, digitising noise)
+        const representative = new Map([...kept].map(key => [key, key]));
+        const find = (key) => {
+            while (representative.get(key) !== key) key = representative.get(key);
+            return key;
+        };
+        const keptList = [...kept];
+        for (let i = 0; i < keptList.length; i++) {
+            for (let j = i + 1; j < keptList.length; j++) {
+                const a = this.points.get(keptList[i]);
+                const b = this.points.get(keptList[j]);
+                if (Math.hypot(a.x - b.x, a.z - b.z) < this.mergeDistance) {
+                    representative.set(find(keptList[j]), find(keptList[i]));
+                }
+            }
+        }
+        const groups = new Map();
+        keptList.forEach(key => {
+            const root = find(key);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(this.points.get(key));
+        });
+        const nodeIdOf = new Map();
+        groups.forEach((members, root) => {
+            const x = members.reduce((sum, p) => sum + p.x, 0) / members.length;
+            const z = members.reduce((sum, p) => sum + p.z, 0) / members.length;
+            network.addNode({ id: `geo_${root}`, x, z });
+            members.forEach(p => nodeIdOf.set(p.key, `geo_${root}`));
+        });
+
+        // Edges between consecutive kept points; opposite one-way ways between the same nodes become one two-way edge
+        const edgeByPair = new Map();
+        const laneWidth = Config.laneWidth || 3.5;
+        this.ways.forEach(({ keys, options }) => {
+            const nodeIds = keys.filter(key => kept.has(key)).map(key => nodeIdOf.get(key));
+            for (let i = 0; i + 1 < nodeIds.length; i++) {
+                const fromId = nodeIds[i];
+                const toId = nodeIds[i + 1];
+                if (fromId === toId) continue;
+                const pairKey = [fromId, toId].sort().join('|');
+                const existing = edgeByPair.get(pairKey);
+                if (existing) {
+                    const sameDirection = existing.from === fromId;
+                    const forward = sameDirection ? options.lanesForward : options.lanesBackward;
+                    const backward = sameDirection ? options.lanesBackward : options.lanesForward;
+                    existing.lanesForward = Math.max(existing.lanesForward, forward);
+                    existing.lanesBackward = Math.max(existing.lanesBackward, backward);
+                    existing.width = Math.max(Config.roadWidth, (existing.lanesForward + existing.lanesBackward) * laneWidth);
+                    continue;
+                }
+                const edge = network.addEdge(fromId, toId, {
+                    lanesForward: options.lanesForward,
+                    lanesBackward: options.lanesBackward,
+                    speedLimit: options.speedLimit,
+                    name: options.name
+                });
+                if (edge) edgeByPair.set(pairKey, edge);
+            }
+        });
+
+        network.removeIsolatedNodes(); // Merged away or only zero-length edges
+
+        // Signals: tagged on the junction itself, or (commonly in OSM) on the approach a few metres before it
+        const isCrossing = n => network.getEdgesAt(n.id).length >= 3;
+        this.points.forEach(point => {
+            if (!point.signal) return;
+            const nodeId = nodeIdOf.get(point.key);
+            if (!nodeId || !network.getNode(nodeId)) { // Stand-alone signal point (e.g. a GeoJSON Point feature)
+                const junction = network.nearestNode({ x: point.x, z: point.z }, isCrossing);
+                if (junction && Math.hypot(junction.position.x - point.x, junction.position.z - point.z) <= this.signalSnapDistance) {
+                    junction.signalized = true;
+                }
+                return;
+            }
+            const degree = network.getEdgesAt(nodeId).length;
+            if (degree >= 3) {
+                network.getNode(nodeId).signalized = true;
+                return;
+            }
+            const junction = network.nearestNode(network.getNode(nodeId).position, isCrossing);
+            if (junction && junction.position.distanceTo(network.getNode(nodeId).position) <= this.signalSnapDistance) {
+                junction.signalized = true;
+            } else if (degree === 2) {
+                network.getNode(nodeId).signalized = true; // Mid-block signal, e.g. a signalised crossing
+            }
+        });
+
+        network.finalize();
+        console.log(`GeoNetworkBuilder: ${network.nodes.size} nodes, ${network.edges.size} edges, ` +
+            `${network.junctions.filter(j => j.signalized).length} signalised junctions.`);
+        return network;
+    }
+}
@@ -0,0 +1,936 @@
+// js/JunctionController.js
+import { Config } from './Config.js';
+import { TrafficLight } from './TrafficLight.js';
+import { RoadNetwork } from './RoadNetwork.js';
+import { Router } from './Router.js';
+import { DetectorLoop } from './DetectorLoop.js';
+import { ConflictMonitor } from './ConflictMonitor.js';
+import { MovementConflicts } from './MovementConflicts.js';
+import { PedestrianSignal } from './PedestrianSignal.js';
+
+const LIGHT_STATE = TrafficLight.LIGHT_STATE;
+const GO_STATES = [LIGHT_STATE.GREEN, LIGHT_STATE.YELLOW, LIGHT_STATE.FLASHING_YELLOW];
+const PED_STATE = PedestrianSignal.PED_STATE;
+const APPROACH_ORDER = ['north', 'south', 'east', 'west']; // Keeps TL0..TL3 = traffic from N, S, E, W on 4-way junctions
+// 'flashingRed':    every head flashes red: an all-way stop
+// 'flashingYellow': the main road (longest green in the plan) flashes yellow, the side roads red
+// 'dark':           every light is off after a power failure: drivers give way as at an unsignalled junction
+// 'stuckLamp':      one light keeps showing one state whatever the controller commands; the plan runs on
+// Flashing and dark junctions cannot be preempted; emergency vehicles cross them unaided.
+const FAULT_MODES = ['flashingRed', 'flashingYellow', 'dark', 'stuckLamp'];
+const TURN_NAMES = { straight: 'straight on', nearSide: 'turning kerb side', farSide: 'turning across traffic', uTurn: 'U-turn' };
+
+// Arrow head ('left', 'straight', 'right') showing a turn, also given as a Router turn type ('farSide', 'nearSide', ...)
+function getArrowFor(turn) {
+    if (turn === 'left' || turn === 'straight' || turn === 'right') return turn;
+    const farSide = Config.driveOnLeft === false ? 'left' : 'right';
+    if (turn === 'farSide' || turn === 'uTurn') return farSide;
+    return farSide === 'right' ? 'left' : 'right';
+}
+
+// Plan for junctions that neither the plans file nor the imported network gives one: east-west, then north-south
+function createDefaultPlan() {
+    const green = (Config.trafficLightGreenDuration || 8000) / 1000;
+    const yellow = (Config.trafficLightYellowDuration || 2000) / 1000;
+    return {
+        name: 'default',
+        offset: 0,
+        phases: [
+            { name: 'EW green', duration: green, movements: { east: 'GREEN', west: 'GREEN' } },
+            { name: 'EW yellow', duration: yellow, movements: { east: 'YELLOW', west: 'YELLOW' } },
+            { name: 'all red', duration: 1, movements: {} },
+            { name: 'NS green', duration: green, movements: { north: 'GREEN', south: 'GREEN' } },
+            { name: 'NS yellow', duration: yellow, movements: { north: 'YELLOW', south: 'YELLOW' } },
+            { name: 'all red', duration: 1, movements: {} }
+        ]
+    };
+}
+
+// Signal controller of one junction: owns the traffic light of each approach, runs the junction's signal plan and
+// hands the lights to emergency vehicles on request (preempt / release).
+// A signal plan (JSON): { name, offset (s), phases: [{ name, duration (s), movements: { approach: 'GREEN' | 'YELLOW' | 'RED' } }] }
+// where an approach is the compass direction its traffic comes from ('north', 'east', ...) or a road network edge id.
+// Approaches a phase does not list are red. The offset delays the start of the cycle (for coordination between junctions).
+// Turn arrows: '<approach>:<turn>' keys with turn 'left', 'straight', 'right', 'nearSide' or 'farSide' and the states
+// above or 'FLASHING_YELLOW' (permissive: turn after giving way to oncoming traffic) drive the approach's arrow heads;
+// arrows a phase does not list are dark and the turn follows the main head. See the 'protectedTurns' plan.
+// Legs a plan serves together whose movements conflict on this junction's geometry (skewed legs, see
+// MovementConflicts) are served one after the other instead; see separateConflicts().
+// Fault modes (setFault) stand in for failing signal hardware: see FAULT_MODES above.
+// Optional actuated control: plan.control 'actuated' (default Config.signalControl), plan.passageTime (s) and per phase
+// minGreen / maxGreen (s, maxGreen defaults to the duration); see getActuatedTermination().
+export class JunctionController {
+    constructor(id, node, network, center, plan = null) {
+        this.id = id;
+        this.nodeId = node.id;
+        this.network = network;
+        this.center = center;
+        this.approaches = []; // One entry per road leg: { edge, travelDir, compass, heading, light, loop, stateTime, arrowTimes }
+        this.trafficLights = [];
+        this.pedestrianSignals = [];
+        this.crossings = []; // Pedestrian crossing over each approach leg: { approach, signal, clearance (s) }
+        this.reflectors = [];
+        this.reflectorStrips = []; // One per approach leg: { approach: { edge, travelDir, compass }, reflectors (closest to the junction first) }
+        this.reflectorChain = []; // Reflectors that have been activated in sequence
+
+        // Emergency preemption (arbitrated in main.js, see PreemptionArbiter)
+        this.isAmbulanceApproaching = false; // Lights are held for emergency vehicles
+        this.preemptionRequests = new Map(); // Ambulance -> request (approach, exit, ETA, priority)
+        this.preemptingVehicle = null; // Ambulance that won the last arbitration
+        this.grantedApproachKey = null; // Approaches currently held green, to switch lights only on change
+        this.preemptedMovements = []; // Movements served by the preemption: { vehicle, approach, exit } from the vehicles' routes
+        this.preemptedEdges = []; // Their approach edges, turned green once the others have cleared
+        this.preemptionEntryTime = 0; // Seconds since the preemption (or its last change) started
+        this.preemptionDuration = 0; // Seconds the current preemption has held the junction
+        this.totalPreemptionTime = 0; // Seconds under preemption over the whole run
+        this.preemptionCount = 0;
+        this.isPreemptionClear = false; // Conflicting approaches have had their yellow and all-red clearance
+        this.isExitingPreemption = false; // Released: the preemption greens are running their yellow and all-red
+        this.interruptedPhaseIndex = 0; // Phase the plan was in when the preemption started
+        this.arbitrationKey = null; // Last logged outcome
+
+        // Recovery after preemption (see startRecovery)
+        this.recovery = null; // { strategy, releasedAt, pending: approaches not yet served green, offsetError }
+        this.resyncCorrection = 0; // Seconds still to add to (positive) or take from (negative) green phases to regain the offset
+        this.isPhaseAdjusted = false; // The running phase was lengthened or shortened for the resynchronisation
+        this.recoveryLog = []; // { cause, strategy, releasedAt, cycles, offsetError }
+
+        // Signal faults (see setFault)
+        this.fault = null; // { mode, cause, since, light (stuck lamp), refusedPreemptions }
+        this.faultLog = []; // { mode, cause, since, until, refusedPreemptions }
+        this.restartTime = 0; // Seconds of all-red still to run after a fault before the plan restarts
+        this.conflictMonitor = null; // Checks every change of the lights (made with them, see ConflictMonitor)
+
+        // Transit signal priority
+        this.transitRequests = new Map(); // Approach edge -> bus asking for a green extension
+        this.greenExtension = 0; // Seconds the current phase has been extended for buses
+        this.transitExtensions = 0;
+
+        this.plan = null;
+        this.pendingPlan = null; // Plan taking over at the next cycle start (adaptive timing)
+        this.phases = [];
+        this.currentPhaseIndex = 0;
+        this.currentPhaseTimer = 0; // Seconds left in the current phase
+        this.phaseElapsed = 0; // Seconds the current phase has run
+        this.actuationStats = { gapOuts: 0, maxOuts: 0, skips: 0 };
+        this.isUnderNormalCycle = true;
+        this.clock = 0; // Simulation seconds, for the plan's offset
+        this.setPlan(plan ?? createDefaultPlan());
+    }
+
+    // One traffic light per approach leg, on the kerb side of the inbound lanes just before the junction square
+    createLights(poleBaseY) {
+        const node = this.network.getNode(this.nodeId);
+        const footpathWidth = Config.footpathWidth || 1.5;
+        const approaches = this.network.getApproaches(this.nodeId)
+            .sort((a, b) => APPROACH_ORDER.indexOf(a.compass) - APPROACH_ORDER.indexOf(b.compass));
+        approaches.forEach((approach, index) => {
+            const kerbSide = this.network.getKeepSideNormal(approach.edge, approach.travelDir);
+            const position = this.center.clone()
+                .addScaledVector(approach.heading, node.size / 2 + 0.5)
+                .addScaledVector(kerbSide, approach.edge.width / 2 + footpathWidth / 2 + 0.5)
+                .setY(poleBaseY);
+            const rotationY = Math.atan2(approach.heading.x, approach.heading.z); // Face the approaching traffic
+
+            const trafficLight = new TrafficLight(position, rotationY);
+            trafficLight.id = `J${this.id}_TL${index}`; // Unique ID for debugging
+            this.trafficLights.push(trafficLight);
+            const loop = new DetectorLoop(`J${this.id}_D${index}`, approach, node.size);
+            const entry = { ...approach, light: trafficLight, loop, stateTime: 0, arrowTimes: {} }; // Seconds showing the current state (of each arrow)
+            this.approaches.push(entry);
+
+            const pedestrianSignal = new PedestrianSignal(position, Math.atan2(-kerbSide.x, -kerbSide.z)); // On the same pole, facing across the road
+            pedestrianSignal.id = `J${this.id}_PS${index}`;
+            this.pedestrianSignals.push(pedestrianSignal);
+            const clearance = Config.pedestrianClearanceTime ?? approach.edge.width / (Config.pedestrianWalkSpeed ?? 1.5);
+            this.crossings.push({ approach: entry, signal: pedestrianSignal, clearance });
+        });
+        this.phases = this.separateConflicts(this.plan.phases);
+        this.setCycleTime(this.clock - this.plan.offset);
+        this.applyPhase(true);
+        this.conflictMonitor = new ConflictMonitor(this);
+        return this.trafficLights;
+    }
+
+    // Switches to another plan, starting at the point of its cycle given by its offset and the simulation time
+    setPlan(plan, simulationTime = this.clock) {
+        if (!this.loadPlan(plan)) {
+            console.warn(`JunctionController ${this.id}: plan '${plan?.name}' has no phases, using the default plan.`);
+            return this.setPlan(createDefaultPlan(), simulationTime);
+        }
+        this.setCycleTime(simulationTime - this.plan.offset);
+        if (this.trafficLights.length > 0 && this.isUnderNormalCycle) this.applyPhase(true);
+    }
+
+    // Takes over a plan's phases and settings without moving the cycle; false if it has no phases
+    loadPlan(plan) {
+        const phases = (plan?.phases || []).filter(p => p.duration > 0);
+        if (phases.length === 0) return false;
+        this.plan = {
+            name: plan.name || 'unnamed', offset: plan.offset ?? 0, phases,
+            control: plan.control ?? Config.signalControl ?? 'fixed', passageTime: plan.passageTime
+        };
+        this.phases = this.separateConflicts(phases);
+        return true;
+    }
+
+    // The plan's phases, with every stage (phases between two all-reds) that lets conflicting movements of two legs go
+    // at once run once per group of legs that can go together, each group followed by the stage's all-red. Needs the
+    // approaches: the phases are taken as they are until the lights exist.
+    separateConflicts(phases) {
+        if (this.approaches.length === 0) return phases;
+        const isClearance = (phase) => !this.approaches.some(a => this.getReleasedMovements(phase, null, a).length > 0);
+        const stages = [];
+        phases.forEach(phase => {
+            const stage = stages[stages.length - 1];
+            if (!stage || stage.clearance.length > 0 && !isClearance(phase)) stages.push({ phases: [phase], clearance: [] });
+            else if (isClearance(phase)) stage.clearance.push(phase);
+            else stage.phases.push(phase);
+        });
+        return stages.flatMap(stage => {
+            const groups = this.groupCompatibleLegs(stage.phases);
+            if (groups.length <= 1) return [...stage.phases, ...stage.clearance];
+            console.log(`Junction ${this.id}: plan '${this.plan.name}' serves ${groups.map(g => g.map(a => a.light.id).join('+')).join(' then ')} ` +
+                `in '${stage.phases[0].name}': their movements conflict.`);
+            const clearance = stage.clearance.length > 0 ? stage.clearance : [{ name: 'all red', duration: Config.preemptionAllRedTime ?? 1.5, movements: {} }];
+            return groups.flatMap(group => [...stage.phases.map(phase => this.restrictPhase(phase, group)), ...clearance]);
+        });
+    }
+
+    // Legs a stage lets go, in groups (approach order) whose movements never conflict in any of its phases
+    groupCompatibleLegs(phases) {
+        const released = phases.map((phase, i) => new Map(this.approaches.map(a => [a, this.getReleasedMovements(phase, phases[i - 1] ?? null, a)])));
+        const legs = this.approaches.filter(a => released.some(movements => movements.get(a).length > 0));
+        const compatible = (a, b) => released.every(movements =>
+            movements.get(a).every(m => movements.get(b).every(n => !MovementConflicts.isConflict(this.network, m, n))));
+        const groups = [];
+        legs.forEach(leg => {
+            const group = groups.find(g => g.every(other => compatible(leg, other)));
+            if (group) group.push(leg);
+            else groups.push([leg]);
+        });
+        return groups;
+    }
+
+    // A phase limited to the given legs, listed by edge id (legs may share a compass direction)
+    restrictPhase(phase, legs) {
+        const movements = {};
+        Object.entries(phase.movements || {}).forEach(([key, value]) => {
+            const split = key.lastIndexOf(':');
+            const leg = split > 0 ? key.slice(0, split) : key;
+            legs.filter(a => leg === a.edge.id || leg === a.compass).forEach(a => {
+                const id = split > 0 ? `${a.edge.id}:${key.slice(split + 1)}` : a.edge.id;
+                if (leg === a.edge.id || !(id in movements)) movements[id] = value;
+            });
+        });
+        return { ...phase, name: `${phase.name} (${legs.map(a => a.light.id).join('+')})`, movements };
+    }
+
+    // Movements of an approach a phase lets go (green, yellow or flashing yellow), protected on a green arrow and on
+    // the yellow arrow after one (the phase before)
+    getReleasedMovements(phase, previous, approach) {
+        const state = this.getMovementState(phase, approach);
+        const arrows = this.getArrowStates(phase, approach);
+        const previousArrows = previous ? this.getArrowStates(previous, approach) : {};
+        return MovementConflicts.getLegMovements(this.network, approach).map(movement => {
+            const arrow = this.getMovementArrow(approach, movement.exit);
+            const arrowState = arrows[arrow];
+            const isProtected = arrowState === LIGHT_STATE.GREEN || (arrowState === LIGHT_STATE.YELLOW && previousArrows[arrow] === LIGHT_STATE.GREEN);
+            return { ...movement, approach, state: arrowState ?? state, isProtected };
+        }).filter(movement => GO_STATES.includes(movement.state));
+    }
+
+    // Plan to run from the start of the next cycle (see adoptPlan); offset null keeps the cycle where it is
+    schedulePlan(plan) {
+        this.pendingPlan = plan;
+    }
+
+    // Switches to the scheduled plan as its first phase starts. Nothing jumps: the new cycle starts now and, if
+    // that is off the plan's offset, the next greens are shortened or lengthened as after a preemption.
+    adoptPlan() {
+        const plan = this.pendingPlan;
+        this.pendingPlan = null;
+        if (!this.loadPlan(plan)) return;
+        const cycleLength = this.getCycleLength();
+        if (plan.offset === null || plan.offset === undefined) this.plan.offset = ((this.clock % cycleLength) + cycleLength) % cycleLength;
+        const ahead = (((this.clock - this.plan.offset) % cycleLength) + cycleLength) % cycleLength;
+        this.resyncCorrection = this.getResyncCorrection(ahead, 'shortWay');
+        console.log(`Junction ${this.id}: now running plan '${this.plan.name}' (cycle ${cycleLength.toFixed(0)} s)` +
+            (this.resyncCorrection ? `, ${this.resyncCorrection > 0 ? 'lengthening' : 'shortening'} greens by ${Math.abs(this.resyncCorrection).toFixed(1)} s to reach its offset.` : '.'));
+    }
+
+    getCycleLength() {
+        return this.phases.reduce((sum, p) => sum + p.duration, 0);
+    }
+
+    // Moves to the phase that is active cycleTime seconds into the cycle (wraps, negative allowed)
+    setCycleTime(cycleTime) {
+        const cycleLength = this.getCycleLength();
+        let t = ((cycleTime % cycleLength) + cycleLength) % cycleLength;
+        for (let i = 0; i < this.phases.length; i++) {
+            if (t < this.phases[i].duration) {
+                this.currentPhaseIndex = i;
+                this.currentPhaseTimer = this.phases[i].duration - t;
+                this.phaseElapsed = t;
+                return;
+            }
+            t -= this.phases[i].duration;
+        }
+    }
+
+    getCurrentPhase() {
+        return this.phases[this.currentPhaseIndex];
+    }
+
+    // Seconds into the cycle at which a phase starts
+    getPhaseStart(index) {
+        return this.phases.slice(0, index).reduce((sum, p) => sum + p.duration, 0);
+    }
+
+    phaseHasGreen(phase) {
+        return this.approaches.some(approach => this.servesApproach(phase, approach));
+    }
+
+    // The phase gives the approach a green, for all its traffic or for a protected turn
+    servesApproach(phase, approach) {
+        return this.getMovementState(phase, approach) === LIGHT_STATE.GREEN ||
+            Object.values(this.getArrowStates(phase, approach)).includes(LIGHT_STATE.GREEN);
+    }
+
+    isActuated() {
+        return this.plan.control === 'actuated';
+    }
+
+    // Detector loops see the cars; a call is only kept while the approach waits (not green)
+    updateDetectors(cars, deltaTime) {
+        this.approaches.forEach(approach => approach.loop.update(cars, deltaTime, approach.light.currentState === LIGHT_STATE.GREEN));
+    }
+
+    // State a phase gives an approach: listed by edge id or by compass direction, otherwise red
+    getMovementState(phase, approach) {
+        const movements = phase.movements || {};
+        return LIGHT_STATE[movements[approach.edge.id] ?? movements[approach.compass]] || LIGHT_STATE.RED;
+    }
+
+    // Arrows a phase lights on an approach: { arrow: state } for the '<approach>:<turn>' movements it lists
+    getArrowStates(phase, approach) {
+        const arrows = {};
+        Object.entries(phase.movements || {}).forEach(([key, value]) => {
+            const split = key.lastIndexOf(':');
+            if (split <= 0 || !LIGHT_STATE[value]) return;
+            const leg = key.slice(0, split);
+            if (leg === approach.edge.id || leg === approach.compass) arrows[getArrowFor(key.slice(split + 1))] = LIGHT_STATE[value];
+        });
+        return arrows;
+    }
+
+    // Signal for traffic along an approach edge heading for exit ({ edge, travelDir }, null = straight on): the
+    // arrow of its turn when that is lit, else the main head; null where the approach has no light
+    getSignalFor(edge, exit) {
+        const approach = this.approaches.find(a => a.edge === edge);
+        return approach ? approach.light.getStateFor(this.getMovementArrow(approach, exit)) : null;
+    }
+
+    // Arrow head ('left', 'straight', 'right') of the turn from an approach to an exit (null = straight on)
+    getMovementArrow(approach, exit) {
+        return getArrowFor(exit ? Router.getTurnType(this.network, approach, exit) : 'straight');
+    }
+
+    // Light controlling traffic that reaches the junction along the given edge
+    getApproachLight(edge) {
+        const approach = this.approaches.find(a => a.edge === edge);
+        return approach ? approach.light : null;
+    }
+
+    // Reflectors along one approach leg; each reflector knows its strip, so a detection tells the leg
+    addReflectorStrip(approach, reflectors) {
+        const strip = { approach, reflectors };
+        reflectors.forEach(reflector => { reflector.strip = strip; });
+        this.reflectorStrips.push(strip);
+        this.reflectors.push(...reflectors);
+        return strip;
+    }
+
+    // Reflector closest to an emergency vehicle among those hearing its siren (null = out of range of every strip)
+    getNearestReflector(position) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.reflectors.forEach(reflector => {
+            const distance = reflector.group.position.distanceTo(position);
+            if (distance < nearestDistance && reflector.canDetectAmbulance(position)) {
+                nearest = reflector;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // Runs the plan (or the preemption entry or exit sequence); the green of a bus asking for transit priority may run on past its duration
+    update(deltaTime) {
+        this.conflictMonitor?.check(); // The light changes since the last update, before the clock moves on
+        this.clock += deltaTime;
+        if (this.trafficLights.length === 0) return;
+        this.trafficLights.forEach(light => light.update(deltaTime));
+        this.pedestrianSignals.forEach(signal => signal.update(deltaTime));
+        this.approaches.forEach(approach => {
+            approach.stateTime += deltaTime;
+            Object.keys(approach.arrowTimes).forEach(arrow => { approach.arrowTimes[arrow] += deltaTime; });
+        });
+        this.updateCrossings();
+        this.updateCountdowns();
+        if (this.fault && this.fault.mode !== 'stuckLamp') return; // The lights are left as the fault set them
+        if (this.restartTime > 0) {
+            this.restartTime -= deltaTime;
+            if (this.restartTime <= 0) this.startRecovery('fault');
+            return;
+        }
+        if (!this.isUnderNormalCycle) {
+            this.preemptionEntryTime += deltaTime;
+            this.preemptionDuration += deltaTime;
+            this.totalPreemptionTime += deltaTime;
+            if (this.isExitingPreemption) this.updatePreemptionExit();
+            else this.updatePreemption();
+            return;
+        }
+        this.currentPhaseTimer -= deltaTime;
+        this.phaseElapsed += deltaTime;
+        const termination = this.isActuated() ? this.getActuatedTermination() : null;
+        if (this.isActuated() ? !termination : this.currentPhaseTimer > 0) return;
+        if (this.extendGreenForTransit(deltaTime)) return;
+        if (termination === 'gap-out') this.actuationStats.gapOuts++;
+        if (termination === 'max-out') this.actuationStats.maxOuts++;
+        this.greenExtension = 0;
+        this.currentPhaseIndex = this.isActuated() ? this.getNextActuatedPhaseIndex() : (this.currentPhaseIndex + 1) % this.phases.length;
+        if (this.pendingPlan && this.currentPhaseIndex === 0 && !this.recovery) this.adoptPlan();
+        if (this.isActuated()) this.currentPhaseTimer = this.getCurrentPhase().duration;
+        else this.currentPhaseTimer += this.getCurrentPhase().duration + this.takeResyncAdjustment();
+        this.phaseElapsed = 0;
+        this.applyPhase();
+        this.updateRecovery();
+    }
+
+    // Actuated control: a green runs at least its minimum green, then ends when the loops of its approaches have
+    // seen no vehicle for the passage time (gap-out) or at its maximum green (max-out). With no demand from any
+    // other approach it rests in green, except while recovering (see startRecovery): then every green ends at its
+    // minimum, so each approach gets its green back in turn. Yellows and all-reds always run their duration.
+    // Returns why the phase ends now ('gap-out', 'max-out', 'min-green', 'timed' for the others) or null.
+    getActuatedTermination() {
+        const phase = this.getCurrentPhase();
+        if (!this.phaseHasGreen(phase)) return this.currentPhaseTimer <= 0 ? 'timed' : null;
+        if (this.phaseElapsed < (phase.minGreen ?? Config.actuatedMinGreen ?? 5)) return null;
+        if (this.crossings.some(c => c.signal.currentState === PED_STATE.WALK || c.signal.currentState === PED_STATE.FLASHING_DONT_WALK)) return null; // Held for the pedestrians
+        const served = this.approaches.filter(a => this.servesApproach(phase, a));
+        if (!this.approaches.some(a => !served.includes(a) && a.loop.hasCall)) return this.recovery ? 'min-green' : null;
+        if (this.phaseElapsed >= (phase.maxGreen ?? phase.duration)) return 'max-out';
+        const passageTime = this.plan.passageTime ?? Config.actuatedPassageTime ?? 2.5;
+        return Math.min(...served.map(a => a.loop.gapTime)) >= passageTime ? 'gap-out' : null;
+    }
+
+    // Next phase, skipping a green (with the yellow and all-red after it) that nobody is waiting for while another
+    // green has demand; never onto a green for an approach that is still showing yellow, nor while recovering
+    getNextActuatedPhaseIndex() {
+        const count = this.phases.length;
+        const next = (this.currentPhaseIndex + 1) % count;
+        const hasDemand = (phase) => this.approaches.some(a => this.servesApproach(phase, a) && a.loop.hasCall);
+        if (this.recovery || !this.phaseHasGreen(this.phases[next]) || hasDemand(this.phases[next])) return next;
+        if (!this.phases.some(phase => this.phaseHasGreen(phase) && hasDemand(phase))) return next; // Nobody waiting: serve in turn
+        let candidate = next;
+        for (let i = 0; i < count; i++) {
+            const phase = this.phases[candidate];
+            if (this.phaseHasGreen(phase) && hasDemand(phase)) break;
+            candidate = (candidate + 1) % count;
+        }
+        const isSafe = this.approaches.every(a => (a.light.currentState !== LIGHT_STATE.YELLOW &&
+            !Object.values(a.light.arrows).some(arrow => arrow.state === LIGHT_STATE.YELLOW)) || !this.servesApproach(this.phases[candidate], a));
+        if (!isSafe || candidate === next) return next;
+        this.actuationStats.skips++;
+        return candidate;
+    }
+
+    // Pedestrian signals follow the plan (see getPlannedCrossingState); a walk always ends in its full clearance, also
+    // when a preemption cuts the green short, and a clearance only follows a walk. Flashing and dark junctions leave them dark.
+    updateCrossings() {
+        const isFaulted = this.fault && this.fault.mode !== 'stuckLamp';
+        this.crossings.forEach(crossing => {
+            const signal = crossing.signal;
+            const current = signal.currentState;
+            let state = isFaulted ? PED_STATE.OFF : this.getPlannedCrossingState(crossing);
+            if (state === PED_STATE.FLASHING_DONT_WALK && current !== PED_STATE.WALK && current !== PED_STATE.FLASHING_DONT_WALK) state = PED_STATE.DONT_WALK;
+            if (current === PED_STATE.WALK && state === PED_STATE.DONT_WALK) state = PED_STATE.FLASHING_DONT_WALK;
+            if (current === PED_STATE.FLASHING_DONT_WALK && state === PED_STATE.DONT_WALK && signal.stateTime < crossing.clearance) state = current;
+            signal.setState(state, true);
+        });
+    }
+
+    // Walk while the crossing stays open for longer than its clearance, then flashing don't-walk until it closes. An
+    // actuated green has no known end: the walk runs from its start for pedestrianWalkTime and the green is held
+    // through it and the clearance (see getActuatedTermination).
+    getPlannedCrossingState(crossing) {
+        if (!this.isUnderNormalCycle || this.restartTime > 0) return PED_STATE.DONT_WALK;
+        if (!this.isCrossingOpen(this.getCurrentPhase(), crossing.approach)) return PED_STATE.DONT_WALK;
+        if (this.isActuated()) {
+            const walkTime = Config.pedestrianWalkTime ?? 4;
+            if (this.phaseElapsed < walkTime) return PED_STATE.WALK;
+            return this.phaseElapsed < walkTime + crossing.clearance ? PED_STATE.FLASHING_DONT_WALK : PED_STATE.DONT_WALK;
+        }
+        let timeLeft = this.currentPhaseTimer;
+        for (let i = 1; i < this.phases.length; i++) {
+            const phase = this.phases[(this.currentPhaseIndex + i) % this.phases.length];
+            if (!this.isCrossingOpen(phase, crossing.approach)) break;
+            timeLeft += phase.duration;
+        }
+        return timeLeft > crossing.clearance ? PED_STATE.WALK : PED_STATE.FLASHING_DONT_WALK;
+    }
+
+    // People may cross the leg of an approach while traffic on that leg (from it, and from the opposite leg straight
+    // into it) is held, no turn runs on a protected arrow, and the cross road has a green to walk alongside
+    isCrossingOpen(phase, leg) {
+        const isGoing = (state) => state === LIGHT_STATE.GREEN || state === LIGHT_STATE.YELLOW || state === LIGHT_STATE.FLASHING_YELLOW;
+        let hasCrossGreen = false;
+        for (const approach of this.approaches) {
+            const arrows = Object.values(this.getArrowStates(phase, approach));
+            if (arrows.some(state => state === LIGHT_STATE.GREEN || state === LIGHT_STATE.YELLOW)) return false;
+            const state = this.getMovementState(phase, approach);
+            if (approach === leg || approach.heading.dot(leg.heading) < -0.95) {
+                if (isGoing(state) || arrows.some(isGoing)) return false;
+            } else if (state === LIGHT_STATE.GREEN) hasCrossGreen = true;
+        }
+        return hasCrossGreen;
+    }
+
+    // Countdown displays: seconds until each main head changes, 'EV' while preempted, blank where that is unknown
+    // (faults, stuck lamps, the restart after a fault, actuated greens)
+    updateCountdowns() {
+        const isFaulted = (this.fault && this.fault.mode !== 'stuckLamp') || this.restartTime > 0;
+        this.approaches.forEach(approach => {
+            const light = approach.light;
+            if (isFaulted || light.stuckState) light.setCountdown(null);
+            else if (!this.isUnderNormalCycle) light.setCountdown('EV');
+            else light.setCountdown(this.getStateTimeLeft(approach));
+        });
+    }
+
+    // Seconds the main head of an approach keeps its state: the current phase's timer plus the phases after it that
+    // show the same (null if it never changes or an actuated green comes first)
+    getStateTimeLeft(approach) {
+        const state = approach.light.currentState;
+        const isOpenEnded = (phase) => this.isActuated() && this.phaseHasGreen(phase);
+        if (this.getMovementState(this.getCurrentPhase(), approach) !== state || isOpenEnded(this.getCurrentPhase())) return null;
+        let timeLeft = this.currentPhaseTimer;
+        for (let i = 1; i < this.phases.length; i++) {
+            const phase = this.phases[(this.currentPhaseIndex + i) % this.phases.length];
+            if (this.getMovementState(phase, approach) !== state) return timeLeft;
+            if (isOpenEnded(phase)) return null;
+            timeLeft += phase.duration;
+        }
+        return null;
+    }
+
+    applyPhase(silent = false) {
+        const phase = this.getCurrentPhase();
+        this.approaches.forEach(approach => {
+            this.setApproachState(approach, this.getMovementState(phase, approach), silent);
+            const arrows = this.getArrowStates(phase, approach);
+            new Set([...Object.keys(approach.light.arrows), ...Object.keys(arrows)])
+                .forEach(arrow => this.setApproachArrow(approach, arrow, arrows[arrow] ?? LIGHT_STATE.OFF, silent));
+        });
+    }
+
+    setApproachState(approach, state, silent = false) {
+        if (approach.light.currentState !== state) approach.stateTime = 0;
+        if (state === LIGHT_STATE.GREEN) approach.loop.clearCall(); // Served
+        if (approach.light.isOverridden) approach.light.setPriority(state, silent);
+        else approach.light.setLightState(state, false, silent);
+    }
+
+    setApproachArrow(approach, arrow, state, silent = false) {
+        if (approach.light.getArrowState(arrow) !== state || approach.arrowTimes[arrow] === undefined) approach.arrowTimes[arrow] = 0;
+        approach.light.setArrowState(arrow, state, approach.light.isOverridden, silent);
+    }
+
+    // Keeps the current phase running while it shows green to a requesting bus, up to tspMaxGreenExtension per phase
+    extendGreenForTransit(deltaTime) {
+        if (this.greenExtension >= (Config.tspMaxGreenExtension ?? 8)) return false;
+        const approach = this.approaches.find(a =>
+            a.light.currentState === LIGHT_STATE.GREEN && this.transitRequests.has(a.edge));
+        if (!approach) return false;
+        if (this.greenExtension === 0) {
+            console.log(`Junction ${this.id}: green extended for ${this.transitRequests.get(approach.edge).id} (transit signal priority).`);
+            this.transitExtensions++;
+        }
+        this.greenExtension += deltaTime;
+        this.currentPhaseTimer = 0;
+        return true;
+    }
+
+    // Preemption: green for the approach legs the granted movements ({ vehicle, approach: { edge, travelDir }, exit })
+    // come in on, whatever their direction and turn, red for every other leg, until release(). Like a real
+    // controller it does not switch in one step: a conflicting green first runs to its minimum green, then shows
+    // yellow, and the granted approaches only turn green after every other one has been red for the all-red clearance.
+    // Turn arrows are held on their own: on a granted leg only the arrows of the granted turns show green (the others
+    // red, whatever the main head shows), on every other leg they clear to red with the main head.
+    preempt(movements) {
+        if (!this.canPreempt()) {
+            if (this.fault) this.fault.refusedPreemptions++;
+            console.warn(`Junction ${this.id}: cannot preempt for ${movements.map(m => this.describeMovement(m)).join(', ')} ` +
+                `(${this.fault ? `signals ${this.fault.mode}` : 'restarting'}); crossing as at an unsignalled junction.`);
+            return;
+        }
+        const wasPreempted = !this.isUnderNormalCycle;
+        this.isAmbulanceApproaching = true;
+        this.isUnderNormalCycle = false;
+        this.preemptedMovements = movements;
+        this.preemptedEdges = [...new Set(movements.map(movement => movement.approach.edge))];
+        this.preemptionEntryTime = 0;
+        this.isPreemptionClear = false;
+        if (!wasPreempted) {
+            this.preemptionDuration = 0;
+            this.preemptionCount++;
+            this.interruptedPhaseIndex = this.currentPhaseIndex;
+            if (this.recovery) console.log(`Junction ${this.id}: preempted again before recovering (${this.recovery.strategy}).`);
+            this.recovery = null;
+            this.resyncCorrection = 0;
+        }
+        this.isExitingPreemption = false;
+        this.approaches.forEach(approach => approach.light.setPriority(approach.light.currentState, true)); // Hold the lights as they are
+        const conflicting = this.approaches.filter(a => !this.preemptedEdges.includes(a.edge) && a.light.currentState !== LIGHT_STATE.RED);
+        console.log(`Junction ${this.id}: preemption ${wasPreempted ? 'changed' : 'entry'} for ${movements.map(m => this.describeMovement(m)).join(', ')}; ` +
+            `clearing ${conflicting.length} conflicting approach(es).`);
+        this.updatePreemption();
+    }
+
+    // e.g. 'A1 from west, turning across traffic to north'
+    describeMovement(movement) {
+        const approach = this.approaches.find(a => a.edge === movement.approach.edge);
+        const from = approach ? `from ${approach.compass}` : `from unsignalled ${movement.approach.edge.id}`;
+        if (!movement.exit) return `${movement.vehicle?.id ?? '?'} ${from}`;
+        const turn = Router.getTurnType(this.network, movement.approach, movement.exit);
+        const to = RoadNetwork.compassFromVector(this.network.getTravelDirection(movement.exit.edge, movement.exit.travelDir));
+        return `${movement.vehicle?.id ?? '?'} ${from}, ${TURN_NAMES[turn] ?? turn} to ${to}`;
+    }
+
+    // Arrows of the turns the granted movements make from an approach
+    getGrantedArrows(approach) {
+        return this.preemptedMovements
+            .filter(movement => movement.approach.edge === approach.edge)
+            .map(movement => getArrowFor(movement.exit ? Router.getTurnType(this.network, movement.approach, movement.exit) : 'straight'));
+    }
+
+    // Preemption entry: ends the conflicting greens and yellows, then turns the granted approaches green
+    updatePreemption() {
+        const minGreen = Config.preemptionMinGreen ?? 4;
+        const yellowTime = Config.preemptionYellowTime ?? (Config.trafficLightYellowDuration || 2000) / 1000;
+        const allRedTime = Config.preemptionAllRedTime ?? 1.5;
+        const isGranted = (approach) => this.preemptedEdges.includes(approach.edge);
+        // Next state of a head on its way to red (null: stays); a held head keeps its green
+        const clear = (state, time, isHeld) => {
+            if (!isHeld && ((state === LIGHT_STATE.GREEN && time >= minGreen) || state === LIGHT_STATE.FLASHING_YELLOW)) return LIGHT_STATE.YELLOW;
+            if (state === LIGHT_STATE.YELLOW && time >= yellowTime) return LIGHT_STATE.RED; // A granted head caught in its yellow also ends it: no yellow-to-green
+            return null;
+        };
+
+        this.approaches.forEach(approach => {
+            const next = clear(approach.light.currentState, approach.stateTime, isGranted(approach));
+            if (next) this.setApproachState(approach, next);
+            const held = isGranted(approach) ? this.getGrantedArrows(approach) : [];
+            Object.keys(approach.light.arrows).forEach(arrow => {
+                const nextArrow = clear(approach.light.getArrowState(arrow), approach.arrowTimes[arrow], held.includes(arrow));
+                if (nextArrow) this.setApproachArrow(approach, arrow, nextArrow);
+            });
+        });
+        if (this.isPreemptionClear) return;
+
+        const isRed = (state) => state === LIGHT_STATE.RED || state === LIGHT_STATE.OFF;
+        const isCrossingClear = (crossing) => crossing.signal.currentState === PED_STATE.DONT_WALK || crossing.signal.currentState === PED_STATE.OFF;
+        const cleared = this.crossings.every(isCrossingClear) && this.approaches.every(approach => {
+            const arrows = Object.keys(approach.light.arrows);
+            const isMainHeadClear = approach.light.stuckState !== null || // A stuck lamp cannot be cleared: it is ignored
+                (isGranted(approach) ? approach.light.currentState !== LIGHT_STATE.YELLOW : approach.light.currentState === LIGHT_STATE.RED && approach.stateTime >= allRedTime);
+            if (!isGranted(approach)) {
+                return isMainHeadClear &&
+                    arrows.every(arrow => isRed(approach.light.getArrowState(arrow)) && approach.arrowTimes[arrow] >= allRedTime);
+            }
+            const held = this.getGrantedArrows(approach);
+            return isMainHeadClear && arrows.every(arrow => held.includes(arrow)
+                ? approach.light.getArrowState(arrow) !== LIGHT_STATE.YELLOW
+                : isRed(approach.light.getArrowState(arrow)));
+        });
+        if (!cleared) return;
+        this.approaches.filter(isGranted).forEach(approach => {
+            this.setApproachState(approach, LIGHT_STATE.GREEN);
+            const held = this.getGrantedArrows(approach);
+            Object.keys(approach.light.arrows).forEach(arrow => this.setApproachArrow(approach, arrow, held.includes(arrow) ? LIGHT_STATE.GREEN : LIGHT_STATE.RED));
+        });
+        this.isPreemptionClear = true;
+        console.log(`Junction ${this.id}: clearance complete, preemption green after ${this.preemptionEntryTime.toFixed(1)} s.`);
+        this.approaches.filter(a => a.light.stuckState).forEach(a =>
+            console.warn(`Junction ${this.id}: preempting with the ${a.compass} light stuck on ${a.light.stuckState}.`));
+    }
+
+    // Seconds until the approach along this edge could show green if it were preempted now: the minimum green,
+    // yellow and all-red clearance still due on the other approaches and the pedestrian clearance still due on the
+    // crossings (used to time just-in-time preemption)
+    getPreemptionEntryTime(edge) {
+        const minGreen = Config.preemptionMinGreen ?? 4;
+        const yellowTime = Config.preemptionYellowTime ?? (Config.trafficLightYellowDuration || 2000) / 1000;
+        const allRedTime = Config.preemptionAllRedTime ?? 1.5;
+        const clearance = (state, time) => {
+            if (state === LIGHT_STATE.GREEN) return Math.max(0, minGreen - time) + yellowTime + allRedTime;
+            if (state === LIGHT_STATE.FLASHING_YELLOW) return yellowTime + allRedTime;
+            if (state === LIGHT_STATE.YELLOW) return Math.max(0, yellowTime - time) + allRedTime;
+            return state === LIGHT_STATE.OFF ? 0 : Math.max(0, allRedTime - time);
+        };
+        return this.approaches.reduce((entryTime, approach) => {
+            const state = approach.light.currentState;
+            if (approach.edge === edge) return Math.max(entryTime, state === LIGHT_STATE.YELLOW ? Math.max(0, yellowTime - approach.stateTime) : 0);
+            const arrows = Object.keys(approach.light.arrows).map(arrow => clearance(approach.light.getArrowState(arrow), approach.arrowTimes[arrow]));
+            return Math.max(entryTime, clearance(state, approach.stateTime), ...arrows);
+        }, Math.max(0, ...this.crossings.map(c => c.signal.currentState === PED_STATE.WALK ? c.clearance
+            : c.signal.currentState === PED_STATE.FLASHING_DONT_WALK ? Math.max(0, c.clearance - c.signal.stateTime) : 0)));
+    }
+
+    // The approach along this edge shows green (an emergency vehicle granted it may enter the junction). A leg
+    // without a light of its own (e.g. an unsignalled slip road of an imported network) only waits for the clearance.
+    // A flashing or dark junction gives no green to wait for; a light stuck on another state shows none.
+    isApproachGreen(edge) {
+        if (!this.canPreempt()) return true;
+        const light = this.getApproachLight(edge);
+        return light && !light.stuckState ? light.currentState === LIGHT_STATE.GREEN : this.isPreemptionClear;
+    }
+
+    // Ends the preemption: its greens get their yellow and all-red, then the plan recovers (startRecovery)
+    release() {
+        if (this.isUnderNormalCycle || this.isExitingPreemption) return;
+        console.log(`Junction ${this.id}: preemption released after ${this.preemptionDuration.toFixed(1)} s.`);
+        this.isAmbulanceApproaching = false;
+        this.preemptedMovements = [];
+        this.preemptedEdges = [];
+        this.isPreemptionClear = false;
+        this.isExitingPreemption = true;
+        this.releasedAt = this.clock;
+        this.updatePreemptionExit();
+    }
+
+    updatePreemptionExit() {
+        const yellowTime = Config.preemptionYellowTime ?? (Config.trafficLightYellowDuration || 2000) / 1000;
+        const allRedTime = Config.preemptionAllRedTime ?? 1.5;
+        const next = (state, time) => {
+            if (state === LIGHT_STATE.GREEN || state === LIGHT_STATE.FLASHING_YELLOW) return LIGHT_STATE.YELLOW;
+            return state === LIGHT_STATE.YELLOW && time >= yellowTime ? LIGHT_STATE.RED : null;
+        };
+        this.approaches.forEach(approach => {
+            const state = next(approach.light.currentState, approach.stateTime);
+            if (state) this.setApproachState(approach, state);
+            Object.keys(approach.light.arrows).forEach(arrow => {
+                const arrowState = next(approach.light.getArrowState(arrow), approach.arrowTimes[arrow]);
+                if (arrowState) this.setApproachArrow(approach, arrow, arrowState);
+            });
+        });
+        const isClear = (state, time) => state === LIGHT_STATE.OFF || (state === LIGHT_STATE.RED && time >= allRedTime);
+        if (!this.approaches.every(a => (a.light.stuckState || (a.light.currentState === LIGHT_STATE.RED && a.stateTime >= allRedTime)) &&
+            Object.keys(a.light.arrows).every(arrow => isClear(a.light.getArrowState(arrow), a.arrowTimes[arrow])))) return;
+        this.trafficLights.forEach(light => light.releasePriority());
+        this.isExitingPreemption = false;
+        this.isUnderNormalCycle = true;
+        this.startRecovery();
+    }
+
+    canPreempt() {
+        return (!this.fault || this.fault.mode === 'stuckLamp') && this.restartTime <= 0;
+    }
+
+    // Injects a fault mode (FAULT_MODES; null ends the fault). options: { approach, state } for 'stuckLamp' (compass
+    // or edge id, default the first approach; default the state it shows now) and { approaches } for
+    // 'flashingYellow' (compasses of the main road, default the approaches with the longest green); { cause } is logged.
+    setFault(mode, options = {}) {
+        if (this.fault) this.endFault();
+        if (!mode || mode === 'none') return;
+        if (!FAULT_MODES.includes(mode)) {
+            console.warn(`Junction ${this.id}: unknown fault mode '${mode}'.`);
+            return;
+        }
+        if (!this.isUnderNormalCycle && mode !== 'stuckLamp') this.abortPreemption();
+        this.restartTime = 0;
+        this.fault = { mode, cause: options.cause ?? null, since: this.clock, light: null, refusedPreemptions: 0 };
+        if (mode === 'stuckLamp') {
+            const approach = this.approaches.find(a => a.compass === options.approach || a.edge.id === options.approach) ?? this.approaches[0];
+            if (!approach) return;
+            this.fault.light = approach.light;
+            approach.light.stick(LIGHT_STATE[options.state] ?? approach.light.currentState);
+        } else {
+            const mainRoad = options.approaches ?? this.getMainRoadApproaches().map(a => a.compass);
+            this.approaches.forEach(approach => {
+                const state = mode === 'dark' ? LIGHT_STATE.OFF
+                    : mode === 'flashingYellow' && mainRoad.includes(approach.compass) ? LIGHT_STATE.FLASHING_YELLOW : LIGHT_STATE.FLASHING_RED;
+                this.setApproachState(approach, state);
+                Object.keys(approach.light.arrows).forEach(arrow => this.setApproachArrow(approach, arrow, LIGHT_STATE.OFF, true));
+            });
+        }
+        const detail = this.fault.light ? `${this.fault.light.id} stuck on ${this.fault.light.stuckState}` : this.fault.cause;
+        console.warn(`Junction ${this.id}: signal fault '${mode}'` + (detail ? ` (${detail}).` : '.'));
+    }
+
+    // Ends the fault; a flashing or dark junction restarts through all-red and then recovers its plan
+    endFault() {
+        const fault = this.fault;
+        this.fault = null;
+        this.faultLog.push({ mode: fault.mode, cause: fault.cause, since: fault.since, until: this.clock, refusedPreemptions: fault.refusedPreemptions });
+        console.log(`Junction ${this.id}: fault '${fault.mode}' cleared after ${(this.clock - fault.since).toFixed(1)} s` +
+            (fault.refusedPreemptions > 0 ? `; ${fault.refusedPreemptions} preemption(s) could not be served.` : '.'));
+        this.grantedApproachKey = null; // Requests still standing are granted afresh
+        if (fault.light) {
+            fault.light.unstick();
+            if (this.isUnderNormalCycle) this.applyPhase(true);
+            return;
+        }
+        this.approaches.forEach(approach => this.setApproachState(approach, LIGHT_STATE.RED));
+        this.restartTime = Config.faultRestartAllRedTime ?? 3;
+        this.interruptedPhaseIndex = this.currentPhaseIndex;
+        this.releasedAt = this.clock;
+    }
+
+    // A fault takes the junction out of preemption at once: no clearance can be run any more
+    abortPreemption() {
+        console.warn(`Junction ${this.id}: preemption abandoned.`);
+        this.trafficLights.forEach(light => light.releasePriority());
+        this.isAmbulanceApproaching = false;
+        this.preemptedMovements = [];
+        this.preemptedEdges = [];
+        this.isPreemptionClear = false;
+        this.isExitingPreemption = false;
+        this.isUnderNormalCycle = true;
+        this.recovery = null;
+        this.resyncCorrection = 0;
+    }
+
+    // Approaches with the most green time in the plan (of those, the ones the first such green serves)
+    getMainRoadApproaches() {
+        const greenTime = (approach) => this.phases.reduce((sum, phase) =>
+            sum + (this.getMovementState(phase, approach) === LIGHT_STATE.GREEN ? phase.duration : 0), 0);
+        const longest = Math.max(0, ...this.approaches.map(greenTime));
+        const candidates = this.approaches.filter(a => greenTime(a) >= longest - 1e-6);
+        const first = this.phases.find(phase => candidates.some(a => this.getMovementState(phase, a) === LIGHT_STATE.GREEN));
+        return first ? candidates.filter(a => this.getMovementState(first, a) === LIGHT_STATE.GREEN) : candidates;
+    }
+
+    // Back to the plan after a preemption, by Config.preemptionRecovery:
+    //   'interrupted': resume with the phase the preemption interrupted (or the next green one), keeping the cycle
+    //                  where it is, so the coordination offset is lost
+    //   'longestWait': start with the first phase serving the approach that has been red the longest, offset lost
+    //   'shortWay':    resume the interrupted phase, then shorten or lengthen the next greens (whichever is less) to
+    //                  regain the offset, at most resyncMaxShorten / resyncMaxLengthen of each green
+    //   'longWay':     the same, only ever lengthening greens
+    // Recovery is done once every approach has had a green again (and, resynchronising, the offset is back);
+    // the number of cycles that took is logged and kept in recoveryLog. A junction restarting after a fault recovers the same way.
+    startRecovery(cause = 'preemption') {
+        const strategy = Config.preemptionRecovery ?? 'shortWay';
+        const count = this.phases.length;
+        const nextGreen = (from) => {
+            for (let i = 0; i < count; i++) if (this.phaseHasGreen(this.phases[(from + i) % count])) return (from + i) % count;
+            return from % count;
+        };
+        let index = nextGreen(this.interruptedPhaseIndex);
+        const served = this.approaches.filter(a => this.phases.some(phase => this.servesApproach(phase, a)));
+        if (strategy === 'longestWait' && served.length > 0) {
+            const starved = served.reduce((longest, a) => a.stateTime > longest.stateTime ? a : longest, served[0]); // All red now: stateTime is the wait
+            for (let i = 0; i < count; i++) {
+                const candidate = (this.interruptedPhaseIndex + i) % count;
+                if (this.servesApproach(this.phases[candidate], starved)) { index = candidate; break; }
+            }
+        }
+
+        // Offset error: how far the plan's cycle position (clock - offset) is ahead of the phase we restart with
+        const cycleLength = this.getCycleLength();
+        const target = (((this.clock - this.plan.offset) % cycleLength) + cycleLength) % cycleLength;
+        const ahead = (((target - this.getPhaseStart(index)) % cycleLength) + cycleLength) % cycleLength;
+        this.resyncCorrection = this.getResyncCorrection(ahead, strategy);
+        const resyncing = (strategy === 'shortWay' || strategy === 'longWay') && !this.isActuated();
+        this.recovery = {
+            cause, strategy, releasedAt: this.releasedAt, pending: new Set(served),
+            offsetError: resyncing || this.isActuated() ? 0 : Math.min(ahead, cycleLength - ahead)
+        };
+        console.log(`Junction ${this.id}: recovering (${strategy}) with phase '${this.phases[index].name}'` +
+            (this.resyncCorrection ? `, ${this.resyncCorrection > 0 ? 'lengthening' : 'shortening'} greens by ${Math.abs(this.resyncCorrection).toFixed(1)} s to regain the offset.` : '.'));
+
+        this.currentPhaseIndex = index;
+        this.greenExtension = 0;
+        this.currentPhaseTimer = this.getCurrentPhase().duration + this.takeResyncAdjustment();
+        this.phaseElapsed = 0;
+        this.applyPhase();
+        this.updateRecovery();
+    }
+
+    // Seconds to add to (positive) or take from (negative) the greens to regain an offset error of `ahead` seconds
+    // (the plan's cycle position ahead of the running cycle), by strategy 'shortWay' or 'longWay'; 0 otherwise
+    getResyncCorrection(ahead, strategy) {
+        const cycleLength = this.getCycleLength();
+        if (ahead <= 0.05 || cycleLength - ahead <= 0.05 || this.isActuated()) return 0; // Actuated timing keeps no offset to regain
+        const canShorten = this.phases.some(p => this.phaseHasGreen(p) && p.duration > (Config.preemptionMinGreen ?? 4));
+        if (strategy === 'shortWay') return ahead <= cycleLength / 2 && canShorten ? -ahead : cycleLength - ahead;
+        if (strategy === 'longWay') return cycleLength - ahead;
+        return 0;
+    }
+
+    // Part of the resynchronisation applied to the phase just started (greens only; yellows and all-reds keep their time)
+    takeResyncAdjustment() {
+        const phase = this.getCurrentPhase();
+        this.isPhaseAdjusted = false;
+        if (Math.abs(this.resyncCorrection) < 1e-3 || !this.phaseHasGreen(phase)) return 0;
+        const adjustment = this.resyncCorrection > 0
+            ? Math.min(this.resyncCorrection, phase.duration * (Config.resyncMaxLengthen ?? 0.3))
+            : -Math.min(-this.resyncCorrection, phase.duration * (Config.resyncMaxShorten ?? 0.2), Math.max(0, phase.duration - (Config.preemptionMinGreen ?? 4)));
+        this.resyncCorrection -= adjustment;
+        if (Math.abs(this.resyncCorrection) < 1e-3) this.resyncCorrection = 0;
+        this.isPhaseAdjusted = adjustment !== 0;
+        return adjustment;
+    }
+
+    updateRecovery() {
+        if (!this.recovery) return;
+        this.approaches.forEach(approach => {
+            if (this.servesApproach(this.getCurrentPhase(), approach)) this.recovery.pending.delete(approach);
+        });
+        if (this.recovery.pending.size > 0 || this.resyncCorrection !== 0 || this.isPhaseAdjusted) return; // In step once the last adjusted phase has run
+        const cycles = (this.clock - this.recovery.releasedAt) / this.getCycleLength();
+        this.recoveryLog.push({ cause: this.recovery.cause, strategy: this.recovery.strategy, releasedAt: this.recovery.releasedAt, cycles, offsetError: this.recovery.offsetError });
+        console.log(`Junction ${this.id}: recovered from ${this.recovery.cause} (${this.recovery.strategy}) in ${cycles.toFixed(2)} cycles` +
+            (this.recovery.offsetError > 0.05 ? `, ${this.recovery.offsetError.toFixed(1)} s off its coordination offset.` : ', back on its coordination offset.'));
+        this.recovery = null;
+    }
+
+    static get FAULT_MODES() {
+        return FAULT_MODES;
+    }
+
+    // Plans file: { defaultPlan: name, plans: { name: plan }, junctions: { nodeId: name | { plan: name, offset } } }.
+    // Resolves the plan of a junction node: the plans file, else an imported program (SUMO tlLogic), else the
+    // file's default plan, else the built-in one.
+    static resolvePlan(plans, node) {
+        const named = (name) => {
+            const plan = plans?.plans?.[name];
+            if (name && !plan) console.warn(`JunctionController: signal plan '${name}' not found.`);
+            return plan ? { name, ...plan } : null;
+        };
+        const assignment = plans?.junctions?.[node.id];
+        if (assignment) {
+            const plan = named(typeof assignment === 'string' ? assignment : assignment.plan);
+            if (plan) return assignment.offset !== undefined ? { ...plan, offset: assignment.offset } : plan;
+        }
+        return node.signalProgram ?? named(plans?.defaultPlan) ?? null;
+    }
+
+    // Loads a plans file; null (built-in and imported plans only) when there is none or it cannot be read
+    static async loadPlans(url) {
+        if (!url) return null;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`status ${response.status}`);
+            const plans = await response.json();
+            console.log(`JunctionController: ${Object.keys(plans.plans || {}).length} signal plans loaded from ${url}.`);
+            return plans;
+        } catch (error) {
+            console.warn(`JunctionController: could not load signal plans from ${url} (${error.message}), using the default plan.`);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,63 @@
+// js/MovementConflicts.js
+import { Router } from './Router.js';
+
+// Whether segment a1-a2 crosses segment b1-b2 (points { x, z }; touching does not count)
+function segmentsCross(a1, a2, b1, b2) {
+    const side = (p, q, r) => Math.sign((q.x - p.x) * (r.z - p.z) - (q.z - p.z) * (r.x - p.x));
+    return side(a1, a2, b1) * side(a1, a2, b2) < 0 && side(b1, b2, a1) * side(b1, b2, a2) < 0;
+}
+
+// Which movements through a junction may go at the same time, from the junction's geometry alone. A movement is
+// { approach: { edge, travelDir } inbound, exit: { edge, travelDir } outbound or null (straight on), turn, from, to,
+// isProtected }, its path the straight line from the kerb-side inbound lane at the edge of the junction square to the
+// outbound lane (relative to the junction centre). Two movements from different approaches conflict where their paths
+// cross or end in the same exit, except a far-side turn that is not protected (a green ball or flashing yellow arrow:
+// it gives way) against traffic from the leg straight ahead of it. Used by the conflict monitor for the lights, by the
+// junction to keep such movements out of one stage of its plan, and by the preemption arbiter for the emergency
+// vehicles it lets through together.
+export class MovementConflicts {
+    static createMovement(network, approach, exit = null, isProtected = false) {
+        const halfSize = network.getEndNode(approach.edge, approach.travelDir).size / 2;
+        const lanePoint = (step, along) => {
+            const point = network.getTravelDirection(step.edge, step.travelDir).clone().multiplyScalar(along)
+                .addScaledVector(network.getKeepSideNormal(step.edge, step.travelDir), step.edge.width / 4);
+            return { x: point.x, z: point.z };
+        };
+        return {
+            approach, exit,
+            turn: exit ? Router.getTurnType(network, approach, exit) : 'straight',
+            from: lanePoint(approach, -halfSize),
+            to: exit ? lanePoint(exit, halfSize) : lanePoint(approach, halfSize),
+            isProtected
+        };
+    }
+
+    // Every movement from one approach but U-turns (all released by a green ball)
+    static getLegMovements(network, approach) {
+        const nodeId = network.getEndNode(approach.edge, approach.travelDir).id;
+        return network.getOutgoing(nodeId)
+            .filter(exit => Router.getTurnType(network, approach, exit) !== 'uTurn')
+            .map(exit => MovementConflicts.createMovement(network, approach, exit));
+    }
+
+    static isSameStep(a, b) {
+        return a.edge === b.edge && a.travelDir === b.travelDir;
+    }
+
+    // Paths cross or merge (movements from the same approach never conflict)
+    static crosses(a, b) {
+        if (MovementConflicts.isSameStep(a.approach, b.approach)) return false;
+        return (a.exit && b.exit && MovementConflicts.isSameStep(a.exit, b.exit)) || segmentsCross(a.from, a.to, b.from, b.to);
+    }
+
+    // b comes from the leg straight ahead of a (oncoming traffic)
+    static isOncoming(network, a, b) {
+        return Router.getTurnType(network, a.approach, { edge: b.approach.edge, travelDir: -b.approach.travelDir }) === 'straight';
+    }
+
+    static isConflict(network, a, b) {
+        if (!MovementConflicts.crosses(a, b)) return false;
+        const givesWay = (turner, other) => turner.turn === 'farSide' && !turner.isProtected && MovementConflicts.isOncoming(network, turner, other);
+        return !givesWay(a, b) && !givesWay(b, a);
+    }
+}
@@ -0,0 +1,55 @@
+// js/OSMLoader.js
+import { GeoNetworkBuilder } from './GeoNetworkBuilder.js';
+
+// Loads a road network from an exported OpenStreetMap .osm XML file. Ways tagged highway=* (drivable
+// classes only) become roads; nodes tagged highway=traffic_signals mark signalised junctions.
+export class OSMLoader {
+    constructor(options = {}) {
+        this.options = options; // Passed to GeoNetworkBuilder (scale, origin, mergeDistance, ...)
+    }
+
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`OSMLoader: failed to fetch ${url} (${response.status})`);
+        return this.parse(await response.text());
+    }
+
+    parse(xmlText) {
+        const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('OSMLoader: file is not valid XML.');
+        }
+        const builder = new GeoNetworkBuilder(this.options);
+
+        const nodeElements = doc.getElementsByTagName('node');
+        for (let i = 0; i < nodeElements.length; i++) {
+            const element = nodeElements[i];
+            const tags = OSMLoader.readTags(element);
+            builder.addPoint(element.getAttribute('id'),
+                parseFloat(element.getAttribute('lon')),
+                parseFloat(element.getAttribute('lat')),
+                { signal: tags.highway === 'traffic_signals' || tags.crossing === 'traffic_signals' });
+        }
+
+        const wayElements = doc.getElementsByTagName('way');
+        for (let i = 0; i < wayElements.length; i++) {
+            const element = wayElements[i];
+            const tags = OSMLoader.readTags(element);
+            if (!GeoNetworkBuilder.isDrivable(tags.highway)) continue;
+            const refs = [];
+            const nds = element.getElementsByTagName('nd');
+            for (let j = 0; j < nds.length; j++) refs.push(nds[j].getAttribute('ref'));
+            builder.addWay(refs, GeoNetworkBuilder.wayOptionsFromTags(tags));
+        }
+        return builder.build();
+    }
+
+    static readTags(element) {
+        const tags = {};
+        const tagElements = element.getElementsByTagName('tag');
+        for (let i = 0; i < tagElements.length; i++) {
+            tags[tagElements[i].getAttribute('k')] = tagElements[i].getAttribute('v');
+        }
+        return tags;
+    }
+}
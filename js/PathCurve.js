@@ -0,0 +1,68 @@
+// js/PathCurve.js
+import * as THREE from 'three';
+import { Config } from './Config.js';
+
+// Smooth curve through a polyline of waypoints: a centripetal Catmull-Rom spline (passes through every
+// waypoint, without the cusps and overshoot of the uniform variant on unevenly spaced points) with an
+// arc-length table, so positions, directions and curvature are looked up by distance along the curve.
+export class PathCurve {
+    constructor(points, resolution = Config.routeCurveResolution ?? 0.5) {
+        this.points = points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+        this.spline = new THREE.CatmullRomCurve3(this.points, false, 'centripetal');
+        let polylineLength = 0;
+        for (let i = 1; i < this.points.length; i++) polylineLength += this.points[i].distanceTo(this.points[i - 1]);
+        this.spline.arcLengthDivisions = Math.max(this.points.length * 4, Math.ceil(polylineLength / resolution));
+        this.lengths = this.spline.getLengths(); // Cumulative arc length at each of the arcLengthDivisions + 1 samples
+        this.length = this.lengths[this.lengths.length - 1];
+    }
+
+    // Arc length at parameter t (0..1)
+    getDistanceAtParameter(t) {
+        const divisions = this.lengths.length - 1;
+        const x = THREE.MathUtils.clamp(t, 0, 1) * divisions;
+        const i = Math.min(Math.floor(x), divisions - 1);
+        return this.lengths[i] + (this.lengths[i + 1] - this.lengths[i]) * (x - i);
+    }
+
+    // Arc length at which the curve passes through waypoint i
+    getWaypointDistance(i) {
+        return this.points.length < 2 ? 0 : this.getDistanceAtParameter(i / (this.points.length - 1));
+    }
+
+    getPointAtDistance(distance, target = new THREE.Vector3()) {
+        if (this.length <= 0) return target.copy(this.points[0]);
+        return this.spline.getPointAt(THREE.MathUtils.clamp(distance / this.length, 0, 1), target);
+    }
+
+    // Unit direction of travel at a distance
+    getTangentAtDistance(distance, target = new THREE.Vector3()) {
+        if (this.length <= 0) return target.set(0, 0, 1);
+        return this.spline.getTangentAt(THREE.MathUtils.clamp(distance / this.length, 0, 1), target).setY(0).normalize();
+    }
+
+    // Curvature (1 / turning radius) at a distance, from the change in direction over a short stretch
+    getCurvatureAtDistance(distance, stretch = 1) {
+        const from = Math.max(0, distance - stretch / 2);
+        const to = Math.min(this.length, distance + stretch / 2);
+        if (to - from < 1e-6) return 0;
+        return this.getTangentAtDistance(from).angleTo(this.getTangentAtDistance(to)) / (to - from);
+    }
+
+    // Points every `spacing` units along the curve (always including both ends), for walking it as a polyline
+    getSpacedPoints(spacing = Config.routePathSpacing ?? 1) {
+        const count = Math.max(1, Math.ceil(this.length / spacing));
+        const points = [];
+        for (let i = 0; i <= count; i++) points.push(this.getPointAtDistance(this.length * i / count));
+        return points;
+    }
+
+    // Samples from `distance` to `distance + range`: [{ distance, point, tangent }]
+    sampleAhead(distance, range, spacing = 2) {
+        const samples = [];
+        const end = Math.min(this.length, distance + range);
+        for (let s = Math.max(0, distance); s <= end + 1e-6; s += spacing) {
+            samples.push({ distance: s, point: this.getPointAtDistance(s), tangent: this.getTangentAtDistance(s) });
+        }
+        return samples;
+    }
+}
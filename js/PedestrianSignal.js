@@ -0,0 +1,68 @@
+// js/PedestrianSignal.js
+import * as THREE from 'three';
+import { Config } from './Config.js';
+
+const PED_STATE = { WALK: 'WALK', FLASHING_DONT_WALK: 'FLASHING_DONT_WALK', DONT_WALK: 'DONT_WALK', OFF: 'OFF' };
+
+// Pedestrian signal head for the crossing over one junction leg, mounted on the traffic light pole and facing across
+// the road: an upper don't-walk lamp (orange hand) and a lower walk lamp (white figure). The flashing don't-walk is
+// the clearance interval: people already on the crossing finish crossing, nobody starts.
+export class PedestrianSignal {
+    constructor(position, rotationY = 0) {
+        this.group = new THREE.Group();
+        this.group.position.copy(position); // Base of the pole it is mounted on
+        this.group.rotation.y = rotationY;
+        this.id = 'PedestrianSignal'; // Named by its junction
+
+        const size = { width: 0.4, height: 0.75, depth: 0.25 };
+        const housing = new THREE.Mesh(
+            new THREE.BoxGeometry(size.width, size.height, size.depth),
+            new THREE.MeshStandardMaterial({ color: Config.colors?.trafficLightHousing || 0x333333 })
+        );
+        housing.position.set(0, 2.1, size.depth / 2 + 0.15); // Below the traffic light housing, clear of the pole
+        housing.castShadow = true;
+        this.group.add(housing);
+
+        const createLamp = (color, y) => {
+            const lamp = new THREE.Mesh(
+                new THREE.PlaneGeometry(0.28, 0.28),
+                new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.15 })
+            );
+            lamp.position.set(0, y, size.depth / 2 + 0.01);
+            housing.add(lamp);
+            return lamp;
+        };
+        this.lamps = {
+            dontWalk: createLamp(Config.colors?.pedestrianDontWalk || 0xff6600, size.height / 4),
+            walk: createLamp(Config.colors?.pedestrianWalk || 0xeeeeff, -size.height / 4)
+        };
+
+        this.currentState = null;
+        this.stateTime = 0; // Seconds showing the current state
+        this.flashTime = 0;
+        this.setState(PED_STATE.DONT_WALK, true);
+    }
+
+    setState(state, forceSilent = false) {
+        if (state === this.currentState) return;
+        if (!forceSilent) console.log(`[${this.id}] Pedestrian signal: ${state}`);
+        this.currentState = state;
+        this.stateTime = 0;
+        this.flashTime = 0;
+        this.lamps.walk.material.emissiveIntensity = state === PED_STATE.WALK ? 1.0 : 0.15;
+        this.lamps.dontWalk.material.emissiveIntensity = state === PED_STATE.DONT_WALK || state === PED_STATE.FLASHING_DONT_WALK ? 1.0 : 0.15;
+    }
+
+    // Blinks the flashing don't-walk (once a second)
+    update(deltaTime) {
+        this.stateTime += deltaTime;
+        this.flashTime += deltaTime;
+        if (this.currentState === PED_STATE.FLASHING_DONT_WALK) {
+            this.lamps.dontWalk.material.emissiveIntensity = this.flashTime % 1 < 0.5 ? 1.0 : 0.15;
+        }
+    }
+
+    static get PED_STATE() {
+        return PED_STATE;
+    }
+}
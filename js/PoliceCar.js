@@ -0,0 +1,39 @@
+// js/PoliceCar.js
+import * as THREE from 'three';
+import { Config } from './Config.js';
+import { EmergencyVehicle } from './EmergencyVehicle.js';
+
+// Small and fast, blue flashers with a quick yelp; lowest default priority class of the emergency services
+export class PoliceCar extends EmergencyVehicle {
+    constructor(scene, camera, pathPoints, route = null) {
+        super(scene, camera, pathPoints, route, {
+            type: 'police',
+            label: 'Police car',
+            modelFile: Config.policeCarModelFile ?? null,
+            scaleFactor: Config.policeCarScaleFactor,
+            modelYAdjust: Config.policeCarModelYAdjust,
+            size: { length: 3, width: 1.4, height: 1.2 },
+            color: 0xf4f4f4,
+            lightColors: [0x0033ff, 0x0033ff],
+            flashInterval: 150, // Fast strobe
+            sirenAudioFile: Config.policeCarSirenAudioFile ?? Config.sirenAudioFile,
+            sirenPlaybackRate: 1.3, // Higher, quicker yelp
+            speed: Config.policeCarSpeed ?? 0.3,
+            normalSpeed: (Config.policeCarSpeed ?? 0.3) * 0.6,
+            acceleration: 5, braking: 8, maxLateralAcceleration: 6, junctionSpeed: 11,
+            wheelbase: 2.2,
+            priorityClass: Config.emergencyPriorityClasses?.police ?? 1
+        });
+    }
+
+    createPlaceholderModel() {
+        const model = super.createPlaceholderModel();
+        const { length, width, height } = this.size;
+        // Dark blue doors and bonnet
+        const livery = new THREE.Mesh(new THREE.BoxGeometry(width + 0.02, height * 0.4, length * 0.5),
+            new THREE.MeshStandardMaterial({ color: 0x101850, transparent: true }));
+        livery.position.y = height * 0.4;
+        model.add(livery);
+        return model;
+    }
+}
@@ -0,0 +1,91 @@
+// js/PreemptionArbiter.js
+import { Config } from './Config.js';
+import { MovementConflicts } from './MovementConflicts.js';
+
+// Decides which emergency vehicles get green when several request the same junction. Requests whose
+// movements do not conflict (see MovementConflicts: from the same approach, or straight through from
+// opposite approaches) can share the green; the rest are ranked and the losers are held at red until
+// the winner has cleared.
+// A higher priority class (vehicle type, e.g. fire engine over police car) always ranks first; within a
+// class the rule decides: 'firstCome' (earliest request), 'priority' (most urgent call, then earliest) or
+// 'eta' (soonest arrival, then earliest). A later request can take the green over when it outranks the
+// holder (any higher class; under 'priority' and 'eta' also within the class), unless the holder is
+// already too close to stop.
+export class PreemptionArbiter {
+    constructor(network, rule = Config.preemptionArbitration ?? 'firstCome') {
+        this.network = network;
+        this.rule = rule;
+        this.commitDistance = Config.preemptionCommitDistance ?? 10; // Beyond the junction edge: holder can no longer be stopped
+        this.decisions = []; // Logged outcomes: { time, junctionId, rule, winner, granted, held }
+    }
+
+    // Request: { vehicle, approach: { edge, travelDir }, exit: { edge, travelDir } | null, requestedAt, eta, distance,
+    // priorityClass, priority }
+    compare(a, b) {
+        if (a.priorityClass !== b.priorityClass) return b.priorityClass - a.priorityClass;
+        switch (this.rule) {
+            case 'priority': return (b.priority - a.priority) || (a.requestedAt - b.requestedAt);
+            case 'eta': return (a.eta - b.eta) || (a.requestedAt - b.requestedAt);
+            default: return a.requestedAt - b.requestedAt;
+        }
+    }
+
+    // Two requests may be served by the same green: no movement one green lets go conflicts with one the other lets
+    // go, the vehicle's own protected and the rest of its leg giving way as on a green ball
+    isCompatible(a, b) {
+        const movementsOf = (r) => MovementConflicts.getLegMovements(this.network, r.approach).map(movement => ({
+            ...movement, isProtected: r.exit ? MovementConflicts.isSameStep(movement.exit, r.exit) : movement.turn === 'straight'
+        }));
+        const movementsA = movementsOf(a);
+        return movementsOf(b).every(m => movementsA.every(n => !MovementConflicts.isConflict(this.network, m, n)));
+    }
+
+    isCommitted(request, junctionSize) {
+        return request.distance < junctionSize / 2 + this.commitDistance;
+    }
+
+    // requests: active requests at one junction; holder: request currently holding the green (or null).
+    // Returns { winner, granted: [requests], held: [requests], rule } ('committed' when the holder kept it because it could not stop)
+    decide(requests, holder, junctionSize) {
+        if (requests.length === 0) return { winner: null, granted: [], held: [], rule: this.rule };
+        const ranked = [...requests].sort((a, b) => this.compare(a, b));
+        let winner = ranked[0];
+        if (holder && requests.includes(holder) && holder !== winner) {
+            const outranked = winner.priorityClass > holder.priorityClass || this.rule !== 'firstCome';
+            if (!outranked || this.isCommitted(holder, junctionSize)) winner = holder;
+        }
+        // The winner, then in rank order every request compatible with all those already granted
+        const granted = [winner];
+        ranked.forEach(r => {
+            if (r !== winner && granted.every(g => this.isCompatible(r, g))) granted.push(r);
+        });
+        const held = requests.filter(r => !granted.includes(r));
+        let rule = this.rule;
+        if (winner === holder && held.some(r => this.compare(r, winner) < 0)) rule = 'committed';
+        else if (held.some(r => r.priorityClass < winner.priorityClass)) rule = 'class';
+        return { winner, granted, held, rule };
+    }
+
+    describe(request) {
+        const vehicle = `${request.vehicle.id} (${request.vehicle.type} class ${request.priorityClass}`;
+        switch (this.rule) {
+            case 'priority': return `${vehicle}, priority ${request.priority})`;
+            case 'eta': return `${vehicle}, ETA ${request.eta.toFixed(1)} s)`;
+            default: return `${vehicle}, requested at ${request.requestedAt.toFixed(1)} s)`;
+        }
+    }
+
+    // Records and logs a decision in which at least one vehicle is held at red
+    log(time, junctionId, decision) {
+        const entry = {
+            time, junctionId, rule: decision.rule,
+            winner: decision.winner.vehicle.id,
+            granted: decision.granted.map(r => r.vehicle.id),
+            held: decision.held.map(r => r.vehicle.id)
+        };
+        this.decisions.push(entry);
+        console.log(`Junction ${junctionId} arbitration (${decision.rule}) at ${time.toFixed(1)} s: ${this.describe(decision.winner)} wins over ` +
+            `${decision.held.map(r => this.describe(r)).join(', ')}; ${entry.held.join(', ')} held at red.`);
+        return entry;
+    }
+}
@@ -18,17 +18,25 @@ export class ProceduralCar {
         this.carWidth = width;
         this.height = height; // Overall height of the car model
 
-        this.lane = 0; // Lane relative to road center (e.g., -1 or 1)
-        this.initialZ = position.z; // Original Z position in its lane
-        this.speed = 0.1; // Base speed, direction will be set from main.js
+        // Road network placement (set with setRoadPosition from main.js)
+        this.network = null;
+        this.edge = null;
+        this.travelDir = 1; // +1 travels edge.from -> edge.to, -1 the opposite way
+        this.distanceAlongEdge = 0; // Distance from the start node of the edge in travel direction
+        this.nextStep = null; // { edge, travelDir } the car will take at the end of this edge
+        this.laneIndex = 0; // 0 = lane next to the centre line
+        this.laneOffset = 0; // Lateral offset of the car's lane centre from the road centre line (towards keep side)
+        this.lateralOffset = 0; // Current lateral offset (differs from laneOffset while evading)
+        this.speed = 0.1; // Base speed magnitude in units per frame at 60fps
         
         this.isEvading = false;
-        this.targetZ = this.group.position.z; // Current Z target (for lane changes/evasion)
-        this.evadeDirection = 0; // Not directly used, logic relies on targetZ
+        this.targetLateral = 0; // Current lateral target (for lane changes/evasion)
 
         this.isApproachingJunction = null; // Stores ref to junction data object if approaching
         this.currentSpeed = 0; // Actual current speed, can be 0 if stopped
         this.isStoppedForLight = false;
+        this.stoppedTime = 0; // Seconds stopped for the light so far
+        this.passedStopNodeId = null; // Unsignalled (flashing red / dark) junction this car has stopped or given way at and is crossing
 
         this.buildCar();
         this.scene.add(this.group);
@@ -104,42 +112,115 @@ export class ProceduralCar {
         });
     }
     
+    setRoadPosition(network, edge, travelDir, distanceAlongEdge, laneIndex = 0) {
+        this.network = network;
+        this.edge = edge;
+        this.travelDir = travelDir;
+        this.distanceAlongEdge = distanceAlongEdge;
+        this.laneIndex = Math.min(laneIndex, Math.max(0, network.getLaneCount(edge, travelDir) - 1));
+        this.laneOffset = network.getLaneOffset(edge, travelDir, this.laneIndex);
+        this.lateralOffset = this.laneOffset;
+        this.targetLateral = this.laneOffset;
+        this.nextStep = this.chooseNextStep();
+        this.applyRoadPosition();
+    }
+
+    // Picks the edge to take at the end of the current one: mostly straight on, sometimes turning.
+    chooseNextStep() {
+        const endNode = this.network.getEndNode(this.edge, this.travelDir);
+        const options = this.network.getOutgoing(endNode.id).filter(o => o.edge !== this.edge);
+        if (options.length === 0) return null; // Dead end
+        const straight = this.network.getStraightContinuation(this.edge, this.travelDir);
+        if (straight && Math.random() < 0.6) return straight;
+        return options[Math.floor(Math.random() * options.length)];
+    }
+
+    enterEdge(step) {
+        this.edge = step.edge;
+        this.travelDir = step.travelDir;
+        this.laneIndex = Math.min(this.laneIndex, Math.max(0, this.network.getLaneCount(step.edge, step.travelDir) - 1));
+        this.laneOffset = this.network.getLaneOffset(step.edge, step.travelDir, this.laneIndex);
+        if (!this.isEvading) this.targetLateral = this.laneOffset;
+        this.nextStep = this.chooseNextStep();
+        this.passedStopNodeId = null;
+    }
+
+    // Wrap around: a car leaving the network at a dead end re-enters at a random dead end
+    respawnAtDeadEnd() {
+        const deadEnds = this.network.getDeadEnds();
+        const entries = deadEnds.flatMap(n => this.network.getOutgoing(n.id));
+        if (entries.length === 0) return false;
+        const entry = entries[Math.floor(Math.random() * entries.length)];
+        this.setRoadPosition(this.network, entry.edge, entry.travelDir, 0, this.laneIndex);
+        return true;
+    }
+
+    applyRoadPosition() {
+        const y = this.group.position.y;
+        this.network.getPointOnEdge(this.edge, this.travelDir, this.distanceAlongEdge, this.lateralOffset, this.group.position);
+        this.group.position.y = y;
+        const dir = this.getDirection();
+        this.group.rotation.y = Math.atan2(-dir.z, dir.x); // Car body is modelled along local +X
+    }
+
+    getDirection() {
+        return this.network.getTravelDirection(this.edge, this.travelDir);
+    }
+
+    getEndNode() {
+        return this.network.getEndNode(this.edge, this.travelDir);
+    }
+
+    // Distance to the centre of the node this car is driving towards
+    getDistanceToEndNode() {
+        return this.edge.length - this.distanceAlongEdge;
+    }
+
     update(deltaTime) {
+        if (!this.edge) return;
         if (!this.isStoppedForLight || this.isEvading) { // Move if not stopped OR if evading (evading might override stopping)
-             this.group.position.x += this.currentSpeed * deltaTime * 60; // currentSpeed includes direction
+             this.distanceAlongEdge += this.currentSpeed * deltaTime * 60;
         }
-       
-        // Wrap around logic for X position
-        const roadExtentX = (Config.numJunctions * Config.junctionSize + (Config.numJunctions + 1) * Config.roadLength) / 2 + this.length*2;
-        if (this.currentSpeed > 0 && this.group.position.x > roadExtentX) { // Moving East
-            this.group.position.x = -roadExtentX;
-        } else if (this.currentSpeed < 0 && this.group.position.x < -roadExtentX) { // Moving West
-             this.group.position.x = roadExtentX;
+
+        // Continue onto the next edge at junctions, wrap around at dead ends
+        while (this.distanceAlongEdge > this.edge.length) {
+            const overshoot = this.distanceAlongEdge - this.edge.length;
+            if (this.nextStep) {
+                this.enterEdge(this.nextStep);
+                this.distanceAlongEdge = overshoot;
+            } else if (!this.respawnAtDeadEnd()) {
+                this.distanceAlongEdge = this.edge.length;
+                break;
+            }
         }
 
-        // Smoothly move to targetZ (for lane changes / evasion)
-        if (Math.abs(this.group.position.z - this.targetZ) > 0.01) {
-            this.group.position.z = THREE.MathUtils.damp(this.group.position.z, this.targetZ, 5, deltaTime); // 5 is a damping factor
+        // Smoothly move to targetLateral (for lane changes / evasion)
+        if (Math.abs(this.lateralOffset - this.targetLateral) > 0.01) {
+            this.lateralOffset = THREE.MathUtils.damp(this.lateralOffset, this.targetLateral, 5, deltaTime); // 5 is a damping factor
         } else {
-            this.group.position.z = this.targetZ;
-            // If not evading and Z is not initial Z, snap back (this handles returning to lane after evasion)
-            if (!this.isEvading && this.group.position.z !== this.initialZ) {
-                this.targetZ = this.initialZ; 
+            this.lateralOffset = this.targetLateral;
+            // If not evading and not in lane, head back (this handles returning to lane after evasion)
+            if (!this.isEvading && this.lateralOffset !== this.laneOffset) {
+                this.targetLateral = this.laneOffset;
             }
         }
+        this.applyRoadPosition();
 
         // Restore speed if not stopped and not evading
-        if (!this.isStoppedForLight && !this.isEvading && Math.abs(this.currentSpeed) < Math.abs(this.speed)) {
-            this.currentSpeed = this.speed; // Restore to original speed (with direction)
+        if (!this.isStoppedForLight && !this.isEvading && this.currentSpeed < this.speed) {
+            this.currentSpeed = this.speed; // Restore to original speed
         }
         // Ensure speed is zero if stopped and not evading
          if (this.isStoppedForLight && !this.isEvading) {
             this.currentSpeed = 0;
         }
+        this.stoppedTime = this.isStoppedForLight ? this.stoppedTime + deltaTime : 0;
     }
 
-    checkAndHandleTrafficLight(junctionData, trafficLight, ambulanceIsVeryCloseAndNeedsWay) {
-        if (!junctionData || !trafficLight) { // No relevant junction or light
+    // signalState: what the light shows for this car's movement (its turn arrow or the main head), see JunctionController.getSignalFor.
+    // mustGiveWay: at a flashing-red or dark junction another car has the right of way.
+    checkAndHandleTrafficLight(junctionData, signalState, ambulanceIsVeryCloseAndNeedsWay, mustGiveWay = false) {
+        if (!junctionData || !signalState) { // No relevant junction or light
             if (this.isStoppedForLight) this.isStoppedForLight = false;
             if (!this.isEvading) { 
                  this.currentSpeed = this.speed; // Resume normal speed if not evading
@@ -147,12 +228,16 @@ export class ProceduralCar {
             return;
         }
 
-        const carDirectionSign = Math.sign(this.speed); // +1 for Eastbound, -1 for Westbound
-        // Distance to junction center along car's X direction of travel. Positive if junction is ahead.
-        const distToJunctionCenterX = (junctionData.center.x - this.group.position.x) * carDirectionSign;
+        // Distance to junction center along the car's edge. Positive if junction is ahead, negative once passed.
+        let distToJunctionCenterX = Infinity;
+        if (this.getEndNode().id === junctionData.nodeId) {
+            distToJunctionCenterX = this.getDistanceToEndNode();
+        } else if (this.network.getStartNode(this.edge, this.travelDir).id === junctionData.nodeId) {
+            distToJunctionCenterX = -this.distanceAlongEdge;
+        }
 
         // If ambulance is very close and car is trying to move (or stopped), let it creep
-        if (ambulanceIsVeryCloseAndNeedsWay && (this.isStoppedForLight || this.currentSpeed < Math.abs(this.speed))) {
+        if (ambulanceIsVeryCloseAndNeedsWay && (this.isStoppedForLight || this.currentSpeed < this.speed)) {
             if (this.isEvading) { // Only creep if also evading (to make space)
                 this.isStoppedForLight = false; // Override light stopping
                 this.currentSpeed = this.speed * 0.3; // Creep forward slowly
@@ -162,16 +247,18 @@ export class ProceduralCar {
 
         // Check light state only if car is approaching the junction from the front
         if (distToJunctionCenterX > 0 && distToJunctionCenterX < Config.carDetectionDistanceToJunction) {
-            const lightState = trafficLight.currentState;
+            const lightState = signalState;
             const effectiveStopDist = Config.carStopDistanceToJunction + this.length / 2; // Stop car's front before line
 
-            if ((lightState === TrafficLight.LIGHT_STATE.RED || lightState === TrafficLight.LIGHT_STATE.YELLOW) &&
-                distToJunctionCenterX < effectiveStopDist && distToJunctionCenterX > -this.length) { // If car is before or slightly past stop line
+            if (lightState === TrafficLight.LIGHT_STATE.FLASHING_RED || lightState === TrafficLight.LIGHT_STATE.OFF) {
+                this.handleUnsignalledJunction(junctionData, lightState, distToJunctionCenterX, effectiveStopDist, mustGiveWay);
+            } else if ((lightState === TrafficLight.LIGHT_STATE.RED || lightState === TrafficLight.LIGHT_STATE.YELLOW) &&
+                distToJunctionCenterX < effectiveStopDist && distToJunctionCenterX > effectiveStopDist - 2) { // At the stop line; further on the car is in the junction and clears it
                 if (!this.isEvading) { // Don't stop if actively evading unless ambulance logic changes this
                     this.isStoppedForLight = true;
                     this.currentSpeed = 0;
                 }
-            } else if (lightState === TrafficLight.LIGHT_STATE.GREEN) {
+            } else if (lightState === TrafficLight.LIGHT_STATE.GREEN || lightState === TrafficLight.LIGHT_STATE.FLASHING_YELLOW) { // Flashing yellow: go on with care
                 this.isStoppedForLight = false;
                 if (!this.isEvading) this.currentSpeed = this.speed; // Go if green and not evading
             } else if (this.isStoppedForLight && !(lightState === TrafficLight.LIGHT_STATE.RED || lightState === TrafficLight.LIGHT_STATE.YELLOW)) {
@@ -185,35 +272,51 @@ export class ProceduralCar {
         // If no relevant junction was close enough to begin with (handled by the first 'if' in this method), speed is restored there.
     }
 
-    startEvade(ambulanceTargetLaneZ) {
-        if (this.isEvading && this.targetZ !== this.initialZ) return; // Already evading to a non-initial Z
+    // Flashing red is an all-way stop: stop at the line, then go once no other car has the right of way. A dark
+    // junction has no stop: the car only waits at the line while it must give way.
+    handleUnsignalledJunction(junctionData, lightState, distance, stopDistance, mustGiveWay) {
+        if (this.passedStopNodeId === junctionData.nodeId) return; // Crossing
+        if (!(distance < stopDistance && distance > stopDistance - 2)) return; // Not at the stop line
+        const hasStopped = lightState === TrafficLight.LIGHT_STATE.OFF || this.stoppedTime >= (Config.flashingRedStopTime ?? 1.5);
+        if (hasStopped && !mustGiveWay) {
+            this.passedStopNodeId = junctionData.nodeId;
+            this.isStoppedForLight = false;
+            if (!this.isEvading) this.currentSpeed = this.speed;
+        } else if (!this.isEvading) {
+            this.isStoppedForLight = true;
+            this.currentSpeed = 0;
+        }
+    }
+
+    startEvade(ambulanceLateralOffset) { // Ambulance's lateral offset measured on this car's edge
+        if (this.isEvading && this.targetLateral !== this.laneOffset) return; // Already evading to a non-lane offset
         this.isEvading = true;
         
-        const carOriginalLaneZ = this.initialZ; // Car's normal lane Z
-        const roadEdgePositive = Config.roadWidth / 2 - this.carWidth / 2 - 0.2; // Safety margin from edge
-        const roadEdgeNegative = -Config.roadWidth / 2 + this.carWidth / 2 + 0.2;
+        const carLaneOffset = this.laneOffset; // Car's normal lane offset
+        const roadEdgePositive = this.edge.width / 2 - this.carWidth / 2 - 0.2; // Safety margin from kerb
+        const roadEdgeNegative = -this.edge.width / 2 + this.carWidth / 2 + 0.2;
 
         // Determine if car is in the same general path as ambulance
-        if (Math.abs(this.group.position.z - ambulanceTargetLaneZ) < Config.laneWidth * 0.8) { // If car is in/near ambulance's target Z
+        if (Math.abs(this.lateralOffset - ambulanceLateralOffset) < Config.laneWidth * 0.8) { // If car is in/near ambulance's lane
             // Evade away from ambulance
-            if (ambulanceTargetLaneZ <= carOriginalLaneZ) { // Ambulance is to car's left or in same lane, car should move right
-                this.targetZ = carOriginalLaneZ + Config.carEvadeShiftZ; 
-                if (this.targetZ > roadEdgePositive) this.targetZ = roadEdgePositive; // Don't go off-road
-            } else { // Ambulance is to car's right, car should move left
-                this.targetZ = carOriginalLaneZ - Config.carEvadeShiftZ; 
-                if (this.targetZ < roadEdgeNegative) this.targetZ = roadEdgeNegative; // Don't go off-road
+            if (ambulanceLateralOffset <= carLaneOffset) { // Ambulance is nearer the centre line or in same lane, car moves to the kerb
+                this.targetLateral = carLaneOffset + Config.carEvadeShiftZ; 
+                if (this.targetLateral > roadEdgePositive) this.targetLateral = roadEdgePositive; // Don't go off-road
+            } else { // Ambulance is on the kerb side, car moves towards the centre line
+                this.targetLateral = carLaneOffset - Config.carEvadeShiftZ; 
+                if (this.targetLateral < roadEdgeNegative) this.targetLateral = roadEdgeNegative; // Don't go off-road
             }
         } else { 
             // Ambulance is in a different lane, no need to evade, or car is already clear.
-            this.targetZ = this.initialZ; 
+            this.targetLateral = this.laneOffset; 
             this.isEvading = false; // Not actively evading if ambulance isn't conflicting
         }
     }
 
     stopEvade() {
-        if (!this.isEvading && Math.abs(this.group.position.z - this.initialZ) < 0.1) return; // Already back in lane or wasn't evading
+        if (!this.isEvading && Math.abs(this.lateralOffset - this.laneOffset) < 0.1) return; // Already back in lane or wasn't evading
         this.isEvading = false;
-        this.targetZ = this.initialZ; // Target back to original lane
+        this.targetLateral = this.laneOffset; // Target back to original lane
         // Speed will be restored in update() or checkAndHandleTrafficLight() if not stopped for light
     }
 }
\ No newline at end of file
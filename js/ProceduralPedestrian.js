@@ -17,9 +17,23 @@ export class ProceduralPedestrian {
         
         this.baseY = this.group.position.y + this.height / 2; // Set by main.js to center ped model on footpath surface + half height
         this.speed = 0.02; 
-        this.direction = 1; // 1 for +X, -1 for -X
-        this.footpathZ = this.group.position.z; // Z-coordinate on the footpath they stick to
-        this.movementAxis = 'x'; // Assume movement along X axis primarily
+        this.direction = 1; // 1 walks towards edge.to, -1 towards edge.from
+
+        // Footpath placement on the road network (set with setFootpathPosition from main.js)
+        this.network = null;
+        this.edge = null;
+        this.distanceAlongEdge = 0;
+        this.footpathOffset = 0; // Signed lateral offset of the footpath from the road centre line
+    }
+
+    setFootpathPosition(network, edge, distanceAlongEdge, footpathOffset) {
+        this.network = network;
+        this.edge = edge;
+        this.distanceAlongEdge = distanceAlongEdge;
+        this.footpathOffset = footpathOffset;
+        const y = this.group.position.y;
+        network.getPointOnEdge(edge, 1, distanceAlongEdge, footpathOffset, this.group.position);
+        this.group.position.y = y;
     }
 
     buildPedestrian() {
@@ -75,24 +89,22 @@ export class ProceduralPedestrian {
         const actualBaseY = this.baseY !== undefined ? this.baseY : ( (Config.roadSurfaceY ?? 0) + (Config.footpathHeightOffset || 0.05) + this.height / 2);
         this.group.position.y = actualBaseY + Math.sin(this.walkPhase) * 0.04;
 
-        if (this.movementAxis === 'x') {
-            this.group.position.x += this.speed * this.direction * deltaTime * 60; // Scale speed by fixed factor for consistency
-            // Ensure pedestrian stays roughly on their Z footpath coordinate (dampen back if strayed)
-            if (Math.abs(this.group.position.z - this.footpathZ) > 0.05) { 
-                 this.group.position.z = THREE.MathUtils.damp(this.group.position.z, this.footpathZ, 3, deltaTime);
-            }
-        }
-        
-        // Wrap around logic for X position
-        const numJunctions = Config.numJunctions ?? 1;
-        const junctionSize = Config.junctionSize ?? 10;
-        const roadLength = Config.roadLength ?? 60;
-        const roadExtentX = (numJunctions * junctionSize + (numJunctions + 1) * roadLength) / 2 + 30; // Wider extent for peds
+        if (!this.edge) return;
+        this.distanceAlongEdge += this.speed * this.direction * deltaTime * 60; // Scale speed by fixed factor for consistency
 
-        if (this.group.position.x > roadExtentX && this.direction === 1) {
-            this.group.position.x = -roadExtentX;
-        } else if (this.group.position.x < -roadExtentX && this.direction === -1) {
-             this.group.position.x = roadExtentX;
+        // Turn around at the ends of the footpath (where it meets a junction or the end of the road)
+        const footpathStart = this.network.getNode(this.edge.from).size / 2;
+        const footpathEnd = this.edge.length - this.network.getNode(this.edge.to).size / 2;
+        if (this.distanceAlongEdge > footpathEnd && this.direction === 1) {
+            this.distanceAlongEdge = footpathEnd;
+            this.direction = -1;
+        } else if (this.distanceAlongEdge < footpathStart && this.direction === -1) {
+            this.distanceAlongEdge = footpathStart;
+            this.direction = 1;
         }
+
+        const y = this.group.position.y;
+        this.network.getPointOnEdge(this.edge, 1, this.distanceAlongEdge, this.footpathOffset, this.group.position);
+        this.group.position.y = y;
     }
 }
\ No newline at end of file
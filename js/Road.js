@@ -1,10 +1,18 @@
 // js/Road.js
 import * as THREE from 'three';
 import { Config } from './Config.js';
+import { CityGenerator } from './CityGenerator.js';
+import { GeoJSONLoader } from './GeoJSONLoader.js';
+import { OSMLoader } from './OSMLoader.js';
+import { PathCurve } from './PathCurve.js';
+import { SumoNetLoader } from './SumoNetLoader.js';
+import { RoadNetwork } from './RoadNetwork.js';
+import { Router } from './Router.js';
 
 export class Road {
-    constructor(scene) {
+    constructor(scene, network = null) {
         this.scene = scene;
+        this.network = network; // RoadNetwork graph the meshes are built from (generated from Config.cityLayout if not given)
         this.group = new THREE.Group();
         this.junctionCenters = [];
         this.textureLoader = new THREE.TextureLoader();
@@ -21,6 +29,26 @@ export class Road {
         this.scene.add(this.group);
     }
 
+    // Builds the RoadNetwork described by Config.roadNetworkSource. File sources that fail to load
+    // fall back to the generated city so the simulation still starts.
+    static async loadNetwork(source = Config.roadNetworkSource || { type: 'generated' }) {
+        try {
+            switch (source.type) {
+                case 'geojson': return await new GeoJSONLoader(source.options).load(source.url);
+                case 'osm': return await new OSMLoader(source.options).load(source.url);
+                case 'sumo': return await new SumoNetLoader(source.options).load(source.url);
+                case 'generated':
+                case undefined:
+                    return CityGenerator.generate(Config.cityLayout);
+                default:
+                    console.warn(`Road.loadNetwork: unknown source type '${source.type}'.`);
+            }
+        } catch (error) {
+            console.error(`Road.loadNetwork: could not load ${source.type} network from ${source.url}, using generated city.`, error);
+        }
+        return CityGenerator.generate(Config.cityLayout);
+    }
+
     loadTextureWithFallback(path, fallbackColorHex) {
         try {
             const texture = this.textureLoader.load(path,
@@ -157,161 +185,231 @@ export class Road {
     }
 
     createRoadLayout() {
-        const ewRoadLength = Config.roadLength;
-        const ewRoadWidth = Config.roadWidth;
-        const junctionSize = Config.junctionSize; // This is the side length of the square junction area
-        const numJunctions = Config.numJunctions;
-
-        const totalLengthOverall = (numJunctions + 1) * ewRoadLength + numJunctions * junctionSize;
-        let currentX = -totalLengthOverall / 2; // Start from the far west
-
-        // Create East-West road segments and junctions
-        for (let i = 0; i <= numJunctions; i++) {
-            // Add a straight E-W road segment first
-            const segment = this.createRoadSegment(ewRoadLength, ewRoadWidth, new THREE.Vector3(currentX + ewRoadLength / 2, 0, 0));
-            this.group.add(segment);
-            currentX += ewRoadLength;
-
-            if (i < numJunctions) { // If not the last segment, add a junction after it
-                const junctionCenterX = currentX + junctionSize / 2;
-                const junctionCenterZ = 0; // Assuming E-W road is along Z=0
-                this.junctionCenters.push(new THREE.Vector3(junctionCenterX, this.roadSurfaceY, junctionCenterZ));
-
-                // Junction square (the main intersection area)
-                const junctionSquare = this.createRoadSegment(junctionSize, junctionSize, 
-                    new THREE.Vector3(junctionCenterX, 0, junctionCenterZ), 0, true); // Mark as junction square
-                this.group.add(junctionSquare);
-
-                // N-S Roads connected to this junction
-                const nsRoadLength = Config.roadLength; // Length of the N-S arms extending from junction
-                const nsRoadWidth = Config.roadWidth;
-
-                // South arm (extends downwards from junction)
-                const southArm = this.createRoadSegment(nsRoadLength, nsRoadWidth,
-                    new THREE.Vector3(junctionCenterX, 0, junctionCenterZ - junctionSize / 2 - nsRoadLength / 2), Math.PI / 2);
-                this.group.add(southArm);
-
-                // North arm (extends upwards from junction)
-                const northArm = this.createRoadSegment(nsRoadLength, nsRoadWidth,
-                    new THREE.Vector3(junctionCenterX, 0, junctionCenterZ + junctionSize / 2 + nsRoadLength / 2), Math.PI / 2);
-                this.group.add(northArm);
-                
-                currentX += junctionSize; // Move past the junction for the next E-W segment
+        if (!this.network) this.network = CityGenerator.generate(Config.cityLayout);
+
+        // Road segments, trimmed so they end at the edge of the junction squares they connect
+        this.network.edges.forEach(edge => {
+            const from = this.network.getNode(edge.from);
+            const to = this.network.getNode(edge.to);
+            const trimStart = from.size / 2;
+            const trimEnd = to.size / 2;
+            const segmentLength = edge.length - trimStart - trimEnd;
+            if (segmentLength <= 0.1) return; // Nodes overlap, nothing visible between them
+
+            const midDistance = trimStart + segmentLength / 2;
+            const midPoint = from.position.clone().addScaledVector(edge.direction, midDistance).setY(0);
+            const rotationY = Math.atan2(-edge.direction.z, edge.direction.x);
+            this.group.add(this.createRoadSegment(segmentLength, edge.width, midPoint, rotationY));
+        });
+
+        // Junction squares, plus small patches at bends so consecutive segments join up
+        this.network.nodes.forEach(node => {
+            if (node.size <= 0) return;
+            const firstEdge = this.network.getEdgesAt(node.id)[0];
+            const rotationY = firstEdge ? Math.atan2(-firstEdge.direction.z, firstEdge.direction.x) : 0;
+            const square = this.createRoadSegment(node.size, node.size,
+                new THREE.Vector3(node.position.x, 0, node.position.z), rotationY, true); // Mark as junction square
+            this.group.add(square);
+        });
+
+        this.junctionCenters = this.network.junctions.map(n => new THREE.Vector3(n.position.x, this.roadSurfaceY, n.position.z));
+        console.log("Junction centers:", this.junctionCenters.map(jc => `(${jc.x.toFixed(1)}, ${jc.z.toFixed(1)})`));
+    }
+
+    // Lane to be in at the end of a route step: the kerb lane before a kerb-side turn, the lane next to
+    // the centre line before turning across oncoming traffic, otherwise the preferred lane.
+    getTurnLane(step, nextStep, preferredLane) {
+        const laneCount = Math.max(1, this.network.getLaneCount(step.edge, step.travelDir));
+        if (nextStep) {
+            const turn = Router.getTurnType(this.network, step, nextStep);
+            if (turn === 'nearSide') return laneCount - 1;
+            if (turn === 'farSide') return 0;
+        }
+        return Math.min(preferredLane, laneCount - 1);
+    }
+
+    // Converts a route (see Router.findRoute) into lane-centre waypoints. Lane changes happen before each
+    // junction so turns start from the proper lane, and turns follow a curve through the junction square.
+    // Returns { points, junctions: [{ nodeId, distance, index }] } with distance measured along the points and
+    // index the point in the middle of the junction.
+    getRoutePathPoints(route, preferredLane = 0, y = this.roadSurfaceY + 0.2) {
+        const network = this.network;
+        const laneChangeDistance = Config.routeLaneChangeDistance ?? 15;
+        const turnSegments = Config.routeTurnSegments ?? 6;
+        const points = [];
+        const junctionPoints = []; // { nodeId, index } of the point in the middle of each junction
+        const pointAt = (step, s, laneIndex) =>
+            network.getPointOnEdge(step.edge, step.travelDir, s, network.getLaneOffset(step.edge, step.travelDir, laneIndex)).setY(y);
+
+        let entryLane = Math.min(preferredLane, Math.max(0, network.getLaneCount(route.steps[0].edge, route.steps[0].travelDir) - 1));
+        route.steps.forEach((step, i) => {
+            const next = route.steps[i + 1] || null;
+            const startNode = network.getStartNode(step.edge, step.travelDir);
+            const endNode = network.getEndNode(step.edge, step.travelDir);
+            const entryS = i === 0 ? route.startDistance : startNode.size / 2;
+            const exitS = next ? step.edge.length - endNode.size / 2 : route.endDistance;
+            const exitLane = this.getTurnLane(step, next, preferredLane);
+
+            points.push(pointAt(step, entryS, entryLane));
+            if (exitLane !== entryLane) { // Change lanes in good time before the junction
+                const changeEnd = Math.max(entryS, exitS - laneChangeDistance);
+                const changeStart = Math.max(entryS, changeEnd - laneChangeDistance);
+                points.push(pointAt(step, changeStart, entryLane), pointAt(step, changeEnd, exitLane));
+            }
+            points.push(pointAt(step, exitS, exitLane));
+            if (!next) return;
+
+            // Through the junction: straight across, or a quadratic curve whose control point is where the
+            // approach lane and exit lane lines meet
+            const nextEntryLane = Math.min(exitLane, Math.max(0, network.getLaneCount(next.edge, next.travelDir) - 1));
+            const from = points[points.length - 1];
+            const to = pointAt(next, endNode.size / 2, nextEntryLane);
+            const dirIn = network.getTravelDirection(step.edge, step.travelDir);
+            const dirOut = network.getTravelDirection(next.edge, next.travelDir);
+            const denominator = dirIn.x * dirOut.z - dirIn.z * dirOut.x;
+            if (Math.abs(denominator) < 0.2) {
+                junctionPoints.push({ nodeId: endNode.id, index: points.length });
+                points.push(from.clone().lerp(to, 0.5));
+            } else {
+                const t = ((to.x - from.x) * dirOut.z - (to.z - from.z) * dirOut.x) / denominator;
+                const control = from.clone().addScaledVector(dirIn, t);
+                for (let k = 1; k < turnSegments; k++) {
+                    const u = k / turnSegments;
+                    if (k === Math.floor(turnSegments / 2)) junctionPoints.push({ nodeId: endNode.id, index: points.length });
+                    points.push(new THREE.Vector3()
+                        .addScaledVector(from, (1 - u) * (1 - u))
+                        .addScaledVector(control, 2 * u * (1 - u))
+                        .addScaledVector(to, u * u));
+                }
             }
+            entryLane = nextEntryLane;
+        });
+
+        // Drop consecutive duplicates (they upset lookAt), keeping junction markers on the right points
+        const filtered = [];
+        const indexMap = [];
+        points.forEach((point, i) => {
+            if (filtered.length === 0 || point.distanceToSquared(filtered[filtered.length - 1]) > 1e-4) filtered.push(point);
+            indexMap[i] = filtered.length - 1;
+        });
+        const distances = [0];
+        for (let i = 1; i < filtered.length; i++) distances.push(distances[i - 1] + filtered[i].distanceTo(filtered[i - 1]));
+        const junctions = junctionPoints
+            .filter(j => network.getNode(j.nodeId).type === RoadNetwork.NODE_TYPE.JUNCTION)
+            .map(j => ({ nodeId: j.nodeId, distance: distances[indexMap[j.index]], index: indexMap[j.index] }));
+        return { points: filtered, junctions };
+    }
+
+    // Westernmost and easternmost dead ends (closest to Z=0 on ties), the default places for the ambulance
+    // station and the hospital. Falls back to the outermost junctions on networks without dead ends.
+    getDefaultRouteEnds() {
+        const byX = (a, b) => (a.position.x - b.position.x) || (Math.abs(a.position.z) - Math.abs(b.position.z));
+        const deadEnds = this.network.getDeadEnds().sort(byX);
+        const candidates = deadEnds.length > 0 ? deadEnds : [...this.network.nodes.values()].sort(byX);
+        const west = candidates[0] || null;
+        const east = [...candidates].sort((a, b) => (b.position.x - a.position.x) || (Math.abs(a.position.z) - Math.abs(b.position.z)))[0] || null;
+        return { west, east };
+    }
+
+    // Resolves a place given as a node id, a { x, z } position or null (use the fallback node) to a point
+    resolveRoutePoint(spec, fallbackNode) {
+        if (typeof spec === 'string') {
+            const node = this.network.getNode(spec);
+            if (node) return node.position.clone();
+            console.warn(`Road: route node '${spec}' not found, using ${fallbackNode?.id}.`);
+        } else if (spec && Number.isFinite(spec.x) && Number.isFinite(spec.z)) {
+            return new THREE.Vector3(spec.x, this.roadSurfaceY, spec.z);
         }
-        this.junctionCenters.sort((a, b) => a.x - b.x); // Ensure sorted by X for pathfinding
-        console.log("Junction centers:", this.junctionCenters.map(jc => `(${jc.x.toFixed(1)}, ${jc.z.toFixed(1)})`));
+        return fallbackNode ? fallbackNode.position.clone() : null;
     }
 
-    getAmbulancePath() {
-        const path = [];
+    // Plans an ambulance route between two points and lays it out in the ambulance lane.
+    // Returns the route from Router.findRoute with destination, path (waypoints) and junctions ({ nodeId, distance }) added.
+    getAmbulanceRoute(origin, destination, router = new Router(this.network)) {
+        const route = router.findRoute(origin, destination);
+        if (!route) return null;
+        route.destination = destination.clone();
+        if (!this.layoutAmbulanceRoute(route)) return null;
+        console.log(`Ambulance route: ${route.steps.length} edges, ${route.length.toFixed(0)} units, ` +
+            `~${route.travelTime.toFixed(0)} s, junctions [${route.junctionNodeIds.join(', ')}]`);
+        return route;
+    }
+
+    // Lays a route out in the ambulance lane as a smooth curve through the lane waypoints: adds route.curve
+    // (PathCurve), route.path (points spaced evenly along the curve) and route.junctions ({ nodeId, distance }
+    // with distance along the curve).
+    layoutAmbulanceRoute(route) {
         // Ambulance Y position, slightly above road surface to avoid Z-fighting with markings.
         // This depends on your ambulance model's pivot point. If pivot is at base, this is good.
-        const ambulanceY = this.roadSurfaceY + 0.2; 
-        
-        const totalRoadLengthEW = (Config.numJunctions + 1) * Config.roadLength + Config.numJunctions * Config.junctionSize;
-        const startX = -totalRoadLengthEW / 2 - Config.roadLength * 0.2; // Start west of the first segment
-        const endX = totalRoadLengthEW / 2 + Config.roadLength * 0.2;   // End east of the last segment
-
-        // Z offset for the ambulance path from the center of the road (e.g., a specific lane)
-        const ambulanceLaneZ = Config.ambulanceLaneOffsetZ ?? -(Config.roadWidth / 4); // Default to a lane if not specified
-
-        path.push(new THREE.Vector3(startX, ambulanceY, ambulanceLaneZ)); // Starting point
-
-        // Add waypoints through each junction
-        if (this.junctionCenters.length > 0) {
-            this.junctionCenters.forEach(center => {
-                // Points to make smoother turns or ensure it passes through critical areas
-                path.push(new THREE.Vector3(center.x - Config.junctionSize, ambulanceY, ambulanceLaneZ)); // Approach point before junction
-                path.push(new THREE.Vector3(center.x, ambulanceY, ambulanceLaneZ));                     // Middle of junction
-                path.push(new THREE.Vector3(center.x + Config.junctionSize, ambulanceY, ambulanceLaneZ)); // Exit point after junction
-            });
-        } else { // Straight path if no junctions defined in Config
-            path.push(new THREE.Vector3(0, ambulanceY, ambulanceLaneZ)); // Add a midpoint for a simple straight road
+        const ambulanceY = this.roadSurfaceY + 0.2;
+        const { points, junctions } = this.getRoutePathPoints(route, Config.ambulanceLaneIndex ?? 0, ambulanceY);
+        if (points.length < 2) {
+            console.warn("layoutAmbulanceRoute: origin and destination are too close together.");
+            return false;
         }
+        route.curve = new PathCurve(points);
+        route.path = route.curve.getSpacedPoints();
+        route.junctions = junctions.map(j => ({ nodeId: j.nodeId, distance: route.curve.getWaypointDistance(j.index) }));
+        return true;
+    }
 
-        path.push(new THREE.Vector3(endX, ambulanceY, ambulanceLaneZ)); // Ending point
+    // Reflector strip settings of a road segment: Config.reflectorSegments[edge.id] over the defaults
+    getReflectorSettings(edge) {
+        const segment = Config.reflectorSegments?.[edge.id] ?? {};
+        return {
+            enabled: segment.enabled ?? true,
+            spacing: segment.spacing ?? Config.reflectorSpacing,
+            lateralOffset: segment.lateralOffset ?? Config.reflectorLateralOffset ?? 0
+        };
+    }
 
-        // Filter out consecutive duplicate points which can cause issues with lookAt calculations
-        const uniquePath = path.filter((point, i, arr) => i === 0 || !point.equals(arr[i-1]));
-        console.log("Ambulance Path (Lane Z: " + ambulanceLaneZ + "):", uniquePath.map(p => `(${p.x.toFixed(1)},${p.y.toFixed(1)},${p.z.toFixed(1)})`));
-        return uniquePath;
+    // One strip per leg that traffic can approach the junction on: [{ approach, positions }]
+    getReflectorStrips(junctionIndex) {
+        const junctionNode = this.getJunctionNode(junctionIndex);
+        if (!junctionNode) return [];
+        return this.network.getApproaches(junctionNode.id)
+            .filter(approach => this.network.getLaneCount(approach.edge, approach.travelDir) > 0) // Not the exit of a one-way road
+            .map(approach => ({ approach, positions: this.getApproachReflectorPositions(junctionNode, approach) }))
+            .filter(strip => strip.positions.length > 0);
     }
 
     getReflectorPositions(junctionIndex, approachDirection = 'west') {
-        if (junctionIndex < 0 || junctionIndex >= this.junctionCenters.length) {
+        const junctionNode = this.getJunctionNode(junctionIndex);
+        if (!junctionNode) {
             console.warn(`getReflectorPositions: Invalid junctionIndex ${junctionIndex}`);
             return [];
         }
-        const junctionCenter = this.junctionCenters[junctionIndex];
-        if (!junctionCenter) {
-            console.warn(`getReflectorPositions: No center found for junctionIndex ${junctionIndex}`);
-            return [];
-        }
+        const approach = this.network.getApproach(junctionNode.id, approachDirection);
+        if (!approach) return []; // No road on that side of the junction
+        return this.getApproachReflectorPositions(junctionNode, approach);
+    }
+
+    // Reflector positions along one approach leg ({ edge, travelDir } inbound to junctionNode), closest to the junction first
+    getApproachReflectorPositions(junctionNode, approach) {
+        const { enabled, spacing: reflectorSpacing, lateralOffset } = this.getReflectorSettings(approach.edge);
+        if (!enabled || !(reflectorSpacing > 0)) return [];
 
-        const positions = [];
         // Y position for reflector base, slightly above road surface (e.g. on top of lane marking)
         const reflectorYPosition = this.roadSurfaceY - 0.0425; // Align with lane marking top
 
-        const roadSegmentLength = Config.roadLength; // Length of the road segment leading to junction
-        const reflectorSpacing = Config.reflectorSpacing;
-        const numReflectors = Math.floor(roadSegmentLength / reflectorSpacing);
-
-        // Reflectors typically on the center lane marking (Z=0 relative to E-W road segment)
-        const reflectorLocalZ = 0; 
-
-        if (approachDirection === 'west') { 
-            // Reflectors on E-W road segment leading TO the junction from the West
-            // This segment starts after the *previous* junction (or map edge) and ends at `junctionCenter.x - junctionSize/2`
-            const segmentStartX = junctionCenter.x - Config.junctionSize / 2 - roadSegmentLength;
+        // Reflectors sit on the centre line of the segment leading to the junction (shifted by lateralOffset
+        // towards the inbound kerb), between the far node's edge and this junction's square.
+        const { edge, travelDir } = approach;
+        const farNode = this.network.getStartNode(edge, travelDir);
+        const segmentStart = farNode.size / 2;
+        const segmentLength = edge.length - segmentStart - junctionNode.size / 2;
+        const numReflectors = Math.floor(segmentLength / reflectorSpacing);
 
-            for (let i = 0; i < numReflectors; i++) {
-                positions.push(new THREE.Vector3(
-                    segmentStartX + (i + 0.5) * reflectorSpacing, // Place along the segment
-                    reflectorYPosition,
-                    junctionCenter.z + reflectorLocalZ // Align with E-W road's Z center
-                ));
-            }
-            // For West approach (ambulance moving +X), reflectors should activate in reverse order of placement if chained
-            return positions.reverse(); 
-        
-        } else if (approachDirection === 'east') {
-            // Reflectors on E-W road segment leading TO junction from East
-            const segmentStartX = junctionCenter.x + Config.junctionSize / 2; // Starts after current junction, extends East
-             for (let i = 0; i < numReflectors; i++) {
-                positions.push(new THREE.Vector3(
-                    segmentStartX + (i + 0.5) * reflectorSpacing,
-                    reflectorYPosition,
-                    junctionCenter.z + reflectorLocalZ
-                ));
-            }
-            return positions; // Order is correct for ambulance approaching from East (moving -X)
-
-        } else if (approachDirection === 'south') {
-            // Reflectors on N-S road segment leading TO junction from South
-            const segmentStartZ = junctionCenter.z - Config.junctionSize / 2 - roadSegmentLength;
-            for (let i = 0; i < numReflectors; i++) {
-                positions.push(new THREE.Vector3(
-                    junctionCenter.x + reflectorLocalZ, // Reflectors on N-S road's X-centerline
-                    reflectorYPosition,
-                    segmentStartZ + (i + 0.5) * reflectorSpacing 
-                ));
-            }
-            return positions.reverse(); // For ambulance approaching from South (moving +Z)
-
-        } else if (approachDirection === 'north') {
-            // Reflectors on N-S road segment leading TO junction from North
-            const segmentStartZ = junctionCenter.z + Config.junctionSize / 2;
-             for (let i = 0; i < numReflectors; i++) {
-                positions.push(new THREE.Vector3(
-                    junctionCenter.x + reflectorLocalZ,
-                    reflectorYPosition,
-                    segmentStartZ + (i + 0.5) * reflectorSpacing
-                ));
-            }
-            return positions; // For ambulance approaching from North (moving -Z)
+        const positions = [];
+        for (let i = 0; i < numReflectors; i++) {
+            positions.push(this.network.getPointOnEdge(edge, travelDir, segmentStart + (i + 0.5) * reflectorSpacing, lateralOffset)
+                .setY(reflectorYPosition));
         }
-        return positions; // Should not be reached if valid direction
+        return positions.reverse(); // Closest to the junction first
+    }
+
+    getJunctionNode(junctionIndex) {
+        return this.network.junctions[junctionIndex] || null;
     }
 
     getJunctionCenter(junctionIndex) {
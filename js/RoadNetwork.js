@@ -0,0 +1,247 @@
+// js/RoadNetwork.js
+import * as THREE from 'three';
+import { Config } from './Config.js';
+
+const NODE_TYPE = { JUNCTION: 'junction', DEAD_END: 'deadEnd', BEND: 'bend' };
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Graph of road nodes (junctions, dead ends, bends) and straight edges (road segments).
+// Scene convention: +X is East, +Z is North. Vehicles keep to the side given by Config.driveOnLeft.
+export class RoadNetwork {
+    constructor() {
+        this.nodes = new Map();
+        this.edges = new Map();
+        this.adjacency = new Map(); // nodeId -> [edgeId]
+        this.junctions = []; // Junction nodes, ordered West->East then South->North (filled by finalize)
+        this.nextNodeId = 0;
+        this.nextEdgeId = 0;
+    }
+
+    addNode({ id, x, z, type = null, signalized = false, size = null, name = '' }) {
+        const nodeId = id ?? `n${this.nextNodeId++}`;
+        if (this.nodes.has(nodeId)) {
+            console.warn(`RoadNetwork: node ${nodeId} already exists, returning existing node.`);
+            return this.nodes.get(nodeId);
+        }
+        const node = {
+            id: nodeId,
+            position: new THREE.Vector3(x, Config.roadSurfaceY ?? 0, z),
+            type, // Resolved from degree in finalize() when not given explicitly
+            signalized,
+            size, // Side length of the junction square, resolved in finalize()
+            name
+        };
+        this.nodes.set(nodeId, node);
+        this.adjacency.set(nodeId, []);
+        return node;
+    }
+
+    addEdge(fromId, toId, { id, lanesForward = 1, lanesBackward = 1, width = null, speedLimit = null, name = '' } = {}) {
+        const from = this.nodes.get(fromId);
+        const to = this.nodes.get(toId);
+        if (!from || !to || fromId === toId) {
+            console.warn(`RoadNetwork: cannot add edge between ${fromId} and ${toId}.`);
+            return null;
+        }
+        const delta = new THREE.Vector3().subVectors(to.position, from.position).setY(0);
+        const length = delta.length();
+        if (length < 0.01) {
+            console.warn(`RoadNetwork: edge between ${fromId} and ${toId} has zero length, skipped.`);
+            return null;
+        }
+        const laneWidth = Config.laneWidth || 3.5;
+        const edge = {
+            id: id ?? `e${this.nextEdgeId++}`,
+            from: fromId,
+            to: toId,
+            length,
+            direction: delta.normalize(), // Unit vector from -> to
+            lanesForward, // Lanes travelling from -> to
+            lanesBackward, // Lanes travelling to -> from (0 for one-way roads)
+            width: width ?? Math.max(Config.roadWidth, (lanesForward + lanesBackward) * laneWidth),
+            speedLimit: speedLimit ?? Config.defaultSpeedLimit ?? 14, // Units per second
+            name
+        };
+        this.edges.set(edge.id, edge);
+        this.adjacency.get(fromId).push(edge.id);
+        this.adjacency.get(toId).push(edge.id);
+        return edge;
+    }
+
+    // Resolves node types and junction sizes once all nodes and edges are added.
+    finalize() {
+        this.nodes.forEach(node => {
+            const degree = this.adjacency.get(node.id).length;
+            if (!node.type) {
+                if (degree >= 3 || (node.signalized && degree >= 2)) node.type = NODE_TYPE.JUNCTION;
+                else if (degree === 2) node.type = NODE_TYPE.BEND;
+                else node.type = NODE_TYPE.DEAD_END;
+            }
+            if (node.size === null) {
+                const widest = Math.max(0, ...this.getEdgesAt(node.id).map(e => e.width));
+                if (node.type === NODE_TYPE.JUNCTION) node.size = Math.max(Config.junctionSize, widest);
+                else if (node.type === NODE_TYPE.BEND) node.size = widest;
+                else node.size = 0;
+            }
+        });
+        this.junctions = [...this.nodes.values()]
+            .filter(n => n.type === NODE_TYPE.JUNCTION)
+            .sort((a, b) => (a.position.x - b.position.x) || (a.position.z - b.position.z));
+        return this;
+    }
+
+    removeIsolatedNodes() {
+        [...this.nodes.keys()].forEach(id => {
+            if (this.adjacency.get(id).length === 0) {
+                this.nodes.delete(id);
+                this.adjacency.delete(id);
+            }
+        });
+    }
+
+    getNode(id) { return this.nodes.get(id) || null; }
+
+    getEdge(id) { return this.edges.get(id) || null; }
+
+    getEdgesAt(nodeId) {
+        return (this.adjacency.get(nodeId) || []).map(id => this.edges.get(id));
+    }
+
+    getOtherNode(edge, nodeId) {
+        return this.nodes.get(edge.from === nodeId ? edge.to : edge.from);
+    }
+
+    getDeadEnds() {
+        return [...this.nodes.values()].filter(n => n.type === NODE_TYPE.DEAD_END);
+    }
+
+    // travelDir: +1 travels from -> to, -1 travels to -> from
+    getStartNode(edge, travelDir) { return this.nodes.get(travelDir > 0 ? edge.from : edge.to); }
+
+    getEndNode(edge, travelDir) { return this.nodes.get(travelDir > 0 ? edge.to : edge.from); }
+
+    getLaneCount(edge, travelDir) { return travelDir > 0 ? edge.lanesForward : edge.lanesBackward; }
+
+    getTravelDirection(edge, travelDir) {
+        return edge.direction.clone().multiplyScalar(travelDir > 0 ? 1 : -1);
+    }
+
+    // Unit vector pointing to the kerb side vehicles keep to (left in left-hand traffic).
+    getKeepSideNormal(edge, travelDir) {
+        const dir = this.getTravelDirection(edge, travelDir);
+        const right = new THREE.Vector3().crossVectors(dir, UP).normalize();
+        return Config.driveOnLeft === false ? right : right.negate();
+    }
+
+    // Lateral offset (along getKeepSideNormal) of a lane centre from the road centreline.
+    // laneIndex 0 is the lane next to the centreline.
+    getLaneOffset(edge, travelDir, laneIndex = 0) {
+        const laneWidth = Config.laneWidth || 3.5;
+        const lanes = this.getLaneCount(edge, travelDir);
+        const opposingLanes = this.getLaneCount(edge, -travelDir);
+        if (opposingLanes === 0) { // One-way road: lanes are centred on the carriageway
+            return (laneIndex - (lanes - 1) / 2) * laneWidth;
+        }
+        return (laneIndex + 0.5) * laneWidth;
+    }
+
+    // Point at distance s (from the start node in travel direction) shifted laterally towards the keep side.
+    getPointOnEdge(edge, travelDir, s, lateralOffset = 0, target = new THREE.Vector3()) {
+        const start = this.getStartNode(edge, travelDir).position;
+        target.copy(start).addScaledVector(this.getTravelDirection(edge, travelDir), s);
+        if (lateralOffset !== 0) target.addScaledVector(this.getKeepSideNormal(edge, travelDir), lateralOffset);
+        return target;
+    }
+
+    // Edges that can be entered from nodeId, respecting one-way restrictions.
+    getOutgoing(nodeId) {
+        return this.getEdgesAt(nodeId)
+            .map(edge => ({ edge, travelDir: edge.from === nodeId ? 1 : -1 }))
+            .filter(o => this.getLaneCount(o.edge, o.travelDir) > 0);
+    }
+
+    // Legs of a node as seen from the node: heading points outward along the leg,
+    // travelDir is the inbound direction (towards the node) on that edge.
+    getApproaches(nodeId) {
+        return this.getEdgesAt(nodeId).map(edge => {
+            const travelDir = edge.to === nodeId ? 1 : -1;
+            const heading = this.getTravelDirection(edge, -travelDir);
+            return {
+                edge,
+                travelDir,
+                nodeId,
+                fromNodeId: travelDir > 0 ? edge.from : edge.to,
+                heading,
+                compass: RoadNetwork.compassFromVector(heading)
+            };
+        });
+    }
+
+    getApproach(nodeId, compass) {
+        return this.getApproaches(nodeId).find(a => a.compass === compass) || null;
+    }
+
+    // Straight-ahead continuation from an edge at its end node (smallest heading change), or null at a dead end.
+    getStraightContinuation(edge, travelDir) {
+        const endNode = this.getEndNode(edge, travelDir);
+        const dir = this.getTravelDirection(edge, travelDir);
+        let best = null;
+        let bestDot = 0.5; // Ignore turns sharper than 60 degrees
+        this.getOutgoing(endNode.id).forEach(o => {
+            if (o.edge === edge) return;
+            const dot = this.getTravelDirection(o.edge, o.travelDir).dot(dir);
+            if (dot > bestDot) { bestDot = dot; best = o; }
+        });
+        return best;
+    }
+
+    getBounds() {
+        const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+        this.nodes.forEach(n => {
+            bounds.minX = Math.min(bounds.minX, n.position.x);
+            bounds.maxX = Math.max(bounds.maxX, n.position.x);
+            bounds.minZ = Math.min(bounds.minZ, n.position.z);
+            bounds.maxZ = Math.max(bounds.maxZ, n.position.z);
+        });
+        return bounds;
+    }
+
+    nearestNode(point, filter = null) {
+        let best = null;
+        let bestDistSq = Infinity;
+        this.nodes.forEach(n => {
+            if (filter && !filter(n)) return;
+            const dx = n.position.x - point.x;
+            const dz = n.position.z - point.z;
+            const distSq = dx * dx + dz * dz;
+            if (distSq < bestDistSq) { bestDistSq = distSq; best = n; }
+        });
+        return best;
+    }
+
+    // Closest point on any edge centreline: { edge, s (from edge.from), distance, point }
+    nearestEdgePoint(point) {
+        let best = null;
+        this.edges.forEach(edge => {
+            const from = this.nodes.get(edge.from).position;
+            const s = THREE.MathUtils.clamp(
+                (point.x - from.x) * edge.direction.x + (point.z - from.z) * edge.direction.z, 0, edge.length);
+            const px = from.x + edge.direction.x * s;
+            const pz = from.z + edge.direction.z * s;
+            const distance = Math.hypot(point.x - px, point.z - pz);
+            if (!best || distance < best.distance) {
+                best = { edge, s, distance, point: new THREE.Vector3(px, from.y, pz) };
+            }
+        });
+        return best;
+    }
+
+    static compassFromVector(v) {
+        if (Math.abs(v.x) >= Math.abs(v.z)) return v.x >= 0 ? 'east' : 'west';
+        return v.z >= 0 ? 'north' : 'south';
+    }
+
+    static get NODE_TYPE() {
+        return NODE_TYPE;
+    }
+}
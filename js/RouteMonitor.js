@@ -0,0 +1,78 @@
+// js/RouteMonitor.js
+import { Config } from './Config.js';
+import { TrafficLight } from './TrafficLight.js';
+
+// Watches live traffic for the ambulance: queues of stopped ProceduralCars and the signal each approach
+// currently shows, turned into extra seconds per directed edge for Router.findRoute. evaluate() compares
+// the rest of the current route with the fastest alternative under those costs.
+export class RouteMonitor {
+    constructor(network, router) {
+        this.network = network;
+        this.router = router;
+        this.conditions = new Map(); // "edgeId|travelDir" -> { edge, travelDir, queuedCars, signalState, delay }
+        this.getExtraCost = (edge, travelDir) => this.conditions.get(`${edge.id}|${travelDir}`)?.delay ?? 0;
+    }
+
+    // cars: ProceduralCar list; junctionsByNodeId: JunctionController per node id; lightForEdge(junction, edge) -> TrafficLight
+    measure(cars, junctionsByNodeId, lightForEdge) {
+        const delayPerCar = Config.rerouteDelayPerQueuedCar ?? 1.5;
+        const redDelay = Config.rerouteRedLightDelay ?? 8;
+        this.conditions.clear();
+        const conditionFor = (edge, travelDir) => {
+            const key = `${edge.id}|${travelDir}`;
+            if (!this.conditions.has(key)) {
+                this.conditions.set(key, { edge, travelDir, queuedCars: 0, signalState: null, junctionId: null, delay: 0 });
+            }
+            return this.conditions.get(key);
+        };
+
+        cars.forEach(car => {
+            if (!car.edge) return;
+            if (car.isStoppedForLight || car.currentSpeed < car.speed * 0.3) {
+                const condition = conditionFor(car.edge, car.travelDir);
+                condition.queuedCars++;
+                condition.delay += delayPerCar;
+            }
+        });
+
+        // A red or yellow light ahead costs time unless the junction is already being preempted for the ambulance
+        junctionsByNodeId.forEach(junction => {
+            if (junction.isAmbulanceApproaching) return;
+            junction.approaches.forEach(approach => {
+                const light = lightForEdge(junction, approach.edge);
+                if (!light || light.currentState === TrafficLight.LIGHT_STATE.GREEN) return;
+                const condition = conditionFor(approach.edge, approach.travelDir);
+                condition.signalState = light.currentState;
+                condition.junctionId = junction.id;
+                condition.delay += light.currentState === TrafficLight.LIGHT_STATE.RED ? redDelay : redDelay / 2;
+            });
+        });
+    }
+
+    // remainingRoute: the not yet driven part of the current route (same shape as a Router route).
+    // Returns { route, currentTime, alternativeTime, reason } when switching saves enough time, otherwise null.
+    evaluate(remainingRoute, start, destination) {
+        const currentTime = this.router.getTravelTime(remainingRoute, { extraCost: this.getExtraCost });
+        const alternative = this.router.findRoute(start, destination, { extraCost: this.getExtraCost });
+        if (!alternative) return null;
+        const sameRoute = alternative.steps.length === remainingRoute.steps.length &&
+            alternative.steps.every((step, i) => step.edge === remainingRoute.steps[i].edge && step.travelDir === remainingRoute.steps[i].travelDir);
+        const saving = currentTime - alternative.travelTime;
+        if (sameRoute || saving < (Config.rerouteMinTimeSaving ?? 5)) return null;
+        return { route: alternative, currentTime, alternativeTime: alternative.travelTime, reason: this.describeWorstDelay(remainingRoute) };
+    }
+
+    // Human readable cause of the largest delay on a route, e.g. "4 queued cars on Market Street"
+    describeWorstDelay(route) {
+        let worst = null;
+        route.steps.slice(0, -1).forEach(step => {
+            const condition = this.conditions.get(`${step.edge.id}|${step.travelDir}`);
+            if (condition && condition.delay > 0 && (!worst || condition.delay > worst.delay)) worst = condition;
+        });
+        if (!worst) return 'faster route available';
+        const parts = [];
+        if (worst.queuedCars > 0) parts.push(`${worst.queuedCars} queued car${worst.queuedCars > 1 ? 's' : ''} on ${worst.edge.name || worst.edge.id}`);
+        if (worst.signalState) parts.push(`${worst.signalState.toLowerCase()} light at J${worst.junctionId}`);
+        return parts.join(', ');
+    }
+}
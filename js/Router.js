@@ -0,0 +1,151 @@
+// js/Router.js
+import { Config } from './Config.js';
+import { RoadNetwork } from './RoadNetwork.js';
+
+// Fastest-route search over a RoadNetwork. Costs are travel times in seconds: edge length over its
+// speed limit, plus a delay for crossing signalised junctions and a penalty for turning.
+// Search states are directed edges ("arrived at the end of edge E travelling in travelDir"), which lets
+// turn costs depend on both the edge arrived on and the edge taken next.
+export class Router {
+    constructor(network, options = {}) {
+        this.network = network;
+        this.signalDelay = options.signalDelay ?? Config.routeSignalDelay ?? 6; // Expected wait at a signalised junction (s)
+        this.turnPenalty = options.turnPenalty ?? Config.routeTurnPenalty ?? 4; // Turning across oncoming traffic (s), half for kerb-side turns
+        this.algorithm = options.algorithm ?? Config.routeAlgorithm ?? 'astar'; // 'astar' or 'dijkstra'
+        this.maxSpeed = Math.max(1e-6, ...[...network.edges.values()].map(e => e.speedLimit));
+    }
+
+    // Nearest point on the network to a position: { edge, s } with s measured from edge.from
+    locate(point) {
+        const nearest = this.network.nearestEdgePoint(point);
+        return nearest ? { edge: nearest.edge, s: nearest.s } : null;
+    }
+
+    getEdgeTravelTime(edge, distance = edge.length) {
+        return distance / Math.max(1e-6, edge.speedLimit);
+    }
+
+    // Turn classification at the end of 'from' onto 'to' (both { edge, travelDir }):
+    // 'straight', 'nearSide' (towards the kerb, no oncoming traffic to cross), 'farSide' or 'uTurn'.
+    static getTurnType(network, from, to) {
+        const dirIn = network.getTravelDirection(from.edge, from.travelDir);
+        const dirOut = network.getTravelDirection(to.edge, to.travelDir);
+        const dot = dirIn.dot(dirOut);
+        if (from.edge === to.edge || dot < -0.95) return 'uTurn';
+        if (dot > 0.7) return 'straight';
+        return dirOut.dot(network.getKeepSideNormal(from.edge, from.travelDir)) > 0 ? 'nearSide' : 'farSide';
+    }
+
+    getTurnCost(from, to) {
+        const node = this.network.getEndNode(from.edge, from.travelDir);
+        const signalCost = node.signalized && node.type === RoadNetwork.NODE_TYPE.JUNCTION ? this.signalDelay : 0;
+        switch (Router.getTurnType(this.network, from, to)) {
+            case 'straight': return signalCost;
+            case 'nearSide': return signalCost + this.turnPenalty / 2;
+            case 'farSide': return signalCost + this.turnPenalty;
+            default: return Infinity; // No U-turns in the middle of the network
+        }
+    }
+
+    // Fastest route between two positions ({ x, z }) on the network. extraCost(edge, travelDir) may add
+    // seconds for driving to the end of an edge, e.g. for a queue or a red light there. origin may instead be { edge, travelDir, distance } to start
+    // on a known edge and direction (a vehicle already driving). Returns null when the destination cannot be reached.
+    // Route: { steps: [{ edge, travelDir }], startDistance, endDistance, length, travelTime, junctionNodeIds }
+    // where startDistance/endDistance are measured along the first/last step in its travel direction.
+    findRoute(origin, destination, { extraCost = null } = {}) {
+        const start = origin.edge
+            ? { edge: origin.edge, s: origin.travelDir > 0 ? origin.distance : origin.edge.length - origin.distance, travelDir: origin.travelDir }
+            : this.locate(origin);
+        const goal = this.locate(destination);
+        if (!start || !goal) return null;
+        const network = this.network;
+        const edgeCost = (edge, travelDir, distance, reachesEnd = true) =>
+            this.getEdgeTravelTime(edge, distance) + (extraCost && reachesEnd ? extraCost(edge, travelDir) : 0);
+        const heuristic = (nodeId) => {
+            if (this.algorithm !== 'astar') return 0;
+            const position = network.getNode(nodeId).position;
+            return Math.hypot(position.x - destination.x, position.z - destination.z) / this.maxSpeed;
+        };
+        const alongDir = (location, travelDir) => travelDir > 0 ? location.s : location.edge.length - location.s;
+        const key = (step) => `${step.edge.id}|${step.travelDir}`;
+
+        const open = []; // { key, step, cost, estimate, previous } - small networks, so a linear scan is enough
+        const best = new Map();
+        const push = (entry) => {
+            if (best.has(entry.key) && best.get(entry.key).cost <= entry.cost) return;
+            best.set(entry.key, entry);
+            open.push(entry);
+        };
+
+        [1, -1].forEach(travelDir => {
+            if (network.getLaneCount(start.edge, travelDir) === 0) return;
+            if (start.travelDir && start.travelDir !== travelDir) return;
+            const step = { edge: start.edge, travelDir };
+            const startAlong = alongDir(start, travelDir);
+            // Destination further along the same edge: drive straight there
+            if (goal.edge === start.edge && alongDir(goal, travelDir) >= startAlong) {
+                const cost = edgeCost(start.edge, travelDir, alongDir(goal, travelDir) - startAlong, false);
+                push({ key: 'goal', step, cost, estimate: cost, previous: null, isGoal: true });
+            }
+            const cost = edgeCost(start.edge, travelDir, start.edge.length - startAlong);
+            const endNodeId = network.getEndNode(start.edge, travelDir).id;
+            push({ key: key(step), step, cost, estimate: cost + heuristic(endNodeId), previous: null });
+        });
+
+        const closed = new Set();
+        while (open.length > 0) {
+            let index = 0;
+            for (let i = 1; i < open.length; i++) if (open[i].estimate < open[index].estimate) index = i;
+            const current = open.splice(index, 1)[0];
+            if (closed.has(current.key) || best.get(current.key) !== current) continue;
+            closed.add(current.key);
+            if (current.isGoal) return this.buildRoute(current, start, goal);
+
+            const endNode = network.getEndNode(current.step.edge, current.step.travelDir);
+            network.getOutgoing(endNode.id).forEach(next => {
+                const turnCost = this.getTurnCost(current.step, next);
+                if (!Number.isFinite(turnCost)) return;
+                if (next.edge === goal.edge) {
+                    const cost = current.cost + turnCost + edgeCost(next.edge, next.travelDir, alongDir(goal, next.travelDir), false);
+                    push({ key: 'goal', step: next, cost, estimate: cost, previous: current, isGoal: true });
+                }
+                const cost = current.cost + turnCost + edgeCost(next.edge, next.travelDir, next.edge.length);
+                const nextEndId = network.getEndNode(next.edge, next.travelDir).id;
+                push({ key: key(next), step: next, cost, estimate: cost + heuristic(nextEndId), previous: current });
+            });
+        }
+        console.warn('Router: no route found between', origin, 'and', destination);
+        return null;
+    }
+
+    // Travel time of a route under the current costs, from startDistance along its first step
+    getTravelTime(route, { extraCost = null } = {}) {
+        let total = 0;
+        route.steps.forEach((step, i) => {
+            const from = i === 0 ? route.startDistance : 0;
+            const to = i === route.steps.length - 1 ? route.endDistance : step.edge.length;
+            const distance = Math.max(0, to - from);
+            total += this.getEdgeTravelTime(step.edge, distance);
+            if (extraCost && i < route.steps.length - 1) total += extraCost(step.edge, step.travelDir);
+            if (i > 0) total += this.getTurnCost(route.steps[i - 1], step);
+        });
+        return total;
+    }
+
+    buildRoute(goalEntry, start, goal) {
+        const steps = [];
+        for (let entry = goalEntry; entry; entry = entry.previous) steps.unshift(entry.step);
+        const first = steps[0];
+        const last = steps[steps.length - 1];
+        const startDistance = first.travelDir > 0 ? start.s : start.edge.length - start.s;
+        const endDistance = last.travelDir > 0 ? goal.s : goal.edge.length - goal.s;
+        let length = steps.reduce((sum, step) => sum + step.edge.length, 0) - startDistance - (last.edge.length - endDistance);
+        if (steps.length === 1) length = endDistance - startDistance;
+
+        const junctionNodeIds = steps.slice(0, -1)
+            .map(step => this.network.getEndNode(step.edge, step.travelDir))
+            .filter(node => node.type === RoadNetwork.NODE_TYPE.JUNCTION)
+            .map(node => node.id);
+        return { steps, startDistance, endDistance, length, travelTime: goalEntry.cost, junctionNodeIds };
+    }
+}
@@ -0,0 +1,153 @@
+// js/SignalOptimizer.js
+import { Config } from './Config.js';
+import { TrafficLight } from './TrafficLight.js';
+
+const LIGHT_STATE = TrafficLight.LIGHT_STATE;
+
+// Adaptive timing: measures the demand on every junction approach and every interval recomputes each junction's
+// cycle length and green splits by Webster's method. Demand is the flow counted by the approach's detector loop
+// plus the cars still queued when its green ends (they did not get through); the critical flow ratio y of a green
+// phase is the highest demand / saturation flow of the approaches it serves. With Y the sum over the greens and L
+// the lost time (yellows, all-reds and a start-up loss per green) the cycle is C = (1.5 L + 5) / (1 - Y), and the
+// effective green C - L is shared in proportion to y. Junctions of a coordinated corridor run the longest cycle of
+// their corridor, with new offsets (see CorridorCoordinator.retime). In mode 'apply' the plans are scheduled on the
+// junctions (taken over at their next cycle start, fixed-time plans only); in mode 'advise' they are only computed.
+export class SignalOptimizer {
+    constructor(junctions, coordinator = null, options = Config.adaptiveTiming ?? {}) {
+        this.junctions = junctions;
+        this.coordinator = coordinator;
+        this.mode = options.mode ?? 'apply';
+        this.interval = options.interval ?? 60; // Seconds between recomputations
+        this.saturationFlow = options.saturationFlow ?? 0.5; // Vehicles per second per lane while green
+        this.startupLostTime = options.startupLostTime ?? 2; // Seconds lost at the start of every green
+        this.minGreen = options.minGreen ?? 5;
+        this.minCycle = options.minCycle ?? 20;
+        this.maxCycle = options.maxCycle ?? 90;
+        this.smoothing = options.smoothing ?? 0.5; // Weight of the latest interval in the demand estimate
+        this.turnShare = options.turnShare ?? 0.25; // Part of an approach's demand served by a protected turn arrow alone
+        this.maxFlowRatio = 0.9; // Y above this is oversaturated: maxCycle
+        this.elapsed = 0;
+        this.recomputations = 0;
+        // Per junction: { baseName, counts, queueTime, overflow, lastStates (Maps by approach), demand (veh/s by
+        //                 approach, null before the first interval), meanQueue (by approach), computed plan or null }
+        this.measurements = new Map(junctions.map(junction => [junction, {
+            baseName: junction.plan.name,
+            counts: new Map(junction.approaches.map(a => [a, a.loop.count])),
+            queueTime: new Map(), overflow: new Map(), lastStates: new Map(),
+            demand: null, meanQueue: new Map(), computed: null
+        }]));
+    }
+
+    update(cars, deltaTime) {
+        this.elapsed += deltaTime;
+        this.measurements.forEach((measurement, junction) => junction.approaches.forEach(approach => {
+            const queued = cars.filter(car => car.edge === approach.edge && car.travelDir === approach.travelDir &&
+                (car.isStoppedForLight || car.currentSpeed < car.speed * 0.3)).length;
+            measurement.queueTime.set(approach, (measurement.queueTime.get(approach) ?? 0) + queued * deltaTime);
+            const state = approach.light.currentState;
+            if (measurement.lastStates.get(approach) === LIGHT_STATE.GREEN && state !== LIGHT_STATE.GREEN) {
+                measurement.overflow.set(approach, (measurement.overflow.get(approach) ?? 0) + queued); // Left behind by this green
+            }
+            measurement.lastStates.set(approach, state);
+        }));
+        if (this.elapsed < this.interval) return;
+        this.recompute(this.elapsed);
+        this.elapsed = 0;
+    }
+
+    recompute(interval) {
+        this.recomputations++;
+        this.measurements.forEach((measurement, junction) => {
+            const demand = new Map();
+            junction.approaches.forEach(approach => {
+                const arrivals = approach.loop.count - (measurement.counts.get(approach) ?? 0) + (measurement.overflow.get(approach) ?? 0);
+                const previous = measurement.demand?.get(approach);
+                const latest = arrivals / interval;
+                demand.set(approach, previous === undefined ? latest : this.smoothing * latest + (1 - this.smoothing) * previous);
+                measurement.meanQueue.set(approach, (measurement.queueTime.get(approach) ?? 0) / interval);
+                measurement.counts.set(approach, approach.loop.count);
+            });
+            measurement.demand = demand;
+            measurement.queueTime.clear();
+            measurement.overflow.clear();
+            measurement.computed = this.computePlan(junction, demand);
+            if (measurement.computed) measurement.computed.offset = null; // Uncoordinated: keep the cycle running
+        });
+
+        // Corridors share the longest cycle any of their junctions needs
+        this.coordinator?.corridors.forEach(corridor => {
+            const computed = corridor.stops.map(stop => this.measurements.get(stop.junction).computed);
+            if (computed.some(plan => !plan)) return;
+            const cycleLength = Math.max(...computed.map(plan => plan.cycleLength));
+            corridor.stops.forEach(stop => {
+                const measurement = this.measurements.get(stop.junction);
+                measurement.computed = this.computePlan(stop.junction, measurement.demand, cycleLength);
+            });
+            const offsets = this.coordinator.retime(corridor, cycleLength, junction => this.measurements.get(junction).computed.phases);
+            offsets.forEach((offset, junction) => { this.measurements.get(junction).computed.offset = offset; });
+        });
+
+        if (this.mode !== 'apply') return;
+        this.measurements.forEach((measurement, junction) => {
+            const computed = measurement.computed;
+            if (!computed || junction.isActuated()) return; // Actuated junctions time their greens themselves
+            junction.schedulePlan({
+                ...junction.plan, name: `${measurement.baseName} (adaptive)`, offset: computed.offset, phases: computed.phases
+            });
+        });
+    }
+
+    // Webster plan over the junction's phases for the given demand (veh/s by approach); cycleLength imposes the
+    // cycle (it must not be shorter than the junction's own). { cycleLength, flowRatio, phases } or null.
+    computePlan(junction, demand, cycleLength = null) {
+        const phases = junction.phases;
+        const greens = phases.map(phase => junction.phaseHasGreen(phase));
+        const greenCount = greens.filter(Boolean).length;
+        if (greenCount === 0) return null;
+        const ratioOf = (phase, a) => (demand.get(a) ?? 0) * (junction.getMovementState(phase, a) === LIGHT_STATE.GREEN ? 1 : this.turnShare) / // Arrow only: its turners
+            (this.saturationFlow * Math.max(1, junction.network.getLaneCount(a.edge, a.travelDir)));
+        const ratios = phases.map((phase, i) => !greens[i] ? 0
+            : Math.max(0, ...junction.approaches.filter(a => junction.servesApproach(phase, a)).map(a => ratioOf(phase, a))));
+        const flowRatio = ratios.reduce((sum, y) => sum + y, 0);
+        const clearance = phases.reduce((sum, phase, i) => sum + (greens[i] ? 0 : phase.duration), 0);
+        const lostTime = clearance + greenCount * this.startupLostTime;
+        const webster = flowRatio < this.maxFlowRatio ? (1.5 * lostTime + 5) / (1 - flowRatio) : this.maxCycle;
+        const shortest = Math.max(this.minCycle, clearance + greenCount * this.minGreen);
+        const cycle = cycleLength ?? Math.max(shortest, Math.min(this.maxCycle, webster));
+
+        // Effective green by flow ratio (equal shares without demand), at least minGreen; what that adds comes off the longer greens
+        const effectiveGreen = cycle - lostTime;
+        const durations = phases.map((phase, i) => !greens[i] ? phase.duration
+            : Math.max(this.minGreen, this.startupLostTime + effectiveGreen * (flowRatio > 0 ? ratios[i] / flowRatio : 1 / greenCount)));
+        const excess = durations.reduce((sum, d) => sum + d, 0) - cycle;
+        const spare = durations.reduce((sum, d, i) => sum + (greens[i] ? d - this.minGreen : 0), 0);
+        if (excess > 1e-6 && spare > 0) {
+            durations.forEach((d, i) => { if (greens[i]) durations[i] = d - excess * (d - this.minGreen) / spare; });
+        }
+        return {
+            cycleLength: durations.reduce((sum, d) => sum + d, 0),
+            flowRatio,
+            phases: phases.map((phase, i) => greens[i] ? { ...phase, duration: Math.round(durations[i] * 10) / 10 } : phase)
+        };
+    }
+
+    // One line per junction: the plan it runs and the one computed from the measured demand
+    getStatusLines() {
+        const greens = (phases, junction) => phases.filter(p => junction.phaseHasGreen(p)).map(p => p.duration.toFixed(0)).join('/');
+        const cycle = (phases) => phases.reduce((sum, p) => sum + p.duration, 0).toFixed(0);
+        return this.junctions.map(junction => {
+            const measurement = this.measurements.get(junction);
+            const computed = measurement.computed;
+            const current = `J${junction.id} ${junction.nodeId}: ${junction.plan.name} ${cycle(junction.phases)} s [${greens(junction.phases, junction)}]`;
+            if (!computed) return `${current} | measuring (${Math.max(0, this.interval - this.elapsed).toFixed(0)} s)`;
+            const demand = junction.approaches.map(a => `${a.compass[0].toUpperCase()} ${(measurement.demand.get(a) * 3600).toFixed(0)}/h q${measurement.meanQueue.get(a).toFixed(1)}`).join(' ');
+            const notes = [
+                junction.isActuated() ? 'actuated, advisory' : null,
+                junction.pendingPlan ? 'next cycle' : null,
+                junction.isUnderNormalCycle ? null : 'preempted'
+            ].filter(Boolean);
+            return `${current} | computed ${computed.cycleLength.toFixed(0)} s [${greens(computed.phases, junction)}] Y ${computed.flowRatio.toFixed(2)}` +
+                (notes.length ? ` (${notes.join(', ')})` : '') + ` | ${demand}`;
+        });
+    }
+}
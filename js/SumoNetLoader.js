@@ -0,0 +1,187 @@
+// js/SumoNetLoader.js
+import { Config } from './Config.js';
+import { RoadNetwork } from './RoadNetwork.js';
+
+// SUMO link state characters, reduced to the single head per approach used here (any green wins, then yellow)
+const GREEN_STATES = ['G', 'g', 'O', 'o'];
+const YELLOW_STATES = ['y', 'Y', 'u'];
+
+// Loads a SUMO network (.net.xml). Opposite SUMO edges between the same junctions become one two-way
+// RoadNetwork edge, edge shapes become bend nodes, traffic_light junctions are signalised and their
+// tlLogic program is attached to the junction node as node.signalProgram, a signal plan as read by JunctionController:
+//   { name, offset (s), phases: [{ name, duration (s), movements: { networkEdgeId: 'GREEN'|'YELLOW'|'RED' } }] }
+// network.sumo keeps what FCDExporter needs to write trajectories back in SUMO coordinates and lane ids.
+export class SumoNetLoader {
+    constructor(options = {}) {
+        this.scale = options.scale ?? Config.importScale ?? 1; // Scene units per metre
+    }
+
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`SumoNetLoader: failed to fetch ${url} (${response.status})`);
+        return this.parse(await response.text());
+    }
+
+    parse(xmlText) {
+        const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('SumoNetLoader: file is not valid XML.');
+        }
+        const network = new RoadNetwork();
+
+        // SUMO coordinates are metres with y pointing North; centre the network on the scene origin
+        const junctions = [...doc.getElementsByTagName('junction')].filter(j => j.getAttribute('type') !== 'internal');
+        const xs = junctions.map(j => parseFloat(j.getAttribute('x')));
+        const ys = junctions.map(j => parseFloat(j.getAttribute('y')));
+        const offsetX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const offsetY = (Math.min(...ys) + Math.max(...ys)) / 2;
+        const toScene = (x, y) => ({ x: (x - offsetX) * this.scale, z: (y - offsetY) * this.scale });
+
+        junctions.forEach(j => {
+            const { x, z } = toScene(parseFloat(j.getAttribute('x')), parseFloat(j.getAttribute('y')));
+            const type = j.getAttribute('type');
+            network.addNode({
+                id: j.getAttribute('id'),
+                x, z,
+                signalized: type === 'traffic_light' || type === 'traffic_light_right_on_red',
+                name: j.getAttribute('id')
+            });
+        });
+
+        // Normal (non-internal) edges, keyed by their from/to junction pair so opposite directions pair up
+        const sumoEdges = [...doc.getElementsByTagName('edge')]
+            .filter(e => e.getAttribute('function') !== 'internal' && e.getAttribute('from') && e.getAttribute('to'))
+            .map(e => {
+                const lanes = [...e.getElementsByTagName('lane')];
+                return {
+                    id: e.getAttribute('id'),
+                    from: e.getAttribute('from'),
+                    to: e.getAttribute('to'),
+                    laneCount: Math.max(1, lanes.length),
+                    speed: lanes.length > 0 ? parseFloat(lanes[0].getAttribute('speed')) : (Config.defaultSpeedLimit ?? 14),
+                    shape: SumoNetLoader.parseShape(e.getAttribute('shape')),
+                    name: e.getAttribute('name') || ''
+                };
+            });
+
+        const sumoInfo = { offsetX, offsetY, scale: this.scale, edgeIds: new Map(), approachEdgeOf: new Map() };
+        const built = new Map(); // "a|b" (sorted junction ids) -> { pieces: [network edges from a to b], from }
+        sumoEdges.forEach(se => {
+            if (!network.getNode(se.from) || !network.getNode(se.to)) return;
+            const pairKey = [se.from, se.to].sort().join('|');
+            const existing = built.get(pairKey);
+            if (existing) {
+                // Opposite direction of an already built road: add its lanes as the backward lanes
+                const sameDirection = existing.from === se.from;
+                existing.pieces.forEach(edge => {
+                    if (sameDirection) edge.lanesForward = Math.max(edge.lanesForward, se.laneCount);
+                    else edge.lanesBackward = se.laneCount;
+                    edge.width = Math.max(Config.roadWidth, (edge.lanesForward + edge.lanesBackward) * (Config.laneWidth || 3.5));
+                });
+                this.registerSumoEdge(sumoInfo, se, existing.pieces, sameDirection ? 1 : -1);
+                return;
+            }
+            // Intermediate shape points (without the end points) become bend nodes
+            const inner = se.shape.slice(1, -1).map((p, i) => network.addNode({ id: `${se.id}_shape${i}`, ...toScene(p.x, p.y) }));
+            const chain = [network.getNode(se.from), ...inner, network.getNode(se.to)];
+            const pieces = [];
+            for (let i = 0; i + 1 < chain.length; i++) {
+                const edge = network.addEdge(chain[i].id, chain[i + 1].id, {
+                    id: chain.length > 2 ? `${se.id}#${i}` : se.id,
+                    lanesForward: se.laneCount,
+                    lanesBackward: 0, // Until the opposite SUMO edge is found
+                    speedLimit: se.speed * this.scale,
+                    name: se.name
+                });
+                if (edge) pieces.push(edge);
+            }
+            if (pieces.length === 0) return;
+            built.set(pairKey, { pieces, from: se.from });
+            this.registerSumoEdge(sumoInfo, se, pieces, 1);
+        });
+        network.removeIsolatedNodes();
+        network.sumo = sumoInfo;
+
+        this.attachSignalPrograms(doc, network, sumoInfo);
+        network.finalize();
+        console.log(`SumoNetLoader: ${network.nodes.size} nodes, ${network.edges.size} edges, ` +
+            `${network.junctions.filter(j => j.signalProgram).length} junctions with tlLogic programs.`);
+        return network;
+    }
+
+    // Remembers which SUMO edge id drives each network edge in each direction, and the network edge
+    // a SUMO edge arrives at its 'to' junction on (its approach).
+    registerSumoEdge(sumoInfo, sumoEdge, pieces, travelDir) {
+        pieces.forEach(edge => {
+            const ids = sumoInfo.edgeIds.get(edge.id) || { laneCounts: {} };
+            ids[travelDir > 0 ? 'forward' : 'backward'] = sumoEdge.id;
+            ids.laneCounts[sumoEdge.id] = sumoEdge.laneCount;
+            sumoInfo.edgeIds.set(edge.id, ids);
+        });
+        const approachEdge = travelDir > 0 ? pieces[pieces.length - 1] : pieces[0];
+        sumoInfo.approachEdgeOf.set(sumoEdge.id, { edgeId: approachEdge.id, junctionId: sumoEdge.to });
+    }
+
+    // Turns tlLogic phase state strings (one character per link index) into per-approach states
+    attachSignalPrograms(doc, network, sumoInfo) {
+        const linksByTl = new Map(); // tl id -> [{ linkIndex, approachEdgeId, junctionId }]
+        [...doc.getElementsByTagName('connection')].forEach(c => {
+            const tl = c.getAttribute('tl');
+            if (!tl) return;
+            const approach = sumoInfo.approachEdgeOf.get(c.getAttribute('from'));
+            if (!approach) return; // Internal or unknown edge
+            if (!linksByTl.has(tl)) linksByTl.set(tl, []);
+            linksByTl.get(tl).push({
+                linkIndex: parseInt(c.getAttribute('linkIndex'), 10),
+                approachEdgeId: approach.edgeId,
+                junctionId: approach.junctionId
+            });
+        });
+
+        const seenPrograms = new Set();
+        [...doc.getElementsByTagName('tlLogic')].forEach(logic => {
+            const tlId = logic.getAttribute('id');
+            if (seenPrograms.has(tlId)) return; // Only the first program of each traffic light is used
+            seenPrograms.add(tlId);
+            const links = linksByTl.get(tlId) || [];
+            const phases = [...logic.getElementsByTagName('phase')].map((p, i) => ({
+                state: p.getAttribute('state') || '',
+                duration: parseFloat(p.getAttribute('duration')) || 1,
+                name: p.getAttribute('name') || `SUMO_${tlId}_${i}`
+            }));
+
+            // A joined traffic light can control several junctions: give each its own slice of the links
+            const junctionIds = [...new Set(links.map(l => l.junctionId))];
+            junctionIds.forEach(junctionId => {
+                const node = network.getNode(junctionId);
+                if (!node) return;
+                const junctionLinks = links.filter(l => l.junctionId === junctionId);
+                node.signalized = true;
+                node.signalProgram = {
+                    name: `SUMO ${tlId} program ${logic.getAttribute('programID') || '0'}`,
+                    offset: parseFloat(logic.getAttribute('offset')) || 0,
+                    phases: phases.map(phase => {
+                        const movements = {};
+                        junctionLinks.forEach(link => {
+                            const ch = phase.state[link.linkIndex];
+                            const state = GREEN_STATES.includes(ch) ? 'GREEN' : YELLOW_STATES.includes(ch) ? 'YELLOW' : 'RED';
+                            const current = movements[link.approachEdgeId];
+                            if (current === 'GREEN') return;
+                            if (current === 'YELLOW' && state === 'RED') return;
+                            movements[link.approachEdgeId] = state;
+                        });
+                        return { name: phase.name, duration: phase.duration, movements };
+                    })
+                };
+            });
+        });
+    }
+
+    static parseShape(shape) {
+        if (!shape) return [];
+        return shape.trim().split(/\s+/).map(pair => {
+            const [x, y] = pair.split(',').map(parseFloat);
+            return { x, y };
+        });
+    }
+}
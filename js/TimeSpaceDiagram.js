@@ -0,0 +1,166 @@
+// js/TimeSpaceDiagram.js
+import { Config } from './Config.js';
+import { TrafficLight } from './TrafficLight.js';
+
+const LIGHT_STATE = TrafficLight.LIGHT_STATE;
+const EMERGENCY_TYPES = ['ambulance', 'fire', 'police'];
+
+const toCss = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+
+// Time-space diagram of a coordinated corridor (see CorridorCoordinator): time across, distance along the
+// corridor up. Each junction is a bar coloured by the signal its corridor approach shows (magenta above it
+// while preempted), dashed lines mark the designed green band and vehicles driving along the corridor
+// draw their trajectories (emergency units red, buses orange). Press T to step through the corridors.
+export class TimeSpaceDiagram {
+    constructor(canvas, corridors, timeWindow = Config.timeSpaceWindow ?? 120) {
+        this.canvas = canvas;
+        this.corridors = corridors;
+        this.timeWindow = timeWindow; // Seconds shown
+        this.samplePeriod = 0.25;
+        this.nextSampleTime = 0;
+        this.visibleIndex = -1; // Corridor shown, -1 = hidden
+        // Per corridor: signals [{ time, states: [state per stop], preempted: [bool per stop] }], trajectories id -> { type, points: [{ time, distance }] }
+        this.history = corridors.map(() => ({ signals: [], trajectories: new Map() }));
+        if (this.canvas) this.canvas.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.corridors.length === 0) return;
+        this.visibleIndex = this.visibleIndex + 1 < this.corridors.length ? this.visibleIndex + 1 : -1;
+        if (this.canvas) this.canvas.style.display = this.visibleIndex === -1 ? 'none' : 'block';
+    }
+
+    // getVehicles() -> [{ id, type, position, direction }] (as Simulation.getFCDVehicles), only called when sampling
+    update(time, getVehicles) {
+        if (this.corridors.length === 0 || time + 1e-6 < this.nextSampleTime) return;
+        this.nextSampleTime = time + this.samplePeriod;
+        const vehicles = getVehicles();
+        this.corridors.forEach((corridor, i) => this.record(corridor, this.history[i], time, vehicles));
+        if (this.visibleIndex !== -1) this.draw(time);
+    }
+
+    record(corridor, history, time, vehicles) {
+        history.signals.push({
+            time,
+            states: corridor.stops.map(stop => stop.approach.light.currentState),
+            preempted: corridor.stops.map(stop => !stop.junction.isUnderNormalCycle)
+        });
+        vehicles.forEach(vehicle => {
+            const distance = this.project(corridor, vehicle.position, vehicle.direction);
+            if (distance === null) return;
+            if (!history.trajectories.has(vehicle.id)) history.trajectories.set(vehicle.id, { type: vehicle.type, points: [] });
+            history.trajectories.get(vehicle.id).points.push({ time, distance });
+        });
+
+        const oldest = time - this.timeWindow;
+        while (history.signals.length > 0 && history.signals[0].time < oldest) history.signals.shift();
+        history.trajectories.forEach((trajectory, id) => {
+            while (trajectory.points.length > 0 && trajectory.points[0].time < oldest) trajectory.points.shift();
+            if (trajectory.points.length === 0) history.trajectories.delete(id);
+        });
+    }
+
+    // Distance along the corridor of a vehicle on it driving in the corridor direction, else null
+    project(corridor, position, direction) {
+        const maxLateral = (Config.roadWidth || 8) / 2;
+        for (let i = 1; i < corridor.points.length; i++) {
+            const a = corridor.points[i - 1];
+            const b = corridor.points[i];
+            const length = b.distance - a.distance;
+            if (length < 1e-6) continue;
+            const dx = (b.position.x - a.position.x) / length;
+            const dz = (b.position.z - a.position.z) / length;
+            if (direction.x * dx + direction.z * dz < 0.5) continue;
+            const along = (position.x - a.position.x) * dx + (position.z - a.position.z) * dz;
+            if (along < 0 || along > length) continue;
+            const lateral = Math.abs((position.x - a.position.x) * dz - (position.z - a.position.z) * dx);
+            if (lateral <= maxLateral) return a.distance + along;
+        }
+        return null;
+    }
+
+    draw(time) {
+        const corridor = this.corridors[this.visibleIndex];
+        const history = this.history[this.visibleIndex];
+        const ctx = this.canvas?.getContext('2d');
+        if (!ctx) return;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const left = 44, right = 10, top = 22, bottom = 20;
+        const start = time - this.timeWindow;
+        const x = (t) => left + (t - start) / this.timeWindow * (width - left - right);
+        const y = (d) => height - bottom - d / Math.max(corridor.length, 1e-6) * (height - top - bottom);
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = '11px Arial';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(`Corridor ${corridor.id} (${corridor.direction}): cycle ${corridor.cycleLength.toFixed(0)} s, design speed ${corridor.designSpeed}`, left, 14);
+
+        // Time axis: a tick every 10 s, labelled in seconds before now
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        for (let t = Math.ceil(start / 10) * 10; t <= time; t += 10) {
+            ctx.beginPath();
+            ctx.moveTo(x(t), top);
+            ctx.lineTo(x(t), height - bottom);
+            ctx.stroke();
+            ctx.fillText(`${(t - time).toFixed(0)}`, x(t) - 8, height - 6);
+        }
+
+        // Designed green band: leaves the first junction at the start of its corridor green, at the design speed
+        const first = corridor.stops[0];
+        const travelTime = corridor.length / corridor.designSpeed;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = 'rgba(120, 255, 120, 0.6)';
+        const firstGreen = first.offset + first.greenStart;
+        for (let k = Math.floor((start - travelTime - firstGreen) / corridor.cycleLength); firstGreen + k * corridor.cycleLength <= time; k++) {
+            const bandStart = firstGreen + k * corridor.cycleLength;
+            [bandStart, bandStart + first.greenDuration].forEach(t0 => {
+                ctx.beginPath();
+                ctx.moveTo(x(t0), y(0));
+                ctx.lineTo(x(t0 + travelTime), y(corridor.length));
+                ctx.stroke();
+            });
+        }
+        ctx.setLineDash([]);
+
+        // Signal bars
+        const colors = {
+            [LIGHT_STATE.GREEN]: toCss(Config.colors?.greenLightOn ?? 0x00ff00),
+            [LIGHT_STATE.YELLOW]: toCss(Config.colors?.yellowLightOn ?? 0xffff00),
+            [LIGHT_STATE.RED]: toCss(Config.colors?.redLightOn ?? 0xff0000),
+            [LIGHT_STATE.FLASHING_YELLOW]: toCss(Config.colors?.yellowLightOn ?? 0xffff00),
+            [LIGHT_STATE.FLASHING_RED]: toCss(Config.colors?.redLightOn ?? 0xff0000)
+        };
+        corridor.stops.forEach((stop, s) => {
+            ctx.fillStyle = '#fff';
+            ctx.fillText(stop.junction.nodeId, 4, y(stop.distance) + 4);
+            for (let i = 1; i < history.signals.length; i++) {
+                const previous = history.signals[i - 1];
+                const sample = history.signals[i];
+                ctx.fillStyle = colors[previous.states[s]] ?? '#555';
+                ctx.fillRect(x(previous.time), y(stop.distance) - 2, x(sample.time) - x(previous.time) + 0.5, 4);
+                if (previous.preempted[s]) {
+                    ctx.fillStyle = '#ff00ff';
+                    ctx.fillRect(x(previous.time), y(stop.distance) - 5, x(sample.time) - x(previous.time) + 0.5, 2);
+                }
+            }
+        });
+
+        // Trajectories, broken where a vehicle left the corridor
+        history.trajectories.forEach(trajectory => {
+            const isEmergency = EMERGENCY_TYPES.includes(trajectory.type);
+            ctx.strokeStyle = isEmergency ? '#ff3030' : trajectory.type === 'bus' ? '#ffa500' : 'rgba(200, 200, 255, 0.7)';
+            ctx.lineWidth = isEmergency ? 2 : 1;
+            ctx.beginPath();
+            trajectory.points.forEach((point, i) => {
+                const isBreak = i === 0 || point.time - trajectory.points[i - 1].time > this.samplePeriod * 2.5;
+                if (isBreak) ctx.moveTo(x(point.time), y(point.distance));
+                else ctx.lineTo(x(point.time), y(point.distance));
+            });
+            ctx.stroke();
+        });
+    }
+}
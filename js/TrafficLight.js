@@ -2,7 +2,8 @@
 import * as THREE from 'three';
 import { Config } from './Config.js';
 
-const LIGHT_STATE = { RED: 'RED', YELLOW: 'YELLOW', GREEN: 'GREEN', OFF: 'OFF' };
+const LIGHT_STATE = { RED: 'RED', YELLOW: 'YELLOW', GREEN: 'GREEN', FLASHING_YELLOW: 'FLASHING_YELLOW', FLASHING_RED: 'FLASHING_RED', OFF: 'OFF' };
+const ARROW_ROTATION = { left: Math.PI / 2, straight: 0, right: -Math.PI / 2 }; // Drivers look along -Z: their left is -X
 
 export class TrafficLight {
     constructor(position, rotationY = 0) {
@@ -30,6 +31,7 @@ export class TrafficLight {
         housing.position.z = housingSize.depth / 2 + 0.15; // Offset housing forward from pole center
         housing.castShadow = true;
         this.group.add(housing);
+        this.housing = housing;
 
         // Light positions within the housing (Y is relative to housing center)
         const lightRadius = Config.lightRadius || 0.15;
@@ -59,6 +61,13 @@ export class TrafficLight {
 
         this.currentState = LIGHT_STATE.RED; // Default initial state
         this.isOverridden = false; // For ambulance priority
+        this.arrows = {}; // Turn arrow heads by turn ('left', 'straight', 'right'): { head, lamp, state }, made on first use
+        this.flashTime = 0; // Seconds, for flashing states
+        this.stuckState = null; // Stuck-lamp fault: the state shown whatever is commanded
+        this.onStateChange = null; // Called with the light after its main head or an arrow changes state (see ConflictMonitor)
+        this.countdown = null; // Countdown display { canvas, context, texture, screen }, made on first use
+        this.countdownText = null; // What it shows, to redraw only on change
+        this.countdownColor = null;
         this.setLightState(LIGHT_STATE.RED, false, true); // Initialize lights silently
     }
 
@@ -75,6 +84,7 @@ export class TrafficLight {
     }
 
     setLightState(state, isPriorityOverride = false, forceSilent = false) {
+        if (this.stuckState && state !== this.stuckState) return; // Stuck lamp: commands have no effect
         if (!isPriorityOverride && this.isOverridden) {
             // If overridden by priority, normal state changes are blocked
             if (!forceSilent) console.log(`[${this.id}] State change to ${state} blocked by override.`);
@@ -82,6 +92,7 @@ export class TrafficLight {
         }
         if (!forceSilent) console.log(`[${this.id}] Setting state to: ${state}${isPriorityOverride ? ' (Priority)' : ''}`);
 
+        const hasChanged = state !== this.currentState;
         this.currentState = state;
 
         // Define default colors (repeated for clarity within this function scope)
@@ -117,11 +128,13 @@ export class TrafficLight {
         // Set the active light to "on" appearance
         switch (state) {
             case LIGHT_STATE.RED:
+            case LIGHT_STATE.FLASHING_RED: // Blinked by update()
                 this.lights.red.material.color.set(redOnColor);
                 this.lights.red.material.emissive.set(redOnColor);
                 this.lights.red.material.emissiveIntensity = onIntensity;
                 break;
             case LIGHT_STATE.YELLOW:
+            case LIGHT_STATE.FLASHING_YELLOW: // Blinked by update()
                 this.lights.yellow.material.color.set(yellowOnColor);
                 this.lights.yellow.material.emissive.set(yellowOnColor);
                 this.lights.yellow.material.emissiveIntensity = onIntensity;
@@ -135,21 +148,150 @@ export class TrafficLight {
                 // All lights remain in their "off" state (already set above)
                 break;
         }
+        if (hasChanged) this.onStateChange?.(this);
     }
 
-    setPriority(makeGreen) { // Called by main simulation for ambulance
-        this.isOverridden = true;
-        if (makeGreen) {
-            this.setLightState(LIGHT_STATE.GREEN, true); // True for isPriorityOverride
-        } else {
-            this.setLightState(LIGHT_STATE.RED, true); // Conflicting lights go red during priority
+    // Arrow head for a turn: a small housing beside the main one (below it for straight on) whose arrow-shaped lamp
+    // lights in the colour of its state. OFF (dark) leaves the turn to the main head.
+    getArrowHead(turn) {
+        if (this.arrows[turn]) return this.arrows[turn];
+        const housingSize = Config.trafficLightSize || { width: 0.5, height: 1.5, depth: 0.3 };
+        const lightRadius = Config.lightRadius || 0.15;
+        const size = 0.45;
+        const head = new THREE.Mesh(new THREE.BoxGeometry(size, size, housingSize.depth), this.housing.material);
+        head.position.copy(this.housing.position);
+        if (turn === 'straight') head.position.y -= housingSize.height / 2 + size / 2 + 0.05;
+        else {
+            head.position.y += -housingSize.height / 2 + lightRadius + 0.1; // Level with the green lamp
+            head.position.x += (turn === 'left' ? -1 : 1) * (housingSize.width / 2 + size / 2 + 0.05);
         }
+
+        const shape = new THREE.Shape(); // Arrow pointing up, rotated to its turn
+        shape.moveTo(-0.05, -0.15);
+        shape.lineTo(0.05, -0.15);
+        shape.lineTo(0.05, 0.02);
+        shape.lineTo(0.12, 0.02);
+        shape.lineTo(0, 0.16);
+        shape.lineTo(-0.12, 0.02);
+        shape.lineTo(-0.05, 0.02);
+        shape.closePath();
+        const lamp = new THREE.Mesh(new THREE.ShapeGeometry(shape), new THREE.MeshStandardMaterial({ color: 0x222222, emissive: 0x222222, emissiveIntensity: 0.2 }));
+        lamp.position.z = housingSize.depth / 2 + 0.01;
+        lamp.rotation.z = ARROW_ROTATION[turn] ?? 0;
+        head.add(lamp);
+        this.group.add(head);
+        this.arrows[turn] = { head, lamp, state: LIGHT_STATE.OFF };
+        return this.arrows[turn];
+    }
+
+    // Like setLightState, for the arrow head of a turn (made if the light has none yet)
+    setArrowState(turn, state, isPriorityOverride = false, forceSilent = false) {
+        if (!isPriorityOverride && this.isOverridden) return;
+        const arrow = this.getArrowHead(turn);
+        const hasChanged = state !== arrow.state;
+        if (!forceSilent && hasChanged) console.log(`[${this.id}] Setting ${turn} arrow to: ${state}${isPriorityOverride ? ' (Priority)' : ''}`);
+        arrow.state = state;
+        const colors = {
+            [LIGHT_STATE.RED]: Config.colors?.redLightOn || 0xff0000,
+            [LIGHT_STATE.YELLOW]: Config.colors?.yellowLightOn || 0xffff00,
+            [LIGHT_STATE.FLASHING_YELLOW]: Config.colors?.yellowLightOn || 0xffff00,
+            [LIGHT_STATE.GREEN]: Config.colors?.greenLightOn || 0x00ff00
+        };
+        const color = colors[state] ?? 0x222222;
+        arrow.lamp.material.color.set(color);
+        arrow.lamp.material.emissive.set(color);
+        arrow.lamp.material.emissiveIntensity = colors[state] ? 1.0 : 0.2;
+        if (hasChanged) this.onStateChange?.(this);
+    }
+
+    getArrowState(turn) {
+        return this.arrows[turn]?.state ?? LIGHT_STATE.OFF;
+    }
+
+    // Signal for traffic making a turn: its arrow when lit, otherwise the main head
+    getStateFor(turn) {
+        const arrowState = this.getArrowState(turn);
+        return arrowState !== LIGHT_STATE.OFF ? arrowState : this.currentState;
+    }
+
+    // Countdown display above the main head: seconds left (shown rounded up, in the colour of the lit lamp), a short
+    // text (in white) or null for blank
+    setCountdown(value) {
+        const text = value === null || value === undefined ? '' : typeof value === 'number' ? String(Math.max(0, Math.ceil(value))) : String(value);
+        const colors = {
+            [LIGHT_STATE.RED]: Config.colors?.redLightOn || 0xff0000,
+            [LIGHT_STATE.FLASHING_RED]: Config.colors?.redLightOn || 0xff0000,
+            [LIGHT_STATE.YELLOW]: Config.colors?.yellowLightOn || 0xffff00,
+            [LIGHT_STATE.FLASHING_YELLOW]: Config.colors?.yellowLightOn || 0xffff00,
+            [LIGHT_STATE.GREEN]: Config.colors?.greenLightOn || 0x00ff00
+        };
+        const color = typeof value === 'number' ? colors[this.currentState] ?? 0xffffff : 0xffffff;
+        if (text === this.countdownText && color === this.countdownColor) return;
+        this.countdownText = text;
+        this.countdownColor = color;
+
+        const { canvas, context, texture } = this.getCountdownDisplay();
+        context.fillStyle = '#111111';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        if (text) {
+            context.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+            context.font = 'bold 26px monospace';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(text, canvas.width / 2, canvas.height / 2);
+        }
+        texture.needsUpdate = true;
+    }
+
+    getCountdownDisplay() {
+        if (this.countdown) return this.countdown;
+        const housingSize = Config.trafficLightSize || { width: 0.5, height: 1.5, depth: 0.3 };
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 32;
+        const context = canvas.getContext('2d');
+        const texture = new THREE.CanvasTexture(canvas);
+        const screen = new THREE.Mesh(new THREE.PlaneGeometry(housingSize.width, housingSize.width / 2), new THREE.MeshBasicMaterial({ map: texture }));
+        screen.position.copy(this.housing.position);
+        screen.position.y += housingSize.height / 2 + housingSize.width / 4 + 0.05; // On top of the housing
+        screen.position.z += housingSize.depth / 2;
+        this.group.add(screen);
+        this.countdown = { canvas, context, texture, screen };
+        return this.countdown;
+    }
+
+    // Blinks the lamps showing a flashing state (once a second)
+    update(deltaTime) {
+        this.flashTime += deltaTime;
+        const intensity = this.flashTime % 1 < 0.5 ? 1.0 : 0.2;
+        if (this.currentState === LIGHT_STATE.FLASHING_YELLOW) this.lights.yellow.material.emissiveIntensity = intensity;
+        if (this.currentState === LIGHT_STATE.FLASHING_RED) this.lights.red.material.emissiveIntensity = intensity;
+        Object.values(this.arrows).forEach(arrow => {
+            if (arrow.state === LIGHT_STATE.FLASHING_YELLOW) arrow.lamp.material.emissiveIntensity = intensity;
+        });
+    }
+
+    // Stuck-lamp fault: shows state from now on, ignoring every command until unstick()
+    stick(state) {
+        this.stuckState = null;
+        this.setLightState(state, true, true);
+        this.stuckState = state;
+        console.warn(`[${this.id}] Lamp stuck: showing ${state}.`);
+    }
+
+    unstick() {
+        this.stuckState = null;
+    }
+
+    setPriority(state, forceSilent = false) { // Called by JunctionController while preempting for an ambulance
+        this.isOverridden = true;
+        if (state !== this.currentState || !forceSilent) this.setLightState(state, true, forceSilent); // True for isPriorityOverride
     }
 
-    releasePriority() { // Called by main simulation when ambulance passes
+    releasePriority() { // Called by JunctionController when ambulance passes
         this.isOverridden = false;
-        // Junction controller (main.js) will decide the next state based on its cycle.
-        // For safety, could set to RED, but main.js applyJunctionPhaseState should handle it.
+        // JunctionController will decide the next state based on its plan.
+        // For safety, could set to RED, but JunctionController.release() should handle it.
         // this.setLightState(LIGHT_STATE.RED, false, true); // Silently set to RED as a safe default
     }
 
@@ -5,6 +5,20 @@ export const Utils = {
     // Calculate distance between two THREE.Vector3 points
     distance: function(vec1, vec2) {
         return vec1.distanceTo(vec2);
+    },
+
+    // Deterministic pseudo-random generator (mulberry32). Returns a function giving floats in [0, 1).
+    createSeededRandom: function(seed = 1) {
+        let state = (typeof seed === 'string')
+            ? [...seed].reduce((h, c) => Math.imul(h ^ c.charCodeAt(0), 16777619) >>> 0, 2166136261)
+            : (seed >>> 0);
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
     // Add other general utility functions as needed for the simulation
-};
\ No newline at end of file
+};
@@ -2,39 +2,47 @@
 import * as THREE from 'three';
 import { SceneSetup } from './SceneSetup.js';
 import { Road } from './Road.js';
+import { RoadNetwork } from './RoadNetwork.js';
+import { JunctionController } from './JunctionController.js';
 import { TrafficLight } from './TrafficLight.js';
+import { CorridorCoordinator } from './CorridorCoordinator.js';
+import { TimeSpaceDiagram } from './TimeSpaceDiagram.js';
+import { SignalOptimizer } from './SignalOptimizer.js';
 import { SmartReflector } from './SmartReflector.js';
-import { Ambulance } from './Ambulance.js';
 import { ProceduralBuilding } from './ProceduralBuilding.js';
 import { ProceduralCar } from './ProceduralCar.js';
 import { ProceduralPedestrian } from './ProceduralPedestrian.js';
+import { FCDExporter } from './FCDExporter.js';
+import { Router } from './Router.js';
+import { RouteMonitor } from './RouteMonitor.js';
+import { DispatchCenter } from './DispatchCenter.js';
+import { PreemptionArbiter } from './PreemptionArbiter.js';
 import { Config } from './Config.js';
 
-const JUNCTION_PHASES = {
-    EW_GREEN: 'EW_GREEN', EW_YELLOW: 'EW_YELLOW',
-    NS_GREEN: 'NS_GREEN', NS_YELLOW: 'NS_YELLOW',
-    ALL_RED: 'ALL_RED'
-};
-const JUNCTION_CYCLE_DEFINITION = [
-    { phase: JUNCTION_PHASES.EW_GREEN, duration: Config.trafficLightGreenDuration || 7000 },
-    { phase: JUNCTION_PHASES.EW_YELLOW, duration: Config.trafficLightYellowDuration || 2000 },
-    { phase: JUNCTION_PHASES.ALL_RED, duration: 1000 }, // Brief all-red phase
-    { phase: JUNCTION_PHASES.NS_GREEN, duration: Config.trafficLightGreenDuration || 7000 },
-    { phase: JUNCTION_PHASES.NS_YELLOW, duration: Config.trafficLightYellowDuration || 2000 },
-    { phase: JUNCTION_PHASES.ALL_RED, duration: 1000 }  // Brief all-red phase
-];
-
 
 class Simulation {
     constructor() {
         this.sceneSetup = new SceneSetup();
         if(this.sceneSetup.renderer) this.sceneSetup.scene.userData.renderer = this.sceneSetup.renderer; // For texture anisotropy in ProceduralBuilding
 
-        this.road = new Road(this.sceneSetup.scene);
+        this.road = null; // Built in init() once the road network has been generated or loaded
         this.clock = new THREE.Clock();
-
-        this.junctions = [];
-        this.ambulance = null;
+        this.simulationTime = 0; // Seconds since the simulation started (capped frame deltas)
+        this.fcdExporter = null;
+
+        this.junctions = []; // JunctionController per signalised junction
+        this.junctionsByNodeId = new Map(); // Road network node id -> JunctionController
+        this.signalPlans = null; // Signal plans file (see JunctionController.resolvePlan)
+        this.corridorCoordinator = null; // Green waves along corridors of consecutive junctions
+        this.timeSpaceDiagram = null;
+        this.signalOptimizer = null; // Adaptive cycle lengths and green splits from the measured demand
+        this.scheduledFaults = []; // Config.signalFaults with their progress
+        this.dispatchCenter = null; // Incidents, stations, hospitals and the ambulance units
+        this.emergencyVehicles = []; // Ambulances, fire engines and police cars of the dispatch center
+        this.ambulance = null; // Unit the cinematic camera follows (the last one sent on an emergency leg)
+        this.routeMonitor = null; // Live rerouting around queues and red lights
+        this.preemptionArbiter = null; // Decides between ambulances requesting the same junction
+        this.rerouteCount = 0;
         this.proceduralBuildings = [];
         this.proceduralCars = [];
         this.proceduralPedestrians = [];
@@ -53,9 +61,26 @@ class Simulation {
             this.cinematicCamera.currentLookAtSmooth.copy(this.cinematicCamera.targetLookAt);
         }
 
+        this.init();
+    }
+
+    async init() {
+        const network = await Road.loadNetwork(Config.roadNetworkSource);
+        this.road = new Road(this.sceneSetup.scene, network);
+        this.signalPlans = await JunctionController.loadPlans(Config.signalPlansUrl);
+
         this.setupEnvironment();
+        this.setupCoordination();
+        this.setupAdaptiveTiming();
+        this.setupSignalFaults();
         this.setupProceduralAssets();
-        this.setupAmbulance(); 
+        this.setupDispatch();
+        if (Config.fcdExportEnabled) {
+            this.fcdExporter = new FCDExporter(network);
+            window.addEventListener('keydown', (event) => {
+                if (event.key === 'f' || event.key === 'F') this.fcdExporter.download();
+            });
+        }
         this.animate();
     }
 
@@ -63,107 +88,86 @@ class Simulation {
         const safeRoadSurfaceY = Config.roadSurfaceY ?? 0;
         const footpathHeight = safeRoadSurfaceY + (Config.footpathHeightOffset || 0.05);
 
-        for (let i = 0; i < Config.numJunctions; i++) {
+        const network = this.road.network;
+
+        network.junctions.forEach((junctionNode, i) => {
+            if (!junctionNode.signalized) return; // Priority-to-the-road junctions have no lights to preempt
             const junctionCenter = this.road.getJunctionCenter(i);
             if (!junctionCenter) {
                 console.warn(`Junction center for index ${i} not found.`);
-                continue;
+                return;
             }
 
-            const junctionData = {
-                id: i,
-                center: junctionCenter,
-                trafficLights: [],
-                reflectors: [],
-                reflectorChain: [], // Reflectors that have been activated in sequence
-                isAmbulanceApproaching: false, 
-                hasAmbulancePassed: false,
-                currentPhaseIndex: 0, // Start with the first phase of the cycle
-                currentPhaseTimer: (JUNCTION_CYCLE_DEFINITION[0].duration || 1000) / 1000, // Duration in seconds
-                isUnderNormalCycle: true
-            };
-            
-            const trafficLightPoleBaseY = footpathHeight; 
-            const footpathW = Config.footpathWidth || 1.5;
-
-            // Traffic Light Positions (relative to junction center)
-            // Adjusted for footpath width and to be on the correct side of the road
-            const tlPositions = [ 
-                // For traffic approaching from North (South-Bound light on SW corner)
-                { pos: new THREE.Vector3(junctionCenter.x - Config.roadWidth / 2 - footpathW/2 - 0.5 , trafficLightPoleBaseY, junctionCenter.z - Config.junctionSize / 2 - 0.5), rot: Math.PI },
-                // For traffic approaching from South (North-Bound light on NE corner)
-                { pos: new THREE.Vector3(junctionCenter.x + Config.roadWidth / 2 + footpathW/2 + 0.5, trafficLightPoleBaseY, junctionCenter.z + Config.junctionSize / 2 + 0.5), rot: 0 },
-                // For traffic approaching from East (West-Bound light on NW corner)
-                { pos: new THREE.Vector3(junctionCenter.x + Config.junctionSize / 2 + 0.5, trafficLightPoleBaseY, junctionCenter.z - Config.roadWidth / 2 - footpathW/2 - 0.5 ), rot: Math.PI / 2 },
-                // For traffic approaching from West (East-Bound light on SE corner)
-                { pos: new THREE.Vector3(junctionCenter.x - Config.junctionSize / 2 - 0.5, trafficLightPoleBaseY, junctionCenter.z + Config.roadWidth / 2 + footpathW/2 + 0.5 ), rot: -Math.PI / 2 }
-            ];
-
-            tlPositions.forEach((tp, index) => {
-                const trafficLight = new TrafficLight(tp.pos, tp.rot);
-                trafficLight.id = `J${i}_TL${index}`; // Unique ID for debugging
-                junctionData.trafficLights.push(trafficLight);
-                this.sceneSetup.add(trafficLight.group); // Add to scene via SceneSetup
-            });
-            
-            this.applyJunctionPhaseState(junctionData); // Initialize lights to current phase
-
-            // Setup reflectors for the western approach to this junction
-            const reflectorPositions = this.road.getReflectorPositions(i, 'west');
-            reflectorPositions.forEach((pos) => { 
-                const reflector = new SmartReflector(pos);
-                junctionData.reflectors.push(reflector);
-                this.sceneSetup.add(reflector.group); // Add to scene via SceneSetup
+            const plan = JunctionController.resolvePlan(this.signalPlans, junctionNode);
+            const junction = new JunctionController(i, junctionNode, network, junctionCenter, plan);
+            junction.createLights(footpathHeight).forEach(light => this.sceneSetup.add(light.group)); // Add to scene via SceneSetup
+            junction.pedestrianSignals.forEach(signal => this.sceneSetup.add(signal.group));
+
+            // Setup a reflector strip on every approach to this junction
+            this.road.getReflectorStrips(i).forEach(({ approach, positions }) => {
+                const reflectors = positions.map(pos => new SmartReflector(pos));
+                reflectors.forEach(reflector => this.sceneSetup.add(reflector.group)); // Add to scene via SceneSetup
+                junction.addReflectorStrip(approach, reflectors);
             });
-            this.junctions.push(junctionData);
-        }
+            this.junctions.push(junction);
+            this.junctionsByNodeId.set(junctionNode.id, junction);
+        });
     }
 
     getNoBuildZones() {
         const zones = [];
         const roadBuffer = 2.0; 
         const footpathTotalWidth = (Config.footpathWidth || 1.5) + 0.1 /*curb allowance*/;
-
-        // Main East-West road corridor
-        const totalRoadLengthEW = (Config.numJunctions + 1) * Config.roadLength + Config.numJunctions * Config.junctionSize;
-        const ewRoadCorridorWidth = Config.roadWidth + footpathTotalWidth * 2 + roadBuffer * 2;
-        zones.push({
-            minX: -totalRoadLengthEW / 2 - Config.roadLength * 0.8, // Extend a bit beyond main road for visual continuity
-            maxX: totalRoadLengthEW / 2 + Config.roadLength * 0.8,
-            minZ: -ewRoadCorridorWidth / 2,
-            maxZ: ewRoadCorridorWidth / 2,
-            type: 'ew_road_corridor'
+        const network = this.road.network;
+
+        // Oriented corridor along every road segment of the network
+        network.edges.forEach(edge => {
+            const from = network.getNode(edge.from);
+            const to = network.getNode(edge.to);
+            // Extend a bit beyond dead ends for visual continuity
+            const extendStart = from.type === RoadNetwork.NODE_TYPE.DEAD_END ? Config.roadLength * 0.8 : 0;
+            const extendEnd = to.type === RoadNetwork.NODE_TYPE.DEAD_END ? Config.roadLength * 0.8 : 0;
+            const center = from.position.clone()
+                .addScaledVector(edge.direction, (edge.length + extendEnd - extendStart) / 2);
+            zones.push({
+                center,
+                direction: edge.direction,
+                halfLength: (edge.length + extendStart + extendEnd) / 2,
+                halfWidth: edge.width / 2 + footpathTotalWidth + roadBuffer,
+                type: 'road_edge'
+            });
         });
 
-        // North-South road corridors at each junction
-        if (this.road && this.road.junctionCenters) {
-            this.road.junctionCenters.forEach(center => {
-                const nsRoadCorridorLength = Config.roadLength + Config.junctionSize + roadBuffer * 2; // Extent of N-S arms from junction center
-                const nsRoadCorridorWidth = Config.roadWidth + footpathTotalWidth * 2 + roadBuffer * 2;
-                
-                zones.push({
-                    minX: center.x - nsRoadCorridorWidth / 2,
-                    maxX: center.x + nsRoadCorridorWidth / 2,
-                    minZ: center.z - nsRoadCorridorLength / 2, // From south of junction
-                    maxZ: center.z + nsRoadCorridorLength / 2, // To north of junction
-                    type: 'ns_road_at_junction'
-                });
+        // Square around each junction
+        network.junctions.forEach(node => {
+            const halfSize = node.size / 2 + footpathTotalWidth + roadBuffer;
+            zones.push({
+                center: node.position,
+                direction: new THREE.Vector3(1, 0, 0),
+                halfLength: halfSize,
+                halfWidth: halfSize,
+                type: 'junction'
             });
-        }
+        });
         return zones;
     }
 
     isPositionSafeForBuilding(posX, posZ, buildingFootprintWidth, buildingFootprintDepth, noBuildZones) {
-        const buildingMinX = posX - buildingFootprintWidth / 2;
-        const buildingMaxX = posX + buildingFootprintWidth / 2;
-        const buildingMinZ = posZ - buildingFootprintDepth / 2;
-        const buildingMaxZ = posZ + buildingFootprintDepth / 2;
+        const halfW = buildingFootprintWidth / 2;
+        const halfD = buildingFootprintDepth / 2;
 
         for (const zone of noBuildZones) {
-            // Check for overlap
-            const xOverlap = Math.max(0, Math.min(buildingMaxX, zone.maxX) - Math.max(buildingMinX, zone.minX));
-            const zOverlap = Math.max(0, Math.min(buildingMaxZ, zone.maxZ) - Math.max(buildingMinZ, zone.minZ));
-            if (xOverlap > 0 && zOverlap > 0) {
+            // Separating axis test between the axis-aligned footprint and the oriented zone rectangle
+            const dx = zone.center.x - posX;
+            const dz = zone.center.z - posZ;
+            const dir = zone.direction;
+            const axes = [[1, 0], [0, 1], [dir.x, dir.z], [-dir.z, dir.x]];
+            const separated = axes.some(([ax, az]) => {
+                const buildingRadius = halfW * Math.abs(ax) + halfD * Math.abs(az);
+                const zoneRadius = zone.halfLength * Math.abs(dir.x * ax + dir.z * az) + zone.halfWidth * Math.abs(-dir.z * ax + dir.x * az);
+                return Math.abs(dx * ax + dz * az) >= buildingRadius + zoneRadius;
+            });
+            if (!separated) {
                 return false; // Overlaps with a no-build zone
             }
         }
@@ -176,17 +180,21 @@ class Simulation {
         const footpathSurfaceY = safeRoadSurfaceY + (Config.footpathHeightOffset || 0.05);
 
         // === Add Procedural Buildings ===
-        const cityBlocksX = Config.cityBlocksX || 5;
-        const cityBlocksZ = Config.cityBlocksZ || 4;
         const blockSpacing = Config.blockSpacing || 65;
         const buildingsPerBlockAttempt = Config.buildingsPerBlockAttempt || 6;
         const maxBuildingsPerBlock = Config.maxBuildingsPerBlock || 4;
         const buildingSpreadFactor = Config.buildingSpreadFactor || 0.65;
+        const networkBounds = this.road.network.getBounds();
+        // Enough blocks to cover the whole road network plus a one-block margin on each side
+        const cityBlocksX = Math.max(Config.cityBlocksX || 5, Math.ceil((networkBounds.maxX - networkBounds.minX) / blockSpacing) + 2);
+        const cityBlocksZ = Math.max(Config.cityBlocksZ || 4, Math.ceil((networkBounds.maxZ - networkBounds.minZ) / blockSpacing) + 2);
+        const cityCenterX = (networkBounds.minX + networkBounds.maxX) / 2;
+        const cityCenterZ = (networkBounds.minZ + networkBounds.maxZ) / 2;
 
         for (let bx = -Math.floor(cityBlocksX / 2); bx < Math.ceil(cityBlocksX / 2); bx++) {
             for (let bz = -Math.floor(cityBlocksZ / 2); bz < Math.ceil(cityBlocksZ / 2); bz++) {
-                const blockCenterX = bx * blockSpacing;
-                const blockCenterZ = bz * blockSpacing;
+                const blockCenterX = cityCenterX + bx * blockSpacing;
+                const blockCenterZ = cityCenterZ + bz * blockSpacing;
 
                 let buildingsInBlock = 0;
                 for (let i = 0; i < buildingsPerBlockAttempt && buildingsInBlock < maxBuildingsPerBlock; i++) {
@@ -216,46 +224,50 @@ class Simulation {
         // === Add Procedural Cars ===
         const carColors = [0xc0392b, 0x27ae60, 0x2980b9, 0xf1c40f, 0x7f8c8d, 0x34495e, 0xbe90d4, 0x1abc9c];
         const numCars = Config.numberOfCars ?? 20;
-        const roadExtentX = ((Config.numJunctions + 1) * Config.roadLength + Config.numJunctions * Config.junctionSize) / 2;
-
-        for (let i = 0; i < numCars; i++) {
-            const carTravelDir = Math.random() > 0.5 ? 1 : -1; // 1 for Eastbound, -1 for Westbound
-            const carLaneRelDir = Math.random() > 0.5 ? 1 : -1; // Which side of the road centerline
-            const carZPos = (Config.laneWidth / 2) * carLaneRelDir; // Z position based on lane
-            const carXPos = THREE.MathUtils.randFloatSpread(roadExtentX * 1.9); // Random X start
+        const numBuses = Config.numberOfBuses ?? 0; // Buses are longer cars that can ask for transit signal priority
+        const network = this.road.network;
+        const edges = [...network.edges.values()];
+
+        for (let i = 0; i < numCars + numBuses; i++) {
+            const isBus = i >= numCars;
+            const edge = this.pickRandomEdge(edges);
+            if (!edge) continue;
+            const directions = [1, -1].filter(dir => network.getLaneCount(edge, dir) > 0);
+            if (directions.length === 0) continue;
+            const travelDir = directions[Math.floor(Math.random() * directions.length)];
+            const laneIndex = Math.floor(Math.random() * network.getLaneCount(edge, travelDir));
             
-            const car = new ProceduralCar(
-                this.sceneSetup.scene,
-                new THREE.Vector3(carXPos, 0, carZPos), // Y will be adjusted in car constructor
-                carColors[Math.floor(Math.random() * carColors.length)]
-            );
-            car.lane = carLaneRelDir; 
-            car.initialZ = carZPos; 
-            car.targetZ = carZPos;
-            car.speed = THREE.MathUtils.randFloat(Config.minCarSpeed || 0.08, Config.maxCarSpeed || 0.2) * carTravelDir;
-            car.group.rotation.y = carTravelDir < 0 ? Math.PI : 0; // Face travel direction
+            const car = isBus
+                ? new ProceduralCar(this.sceneSetup.scene, new THREE.Vector3(), 0xf2b705, 8, 2.2, 2.6)
+                : new ProceduralCar(
+                    this.sceneSetup.scene,
+                    new THREE.Vector3(), // Placed on the road network below; Y is adjusted in car constructor
+                    carColors[Math.floor(Math.random() * carColors.length)]
+                );
+            car.isBus = isBus;
+            car.speed = THREE.MathUtils.randFloat(Config.minCarSpeed || 0.08, isBus ? (Config.minCarSpeed || 0.08) * 2 : (Config.maxCarSpeed || 0.2));
+            car.currentSpeed = car.speed;
+            car.id = isBus ? `bus${i - numCars}` : `car${i}`;
+            car.setRoadPosition(network, edge, travelDir, Math.random() * edge.length, laneIndex);
             this.proceduralCars.push(car);
         }
         
         // === Add Procedural Pedestrians ===
         const numPedestrians = Config.numberOfPedestrians ?? 30;
-        const actualFootpathCenterOffset = Config.roadWidth / 2 + 0.1 /*curb*/ + (Config.footpathWidth || 1.5) / 2;
+        const footpathWidth = Config.footpathWidth || 1.5;
 
         for (let i = 0; i < numPedestrians; i++) {
-            const posX = THREE.MathUtils.randFloatSpread(roadExtentX * 1.9); // Spread along road
-            const posZSign = Math.random() > 0.5 ? 1 : -1; // Which side of the road (North or South footpath)
+            const edge = this.pickRandomEdge(edges);
+            if (!edge) continue;
+            const side = Math.random() > 0.5 ? 1 : -1; // Which side of the road
+            const footpathStart = network.getNode(edge.from).size / 2;
+            const footpathEnd = edge.length - network.getNode(edge.to).size / 2;
+            if (footpathEnd <= footpathStart) continue;
             const pedHeight = THREE.MathUtils.randFloat(1.6, 1.9);
             
-            // Initial position for pedestrian (feet on footpath)
-            const pedInitialPos = new THREE.Vector3(
-                posX, 
-                footpathSurfaceY, // Feet on footpath surface
-                actualFootpathCenterOffset * posZSign + THREE.MathUtils.randFloatSpread((Config.footpathWidth || 1.5) * 0.7) // Randomly within footpath width
-            );
-            
             const ped = new ProceduralPedestrian(
                 this.sceneSetup.scene,
-                pedInitialPos,
+                new THREE.Vector3(0, footpathSurfaceY, 0), // Feet on footpath surface
                 pedHeight,
                 new THREE.Color().setHSL(Math.random(), 0.6, 0.7) // Random clothing color
             );
@@ -265,85 +277,146 @@ class Simulation {
             ped.group.position.y = ped.baseY; // Set group's Y to be its center for easier animation later
             
             ped.speed = THREE.MathUtils.randFloat(0.015, 0.035);
-            ped.direction = Math.random() > 0.5 ? 1 : -1; // Travel direction along X
-            ped.footpathZ = ped.group.position.z; // Store their Z on the footpath
-            ped.movementAxis = 'x'; // Assuming they walk along X for now
+            ped.direction = Math.random() > 0.5 ? 1 : -1; // Travel direction along the edge
+            const footpathOffset = side * (edge.width / 2 + 0.1 /*curb*/ + footpathWidth / 2 + THREE.MathUtils.randFloatSpread(footpathWidth * 0.7));
+            ped.setFootpathPosition(network, edge, THREE.MathUtils.randFloat(footpathStart, footpathEnd), footpathOffset);
             this.proceduralPedestrians.push(ped);
         }
     }
 
-    setupAmbulance() {
-        const ambulancePath = this.road.getAmbulancePath();
-        if (!ambulancePath || ambulancePath.length === 0) {
-            console.warn("Ambulance path could not be generated.");
-            return;
+    // Random edge, weighted by length so long roads get proportionally more traffic
+    pickRandomEdge(edges) {
+        const totalLength = edges.reduce((sum, e) => sum + e.length, 0);
+        let pick = Math.random() * totalLength;
+        for (const edge of edges) {
+            pick -= edge.length;
+            if (pick <= 0) return edge;
         }
-        this.ambulance = new Ambulance(this.sceneSetup.scene, this.sceneSetup.camera, ambulancePath);
+        return edges[edges.length - 1] || null;
+    }
 
-        // Initial Cinematic Camera Setup (if active)
-        if (this.cinematicCamera.active && this.ambulance && this.ambulance.path.length > 0) {
-            // Ensure ambulance has its initial orientation before getting direction
-            if (this.ambulance.path.length > 1) {
-                 this.ambulance.group.lookAt(this.ambulance.path[1].x, this.ambulance.group.position.y, this.ambulance.path[1].z);
-            }
+    setupCoordination() {
+        if (Config.coordination?.enabled) {
+            this.corridorCoordinator = new CorridorCoordinator(this.road.network, this.junctionsByNodeId);
+            this.corridorCoordinator.coordinate();
+        }
+        this.timeSpaceDiagram = new TimeSpaceDiagram(document.getElementById('timeSpaceDiagram'), this.corridorCoordinator?.corridors ?? []);
+        window.addEventListener('keydown', (event) => {
+            if (event.key === 't' || event.key === 'T') this.timeSpaceDiagram.toggle();
+        });
+    }
 
-            const ambPos = this.ambulance.getPosition();
-            const ambDir = this.ambulance.getDirection(); 
-            
-            const offset = Config.cameraFollowOffset || { x: 0, y: 3.5, z: -7 };
-            const cameraPos = new THREE.Vector3().copy(ambPos)
-                .addScaledVector(ambDir, offset.z) 
-                .add(new THREE.Vector3(0, offset.y, 0)); 
+    setupAdaptiveTiming() {
+        if ((Config.adaptiveTiming?.mode ?? 'off') === 'off') return;
+        this.signalOptimizer = new SignalOptimizer(this.junctions, this.corridorCoordinator);
+        const panel = document.getElementById('signalTimingPanel');
+        window.addEventListener('keydown', (event) => {
+            if ((event.key === 'p' || event.key === 'P') && panel) panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
+        });
+    }
 
-            this.sceneSetup.camera.position.copy(cameraPos);
-            this.cinematicCamera.targetPosition.copy(cameraPos);
-            
-            const lookAtOffset = Config.cameraLookAtOffsetAmbulance || { x: 0, y: 1.2, z: 6 };
-            const lookAtTarget = new THREE.Vector3().copy(ambPos)
-                .addScaledVector(ambDir, lookAtOffset.z) 
-                .add(new THREE.Vector3(0, lookAtOffset.y, 0)); 
-
-            this.cinematicCamera.targetLookAt.copy(lookAtTarget);
-            this.cinematicCamera.currentLookAtSmooth.copy(lookAtTarget); 
-            this.sceneSetup.camera.lookAt(lookAtTarget);
-            console.log("Initial cinematic camera setup for ambulance.");
+    updateSignalTimingPanel() {
+        const panel = document.getElementById('signalTimingPanel');
+        if (!panel || panel.style.display !== 'block') return;
+        const text = this.signalOptimizer.getStatusLines().join('\n');
+        if (panel.textContent !== text) panel.textContent = text;
+    }
+
+    setupSignalFaults() {
+        this.scheduledFaults = (Config.signalFaults ?? []).map(fault => ({ ...fault, status: 'pending' }));
+        this.scheduledFaults.filter(fault => !this.junctionsByNodeId.has(fault.junction))
+            .forEach(fault => console.warn(`Signal fault '${fault.mode}' at ${fault.junction}: no signalised junction there.`));
+        window.addEventListener('keydown', (event) => {
+            if (event.key !== 'x' && event.key !== 'X') return;
+            const junction = this.getFaultTarget();
+            if (!junction) return;
+            const modes = [null, ...JunctionController.FAULT_MODES];
+            junction.setFault(modes[(modes.indexOf(junction.fault?.mode ?? null) + 1) % modes.length]);
+        });
+    }
+
+    // Junction nearest the followed emergency unit (the first one without)
+    getFaultTarget() {
+        const position = this.ambulance?.model ? this.ambulance.getPosition() : null;
+        if (!position) return this.junctions[0] ?? null;
+        return this.junctions.reduce((nearest, junction) => !nearest ||
+            junction.center.distanceToSquared(position) < nearest.center.distanceToSquared(position) ? junction : nearest, null);
+    }
+
+    // Scheduled faults: injected at their time, cleared after their duration
+    updateSignalFaults() {
+        this.scheduledFaults.forEach(fault => {
+            const junction = this.junctionsByNodeId.get(fault.junction);
+            if (!junction || fault.status === 'done') return;
+            if (fault.status === 'pending' && this.simulationTime >= fault.at) {
+                junction.setFault(fault.mode, fault);
+                fault.status = 'active';
+            } else if (fault.status === 'active' && fault.duration != null && this.simulationTime >= fault.at + fault.duration) {
+                if (junction.fault?.mode === fault.mode) junction.setFault(null);
+                fault.status = 'done';
+            }
+        });
+    }
+
+    setupDispatch() {
+        this.dispatchCenter = new DispatchCenter(this.sceneSetup.scene, this.sceneSetup.camera, this.road);
+        this.emergencyVehicles = this.dispatchCenter.units;
+        this.preemptionArbiter = new PreemptionArbiter(this.road.network);
+        if (Config.rerouteEnabled) {
+            this.routeMonitor = new RouteMonitor(this.road.network, new Router(this.road.network));
         }
-        
-        // Activate ambulance after a delay
-        setTimeout(() => { if (this.ambulance && this.ambulance.activate) this.ambulance.activate(); }, 2000); // Start after 2 seconds
     }
 
-   updateAmbulanceLogic() {
-        if (!this.ambulance || !this.ambulance.model || !this.ambulance.path || this.ambulance.path.length === 0) return;
-        if (this.ambulance.currentPathIndex >= this.ambulance.path.length) return;
+    // Follows the unit that most recently started an emergency leg; keeps the previous one in between
+    updateFocusAmbulance() {
+        const focus = this.dispatchCenter.getFocusUnit();
+        if (!focus || focus === this.ambulance) return;
+        this.ambulance = focus;
+        const routeStatusEl = document.getElementById('routeStatus');
+        if (routeStatusEl) routeStatusEl.textContent = `${focus.id}: planned, ~${focus.route.travelTime.toFixed(0)} s through ${focus.route.junctionNodeIds.length} junctions`;
+    }
+
+    updateDispatchStatus() {
+        const statusEl = document.getElementById('dispatchStatus');
+        if (!statusEl) return;
+        const text = this.dispatchCenter.getStatusText();
+        if (statusEl.textContent !== text) statusEl.textContent = text;
+    }
+
+    updateAmbulanceLogic(ambulance) {
+        if (!ambulance || !ambulance.model || !ambulance.path || ambulance.path.length === 0) return;
+        if (ambulance.currentPathIndex >= ambulance.path.length) return;
 
-        const ambulancePos = this.ambulance.getPosition();
+        const ambulancePos = ambulance.getPosition();
         const preemptionRadius = Config.ambulancePreemptionRadius || 150; // Using the new default
+        const distanceDriven = ambulance.getDistanceAlongPath();
+        const passedJunctionThreshold = Config.junctionSize / 2 + Config.roadWidth; 
 
         this.junctions.forEach(junction => {
-            if (junction.hasAmbulancePassed) return;
+            if (ambulance.passedJunctionIds.has(junction.nodeId)) return;
 
+            // Only junctions on the ambulance's route are preempted; distances are measured along the route
+            const routeStop = ambulance.route.junctions.find(stop => stop.nodeId === junction.nodeId);
+            if (!routeStop) return;
+            const distanceAlongRoute = routeStop.distance - distanceDriven; // Negative once past the centre
             const distanceToJunctionCenter = ambulancePos.distanceTo(junction.center);
-            
-            let ambulanceMovingTowardsJunction = false;
-            if (this.ambulance.path.length > this.ambulance.currentPathIndex) {
-                const currentAmbulanceTargetX = this.ambulance.path[this.ambulance.currentPathIndex].x;
-                if ((currentAmbulanceTargetX - junction.center.x) * (ambulancePos.x - junction.center.x) <= 0) { 
-                    ambulanceMovingTowardsJunction = true;
-                } else if (Math.sign(currentAmbulanceTargetX - ambulancePos.x) === Math.sign(junction.center.x - ambulancePos.x) &&
-                           Math.abs(junction.center.x - ambulancePos.x) < Math.abs(currentAmbulanceTargetX - ambulancePos.x) ){
-                     ambulanceMovingTowardsJunction = true;
+            const ambulanceMovingTowardsJunction = distanceAlongRoute > -Config.junctionSize / 2;
+            const request = junction.preemptionRequests.get(ambulance);
+            if (request) this.updatePreemptionRequest(request, junction, routeStop, distanceAlongRoute); // Keep distance and ETA current for arbitration
+
+            // Preemption Logic: within the radius, or just in time for the ambulance's arrival (preemptionTrigger 'eta')
+            const justInTime = Config.preemptionTrigger === 'eta';
+            const timing = !request && justInTime && ambulanceMovingTowardsJunction && distanceToJunctionCenter < preemptionRadius
+                ? this.getPreemptionTiming(junction, ambulance, routeStop, distanceAlongRoute) : null;
+            const isPreemptionDue = justInTime ? timing?.isDue : distanceToJunctionCenter < preemptionRadius;
+            if (!request && ambulanceMovingTowardsJunction && isPreemptionDue) {
+                if (timing) {
+                    console.log(`Junction ${junction.id}: Ambulance ${ambulance.id} due at the stop line in ${timing.eta.toFixed(1)} s ` +
+                        `(clearance ${timing.entryTime.toFixed(1)} s + ${timing.queuedCars} queued car(s) ${timing.queueTime.toFixed(1)} s + lead ${timing.leadTime} s). Requesting TL priority.`);
+                } else {
+                    console.log(`Junction ${junction.id}: Ambulance ${ambulance.id} in preemption zone (${distanceToJunctionCenter.toFixed(1)}m). Requesting TL priority.`);
                 }
-            }
-            if (distanceToJunctionCenter < Config.junctionSize * 1.5) ambulanceMovingTowardsJunction = true;
-
-
-            // Preemption Logic based on radius
-            if (!junction.isAmbulanceApproaching && ambulanceMovingTowardsJunction && distanceToJunctionCenter < preemptionRadius) {
-                console.log(`Junction ${junction.id}: Ambulance in preemption zone (${distanceToJunctionCenter.toFixed(1)}m). Setting TL priority.`);
-                this.controlTrafficLightsForJunction(junction.id, true);
-                junction.isAmbulanceApproaching = true; // Critical: set this before generating status text
-                junction.isUnderNormalCycle = false;
+                this.requestPreemption(junction, ambulance, routeStop, distanceAlongRoute);
                 // MODIFIED UI TEXT
                 let statusText = `J${junction.id}: Preempting (Zone)`;
                 if (junction.reflectorChain.length > 0) { // Check if reflectors were already active
@@ -352,230 +425,305 @@ class Simulation {
                 if(document.getElementById('ambulanceStatus')) document.getElementById('ambulanceStatus').textContent = statusText;
             }
 
-            // Reflector Activation Logic
-            if (junction.reflectors.length > 0 && ambulanceMovingTowardsJunction) {
-                for (const reflector of junction.reflectors) {
-                    if (junction.reflectorChain.includes(reflector)) continue; 
-                    
-                    if (reflector.canDetectAmbulance(ambulancePos) || 
-                        (junction.reflectorChain.length > 0 && reflector.isAmbulanceNear(junction.reflectorChain[junction.reflectorChain.length-1].group.position))) {
-                        
-                        if (!junction.reflectorChain.includes(reflector)) {
-                            reflector.triggerSignal();
-                            junction.reflectorChain.push(reflector); // Reflector chain is now populated
-                        }
-                        
-                        if (!junction.isAmbulanceApproaching) { // Reflector detection is the FIRST trigger for this junction
-                            console.log(`Junction ${junction.id}: Ambulance detected by FIRST reflector. Setting TL priority.`);
-                            this.controlTrafficLightsForJunction(junction.id, true);
-                            junction.isAmbulanceApproaching = true; // Critical: set this before generating status text
-                            junction.isUnderNormalCycle = false;
-                            // MODIFIED UI TEXT - Reflectors are active by definition here
-                            if(document.getElementById('ambulanceStatus')) document.getElementById('ambulanceStatus').textContent = `J${junction.id}: Preempting (Reflectors Active)`;
-                        } else {
-                            // Ambulance already approaching (e.g. by radius), now reflectors also confirm for THIS junction.
-                            // Update UI if it doesn't already mention reflectors for this specific junction.
-                            const statusEl = document.getElementById('ambulanceStatus');
-                            if (statusEl) {
-                                const currentText = statusEl.textContent;
-                                // If UI is showing preemption for THIS junction by radius, and reflector status isn't there, add it.
-                                if (currentText === `J${junction.id}: Preempting (Zone)`) {
-                                    statusEl.textContent = `J${junction.id}: Preempting (Zone & Reflectors Active)`;
-                                }
-                                // If currentText already includes "Reflectors Active" or is for another junction, no change from here.
+            // Reflector Activation Logic: the strip of the reflector nearest to the siren is the leg the ambulance comes in on,
+            // as long as it has not passed the end of that strip (closer in, the strips of the other legs get as close)
+            const hearingReflector = ambulanceMovingTowardsJunction ? junction.getNearestReflector(ambulancePos) : null;
+            const strip = hearingReflector?.strip;
+            if (strip && ambulancePos.distanceTo(junction.center) > strip.reflectors[0].group.position.distanceTo(junction.center)) {
+                const lastReflector = junction.reflectorChain[junction.reflectorChain.length - 1];
+                const reflector = strip.reflectors.find(r => !junction.reflectorChain.includes(r) && (r.canDetectAmbulance(ambulancePos) ||
+                    (lastReflector?.strip === strip && r.isAmbulanceNear(lastReflector.group.position))));
+                if (reflector) {
+                    reflector.triggerSignal();
+                    junction.reflectorChain.push(reflector); // Reflector chain is now populated
+
+                    if (!junction.preemptionRequests.has(ambulance) && (!justInTime || isPreemptionDue)) { // Reflector detection is the FIRST trigger for this ambulance
+                        console.log(`Junction ${junction.id}: Ambulance ${ambulance.id} detected by FIRST reflector (${strip.approach.compass} strip). Requesting TL priority.`);
+                        this.requestPreemption(junction, ambulance, routeStop, distanceAlongRoute, strip.approach);
+                        // MODIFIED UI TEXT - Reflectors are active by definition here
+                        if(document.getElementById('ambulanceStatus')) document.getElementById('ambulanceStatus').textContent = `J${junction.id}: Preempting (Reflectors Active)`;
+                    } else {
+                        // Ambulance already approaching (e.g. by radius), now reflectors also confirm for THIS junction.
+                        // Update UI if it doesn't already mention reflectors for this specific junction.
+                        const statusEl = document.getElementById('ambulanceStatus');
+                        if (statusEl) {
+                            const currentText = statusEl.textContent;
+                            // If UI is showing preemption for THIS junction by radius, and reflector status isn't there, add it.
+                            if (currentText === `J${junction.id}: Preempting (Zone)`) {
+                                statusEl.textContent = `J${junction.id}: Preempting (Zone & Reflectors Active)`;
                             }
+                            // If currentText already includes "Reflectors Active" or is for another junction, no change from here.
                         }
-                        break; 
                     }
                 }
+                const activeRequest = junction.preemptionRequests.get(ambulance);
+                if (activeRequest && activeRequest.detectedApproach !== strip.approach) this.setDetectedApproach(activeRequest, junction, strip.approach, routeStop, distanceAlongRoute);
             }
-            
-            // Logic for when ambulance has passed a junction (UI text for "Passed" remains unchanged)
-            const ambulanceDirectionX = (this.ambulance.path.length > 1 && this.ambulance.currentPathIndex < this.ambulance.path.length -1) ? 
-                                      Math.sign(this.ambulance.path[this.ambulance.currentPathIndex+1].x - ambulancePos.x) : 
-                                      ((this.ambulance.path.length > 0 && this.ambulance.currentPathIndex < this.ambulance.path.length) ? 
-                                       Math.sign(this.ambulance.path[this.ambulance.currentPathIndex].x - ambulancePos.x) : 0);
-
-            const passedJunctionThreshold = Config.junctionSize / 2 + Config.roadWidth; 
-            if (junction.isAmbulanceApproaching) { 
-                 let hasPhysicallyPassedJunction = false;
-                 if (ambulanceDirectionX > 0 ) { 
-                    hasPhysicallyPassedJunction = ambulancePos.x > (junction.center.x + passedJunctionThreshold);
-                 } else if (ambulanceDirectionX < 0) { 
-                    hasPhysicallyPassedJunction = ambulancePos.x < (junction.center.x - passedJunctionThreshold);
-                 }
-
-                if (hasPhysicallyPassedJunction) {
-                    let targetIsPastJunction = false;
-                    const currentTargetPathPoint = this.ambulance.path[this.ambulance.currentPathIndex];
-                    if(currentTargetPathPoint){
-                        if((ambulanceDirectionX > 0) && currentTargetPathPoint.x > junction.center.x + passedJunctionThreshold) targetIsPastJunction = true;
-                        if((ambulanceDirectionX < 0) && currentTargetPathPoint.x < junction.center.x - passedJunctionThreshold) targetIsPastJunction = true;
-                        if(this.ambulance.currentPathIndex === this.ambulance.path.length -1) targetIsPastJunction = true; 
-                    } else if (this.ambulance.currentPathIndex >= this.ambulance.path.length -1) { 
-                        targetIsPastJunction = true;
-                    }
 
-                    if (targetIsPastJunction) {
-                        console.log(`Ambulance has passed Junction ${junction.id}. Releasing traffic lights.`);
-                        this.controlTrafficLightsForJunction(junction.id, false); 
-                        junction.isAmbulanceApproaching = false;
-                        junction.hasAmbulancePassed = true; 
-                        junction.reflectorChain = []; 
-                        junction.isUnderNormalCycle = true; 
-                         if(document.getElementById('ambulanceStatus')) document.getElementById('ambulanceStatus').textContent = `J${junction.id}: Passed`;
-                    }
+            // Logic for when ambulance has passed a junction (UI text for "Passed" remains unchanged)
+            if (distanceAlongRoute < -passedJunctionThreshold) {
+                if (junction.preemptionRequests.has(ambulance)) {
+                    console.log(`Ambulance ${ambulance.id} has passed Junction ${junction.id}. Withdrawing its preemption request.`);
+                    this.cancelPreemption(junction, ambulance);
+                    if(document.getElementById('ambulanceStatus')) document.getElementById('ambulanceStatus').textContent = `J${junction.id}: Passed`;
                 }
+                ambulance.passedJunctionIds.add(junction.nodeId);
             }
         });
     }
-    
-    controlTrafficLightsForJunction(junctionId, givePriorityToAmbulance) {
-        const junction = this.junctions.find(j => j.id === junctionId);
-        if (!junction) return;
-    
-        // Assuming specific traffic light order based on setupEnvironment:
-        // TL0: South-Bound (approaching from N, on SW corner, faces N)
-        // TL1: North-Bound (approaching from S, on NE corner, faces S)
-        // TL2: West-Bound  (approaching from E, on NW corner, faces E) - Main ambulance E-W path
-        // TL3: East-Bound  (approaching from W, on SE corner, faces W) - Main ambulance E-W path
-        
-        const southBoundLight = junction.trafficLights[0]; 
-        const northBoundLight = junction.trafficLights[1]; 
-        const westBoundLight = junction.trafficLights[2];  // Ambulance travels West -> East, this light controls traffic from East.
-        const eastBoundLight = junction.trafficLights[3];  // Ambulance travels West -> East, this light controls traffic from West.
-    
-        if (givePriorityToAmbulance) {
-            junction.isUnderNormalCycle = false; 
-            // For an ambulance assumed to be travelling West-to-East:
-            // East-bound traffic (controlled by TL3) should get GREEN.
-            // West-bound traffic (controlled by TL2) should also get GREEN.
-            // North-bound (TL1) and South-bound (TL0) traffic should get RED.
-             if (eastBoundLight) eastBoundLight.setPriority(true);   // Green for ambulance's path
-             if (westBoundLight) westBoundLight.setPriority(true);  // Green for ambulance's path (opposite direction)
-             if (northBoundLight) northBoundLight.setPriority(false); // Red for conflicting N-S
-             if (southBoundLight) southBoundLight.setPriority(false); // Red for conflicting N-S
-        } else { 
-            junction.trafficLights.forEach(tl => {
-                if (tl) tl.releasePriority(); // TrafficLight handles its own safe state on release
-            });
-            junction.isUnderNormalCycle = true; 
-            
-            // Reset to a safe phase (e.g., ALL_RED) before resuming normal cycle
-            let initialPhaseIndex = JUNCTION_CYCLE_DEFINITION.findIndex(p => p.phase === JUNCTION_PHASES.ALL_RED);
-            if (initialPhaseIndex === -1) initialPhaseIndex = 0; // Fallback if ALL_RED is not defined
-            
-            junction.currentPhaseIndex = initialPhaseIndex;
-            junction.currentPhaseTimer = (JUNCTION_CYCLE_DEFINITION[junction.currentPhaseIndex].duration || 1000) / 1000;
-            this.applyJunctionPhaseState(junction, true); // Apply silently
+
+    // Preemption requests: one per ambulance and junction, arbitrated in arbitrateJunction() once all units have moved
+    // detectedApproach: the approach leg whose reflector strip detected the ambulance (null = zone or ETA trigger)
+    requestPreemption(junction, ambulance, routeStop, distanceAlongRoute, detectedApproach = null) {
+        const request = {
+            vehicle: ambulance, requestedAt: this.simulationTime,
+            priorityClass: ambulance.priorityClass ?? 1, priority: ambulance.priority ?? 1,
+            detectedApproach
+        };
+        this.updatePreemptionRequest(request, junction, routeStop, distanceAlongRoute);
+        junction.preemptionRequests.set(ambulance, request);
+        return request;
+    }
+
+    // The reflectors have placed the ambulance on another leg than the request had (or the request came from the zone)
+    setDetectedApproach(request, junction, approach, routeStop, distanceAlongRoute) {
+        const previous = request.approach;
+        request.detectedApproach = approach;
+        this.updatePreemptionRequest(request, junction, routeStop, distanceAlongRoute);
+        if (previous && previous.edge !== approach.edge) {
+            console.warn(`Junction ${junction.id}: ${request.vehicle.id} detected by the ${approach.compass} reflector strip, not on the leg it was requested for; preempting for the ${approach.compass} approach.`);
         }
     }
-    
-    manageJunctionCycles(deltaTime) {
+
+    // Approach and exit edges, the approach from the reflector strip that detected the ambulance if any, otherwise from
+    // its (possibly rerouted) route; its stop line and arrival estimate
+    updatePreemptionRequest(request, junction, routeStop, distanceAlongRoute) {
+        const network = this.road.network;
+        const steps = request.vehicle.route.steps;
+        const stepIndex = steps.findIndex((step, i) => i < steps.length - 1 && network.getEndNode(step.edge, step.travelDir).id === junction.nodeId);
+        request.approach = request.detectedApproach ?? steps[stepIndex] ?? request.approach;
+        request.exit = steps[stepIndex + 1] ?? null;
+        request.stopDistance = routeStop.distance - network.getNode(junction.nodeId).size / 2 - 1; // Along the ambulance path
+        request.distance = distanceAlongRoute;
+        request.eta = request.vehicle.estimateTimeTo(request.stopDistance); // Along its speed profile, to the stop line
+        return request;
+    }
+
+    // Just-in-time preemption: the lights need the clearance intervals of the other approaches plus the time the queue
+    // on the ambulance's approach takes to discharge, plus preemptionLeadTime, before the ambulance reaches the stop line
+    getPreemptionTiming(junction, ambulance, routeStop, distanceAlongRoute) {
+        const { approach, eta } = this.updatePreemptionRequest({ vehicle: ambulance }, junction, routeStop, distanceAlongRoute);
+        if (!approach) return null;
+        const queuedCars = this.proceduralCars.filter(car => car.edge === approach.edge && car.travelDir === approach.travelDir &&
+            car.getDistanceToEndNode() < distanceAlongRoute && (car.isStoppedForLight || car.currentSpeed < car.speed * 0.3)).length;
+        const queueTime = queuedCars > 0 ? (Config.preemptionQueueStartupTime ?? 2) + queuedCars * (Config.preemptionQueueHeadway ?? 2) : 0;
+        const entryTime = junction.getPreemptionEntryTime(approach.edge);
+        const leadTime = Config.preemptionLeadTime ?? 2;
+        return { eta, entryTime, queuedCars, queueTime, leadTime, isDue: eta <= entryTime + queueTime + leadTime };
+    }
+
+    cancelPreemption(junction, ambulance) {
+        junction.preemptionRequests.delete(ambulance);
+        ambulance.clearHold(junction.nodeId);
+    }
+
+    // Requests of an ambulance that stopped (on scene, at the hospital) or switched its siren off
+    cancelPreemptionsOf(ambulance) {
         this.junctions.forEach(junction => {
-            if (junction.isUnderNormalCycle && junction.trafficLights.length > 0) {
-                junction.currentPhaseTimer -= deltaTime;
-
-                if (junction.currentPhaseTimer <= 0) {
-                    junction.currentPhaseIndex = (junction.currentPhaseIndex + 1) % JUNCTION_CYCLE_DEFINITION.length;
-                    const nextPhase = JUNCTION_CYCLE_DEFINITION[junction.currentPhaseIndex];
-                    junction.currentPhaseTimer = (nextPhase.duration || 1000) / 1000; // Reset timer for new phase
-                    this.applyJunctionPhaseState(junction);
-                }
-            }
+            if (junction.preemptionRequests.has(ambulance)) this.cancelPreemption(junction, ambulance);
         });
     }
 
-    applyJunctionPhaseState(junction, silent = false) {
-        if (!junction || !junction.trafficLights || junction.trafficLights.length < 4) {
-            console.warn(`Cannot apply phase state to junction ${junction?.id}: missing data.`);
+    // Serves the requests at a junction: green for the winner's approach (and compatible ones), losing vehicles
+    // wait at their stop line. Lights are only switched and decisions only logged when the outcome changes.
+    arbitrateJunction(junction) {
+        const requests = [...junction.preemptionRequests.values()];
+        if (requests.length === 0) {
+            if (junction.isAmbulanceApproaching) this.releaseJunction(junction);
             return;
         }
-        const currentPhaseName = JUNCTION_CYCLE_DEFINITION[junction.currentPhaseIndex].phase;
-        const LIGHT_STATE = TrafficLight.LIGHT_STATE; 
-        
-        // Helper to set light state, respects overrides unless forced
-        const setLight = (light, state) => light?.setLightState(state, false, silent); // isPriority=false, forceSilent for initial setup
-
-        // Default all to RED, then set GREEN/YELLOW as per phase
-        // Order: TL0 (S-Bound), TL1 (N-Bound), TL2 (W-Bound from E), TL3 (E-Bound from W)
-        setLight(junction.trafficLights[0], LIGHT_STATE.RED); 
-        setLight(junction.trafficLights[1], LIGHT_STATE.RED); 
-        setLight(junction.trafficLights[2], LIGHT_STATE.RED); 
-        setLight(junction.trafficLights[3], LIGHT_STATE.RED); 
-
-        switch (currentPhaseName) {
-            case JUNCTION_PHASES.EW_GREEN: // East-West Green
-                setLight(junction.trafficLights[3], LIGHT_STATE.GREEN); // E-Bound (traffic from West)
-                setLight(junction.trafficLights[2], LIGHT_STATE.GREEN); // W-Bound (traffic from East)
-                break;
-            case JUNCTION_PHASES.EW_YELLOW: // East-West Yellow
-                setLight(junction.trafficLights[3], LIGHT_STATE.YELLOW);
-                setLight(junction.trafficLights[2], LIGHT_STATE.YELLOW);
-                break;
-            case JUNCTION_PHASES.NS_GREEN: // North-South Green
-                setLight(junction.trafficLights[1], LIGHT_STATE.GREEN); // N-Bound (traffic from South)
-                setLight(junction.trafficLights[0], LIGHT_STATE.GREEN); // S-Bound (traffic from North)
-                break;
-            case JUNCTION_PHASES.NS_YELLOW: // North-South Yellow
-                setLight(junction.trafficLights[1], LIGHT_STATE.YELLOW);
-                setLight(junction.trafficLights[0], LIGHT_STATE.YELLOW);
-                break;
-            case JUNCTION_PHASES.ALL_RED:
-                // All lights already set to RED by default above
-                break;
+        const holder = junction.preemptionRequests.get(junction.preemptingVehicle) ?? null;
+        const junctionSize = this.road.network.getNode(junction.nodeId).size;
+        const decision = this.preemptionArbiter.decide(requests, holder, junctionSize);
+
+        junction.preemptingVehicle = decision.winner.vehicle;
+        const grantedKey = decision.granted.map(r => r.approach.edge.id).sort().join(',');
+        if (grantedKey !== junction.grantedApproachKey) {
+            junction.grantedApproachKey = grantedKey;
+            junction.preempt(decision.granted); // Each request is the movement (approach and exit legs) of one vehicle
         }
+        const outcomeKey = `${decision.winner.vehicle.id}>${decision.held.map(r => r.vehicle.id).join(',')}`;
+        if (decision.held.length > 0 && outcomeKey !== junction.arbitrationKey) {
+            const entry = this.preemptionArbiter.log(this.simulationTime, junction.id, decision);
+            const statusEl = document.getElementById('ambulanceStatus');
+            if (statusEl) statusEl.textContent = `J${junction.id}: ${entry.winner} has priority, ${entry.held.join(', ')} held`;
+        }
+        junction.arbitrationKey = outcomeKey;
+
+        // Granted vehicles also wait at their stop line until the clearance intervals have run and their approach is green
+        decision.granted.forEach(r => {
+            if (junction.isApproachGreen(r.approach.edge)) r.vehicle.clearHold(junction.nodeId);
+            else r.vehicle.holdAt(junction.nodeId, r.stopDistance);
+        });
+        decision.held.forEach(r => r.vehicle.holdAt(junction.nodeId, r.stopDistance));
     }
 
-    updateCarLogic(deltaTime, ambulance) {
-        const ambulanceActive = ambulance && ambulance.model && ambulance.path && ambulance.currentPathIndex < ambulance.path.length && !ambulance.isDeactivating && !ambulance.hasFadedOut;
-        let ambulancePos = null;
-        let ambulanceLaneZ = Config.ambulanceLaneOffsetZ ?? -(Config.roadWidth / 4);
-        let ambulanceIsVeryCloseAndNeedsWay = false;
+    releaseJunction(junction) {
+        junction.release();
+        junction.preemptingVehicle = null;
+        junction.grantedApproachKey = null;
+        junction.arbitrationKey = null;
+        junction.reflectorChain = [];
+    }
 
-        if (ambulanceActive) {
-            ambulancePos = ambulance.getPosition();
-            if (ambulance.path[ambulance.currentPathIndex]) {
-                 ambulanceLaneZ = ambulance.path[ambulance.currentPathIndex].z; // Get ambulance's current target lane Z
+    // Every rerouteInterval seconds, compares the rest of the ambulance's route with the fastest alternative
+    // under current queues and signal states, and switches when that saves enough time.
+    updateAmbulanceRerouting(ambulance, deltaTime) {
+        if (!this.routeMonitor || !ambulance || !ambulance.route || ambulance.isDeactivating) return;
+        ambulance.rerouteTimer -= deltaTime;
+        if (ambulance.rerouteTimer > 0) return;
+        ambulance.rerouteTimer = Config.rerouteInterval ?? 2;
+
+        // Where the ambulance is on its route: only reroute on a plain stretch of road, not inside or just before a junction
+        const network = this.road.network;
+        const route = ambulance.route;
+        const position = ambulance.getPosition();
+        const nearest = network.nearestEdgePoint(position);
+        if (!nearest || nearest.distance > nearest.edge.width / 2) return;
+        const stepIndex = route.steps.findIndex(step => step.edge === nearest.edge);
+        if (stepIndex === -1 || stepIndex === route.steps.length - 1) return;
+        const step = route.steps[stepIndex];
+        const distance = step.travelDir > 0 ? nearest.s : step.edge.length - nearest.s;
+        const endNode = network.getEndNode(step.edge, step.travelDir);
+        if (step.edge.length - distance - endNode.size / 2 < (Config.rerouteMinDistanceToJunction ?? 15)) return;
+
+        this.routeMonitor.measure(this.proceduralCars, this.junctionsByNodeId, (junction, edge) => junction.getApproachLight(edge));
+        const remainingRoute = { steps: route.steps.slice(stepIndex), startDistance: distance, endDistance: route.endDistance };
+        const decision = this.routeMonitor.evaluate(remainingRoute, { edge: step.edge, travelDir: step.travelDir, distance }, route.destination);
+        if (!decision) return;
+
+        const newRoute = decision.route;
+        newRoute.destination = route.destination;
+        if (!this.road.layoutAmbulanceRoute(newRoute)) return;
+
+        // Junctions preempted for the old route that the new one avoids go back to their normal cycle
+        this.junctions.forEach(junction => {
+            if (junction.preemptionRequests.has(ambulance) && !newRoute.junctionNodeIds.includes(junction.nodeId)) {
+                this.cancelPreemption(junction, ambulance);
             }
+        });
+        ambulance.reroute(newRoute);
+        this.rerouteCount++;
+
+        const saving = decision.currentTime - decision.alternativeTime;
+        const message = `${ambulance.id} rerouted (#${this.rerouteCount}) at ${this.simulationTime.toFixed(1)} s: ${decision.reason}; ` +
+            `~${decision.alternativeTime.toFixed(0)} s instead of ~${decision.currentTime.toFixed(0)} s (saves ${saving.toFixed(0)} s)`;
+        console.log(message);
+        const routeStatusEl = document.getElementById('routeStatus');
+        if (routeStatusEl) routeStatusEl.textContent = message;
+    }
+
+    // Transit signal priority: a bus close to its stop line asks the junction to hold a green a little longer.
+    // Unlike emergency preemption this never turns a red green; see JunctionController.extendGreenForTransit().
+    updateTransitPriority() {
+        this.junctions.forEach(junction => junction.transitRequests.clear());
+        if (!Config.transitSignalPriority) return;
+        this.proceduralCars.forEach(car => {
+            if (!car.isBus || !car.edge) return;
+            const junction = this.junctionsByNodeId.get(car.getEndNode().id);
+            if (!junction || car.getDistanceToEndNode() > (Config.tspDetectionDistance ?? 40)) return;
+            junction.transitRequests.set(car.edge, car);
+        });
+    }
+
+    manageJunctionCycles(deltaTime) {
+        this.junctions.forEach(junction => junction.updateDetectors(this.proceduralCars, deltaTime));
+        if (this.signalOptimizer) {
+            this.signalOptimizer.update(this.proceduralCars, deltaTime);
+            this.updateSignalTimingPanel();
         }
+        this.junctions.forEach(junction => junction.update(deltaTime));
+    }
+
+    updateCarLogic(deltaTime, ambulances) {
+        // Cars give way to ambulances driving with siren; each car reacts to the nearest one
+        const activeAmbulances = ambulances
+            .filter(ambulance => ambulance.model && ambulance.isEmergency && ambulance.isMoving())
+            .map(ambulance => ({
+                position: ambulance.getPosition(),
+                direction: ambulance.getDirection().setY(0).normalize(),
+                pathAhead: ambulance.sampleAhead(Config.carEvadeDistance) // Where it will drive, including round the next turn
+            }));
+        let ambulanceIsVeryCloseAndNeedsWay = false;
+        const network = this.road.network;
 
         this.proceduralCars.forEach(car => {
+            let nearestAmbulance = null;
+            activeAmbulances.forEach(a => {
+                if (!nearestAmbulance || a.position.distanceToSquared(car.group.position) < nearestAmbulance.position.distanceToSquared(car.group.position)) nearestAmbulance = a;
+            });
+            const ambulanceActive = nearestAmbulance !== null;
+            const ambulancePos = nearestAmbulance?.position ?? null;
+            const ambulanceDir = nearestAmbulance?.direction ?? null;
             let relevantJunctionData = null;
-            let relevantTrafficLight = null;
-            const carSpeedSign = Math.sign(car.speed); // Determines car's general direction (+1 East, -1 West)
-
-            // Find relevant junction and traffic light for the car
-            if (this.road && this.road.junctionCenters && this.junctions) {
-                for (const j_data of this.junctions) { 
-                    if(!j_data || !j_data.center) continue;
-                    // Distance to junction center along car's direction of travel
-                    const distToJunctionX = (j_data.center.x - car.group.position.x) * carSpeedSign;
-                    
-                    // If junction is ahead and within detection range
-                    if (distToJunctionX > -car.length && distToJunctionX < Config.carDetectionDistanceToJunction + 5) {
-                        if (j_data.trafficLights && j_data.trafficLights.length >=4){
-                            // TL3 for Eastbound (carSpeedSign > 0), TL2 for Westbound (carSpeedSign < 0)
-                            relevantTrafficLight = (carSpeedSign > 0) ? j_data.trafficLights[3] : j_data.trafficLights[2];
-                            if(relevantTrafficLight) relevantJunctionData = j_data;
-                        }
-                        break; // Car only considers one upcoming junction at a time
+            let relevantSignal = null;
+            let mustGiveWay = false;
+
+            // Relevant junction is the one at the end of the car's edge, once within detection range
+            const upcomingJunction = this.junctionsByNodeId.get(car.getEndNode().id);
+            if (upcomingJunction && car.getDistanceToEndNode() < Config.carDetectionDistanceToJunction + 5) {
+                relevantSignal = upcomingJunction.getSignalFor(car.edge, car.nextStep); // The arrow of its turn, else the main head
+                const isTurningAcross = car.nextStep && ['farSide', 'uTurn'].includes(Router.getTurnType(network, car, car.nextStep));
+                if (relevantSignal === TrafficLight.LIGHT_STATE.FLASHING_YELLOW && isTurningAcross) { // Permissive turn: go in a gap in the oncoming traffic
+                    relevantSignal = this.mustYieldForTurn(upcomingJunction, car) ? TrafficLight.LIGHT_STATE.RED : TrafficLight.LIGHT_STATE.GREEN;
+                }
+                if (relevantSignal === TrafficLight.LIGHT_STATE.FLASHING_RED || relevantSignal === TrafficLight.LIGHT_STATE.OFF) {
+                    mustGiveWay = this.mustGiveWayAtUnsignalled(upcomingJunction, car);
+                }
+                if (relevantSignal) relevantJunctionData = upcomingJunction;
+            }
+
+            // Ambulance position relative to the car: distance ahead of the ambulance and sideways from its heading
+            let carAheadOfAmbulance = 0;
+            let lateralFromAmbulance = Infinity;
+            let ambulanceOnCarRoad = false;
+            let ambulanceLateralOnCarEdge = 0;
+            if (ambulanceActive && ambulancePos) {
+                const relative = new THREE.Vector3().subVectors(car.group.position, ambulancePos).setY(0);
+                carAheadOfAmbulance = relative.dot(ambulanceDir);
+                lateralFromAmbulance = relative.addScaledVector(ambulanceDir, -carAheadOfAmbulance).length();
+
+                // Ambulance shares the car's road if it drives parallel to it within the carriageway
+                const centreLinePoint = network.getPointOnEdge(car.edge, car.travelDir, car.distanceAlongEdge);
+                ambulanceLateralOnCarEdge = new THREE.Vector3().subVectors(ambulancePos, centreLinePoint).setY(0)
+                    .dot(network.getKeepSideNormal(car.edge, car.travelDir));
+                ambulanceOnCarRoad = Math.abs(car.getDirection().dot(ambulanceDir)) > 0.7 &&
+                    Math.abs(ambulanceLateralOnCarEdge) < car.edge.width / 2 + Config.laneWidth;
+
+                // Not on the car's road yet, but its path ahead runs along the car (the car is on the road it is turning into)
+                if (!ambulanceOnCarRoad) {
+                    const onPath = nearestAmbulance.pathAhead.find(sample =>
+                        Math.abs(car.getDirection().dot(sample.tangent)) > 0.7 &&
+                        sample.point.distanceToSquared(car.group.position) < (Config.laneWidth * 1.5) ** 2);
+                    if (onPath) {
+                        ambulanceOnCarRoad = true;
+                        carAheadOfAmbulance = onPath.distance;
+                        ambulanceLateralOnCarEdge = new THREE.Vector3().subVectors(onPath.point, centreLinePoint).setY(0)
+                            .dot(network.getKeepSideNormal(car.edge, car.travelDir));
                     }
                 }
             }
-            
+
             ambulanceIsVeryCloseAndNeedsWay = false;
             if (ambulanceActive && ambulancePos) {
-                const dX = car.group.position.x - ambulancePos.x; // Positive if car is east of ambulance
-                const dZ = Math.abs(car.group.position.z - ambulancePos.z);
                 // If ambulance is very close behind or alongside the car
-                if (dX > -Config.carEvadeDistance / 2 && dX < car.length * 2 && dZ < Config.laneWidth * 1.5) {
+                if (carAheadOfAmbulance > -Config.carEvadeDistance / 2 && carAheadOfAmbulance < car.length * 2 && lateralFromAmbulance < Config.laneWidth * 1.5) {
                     ambulanceIsVeryCloseAndNeedsWay = true;
                 }
             }
 
-            if (relevantJunctionData && relevantTrafficLight) {
-                 car.checkAndHandleTrafficLight(relevantJunctionData, relevantTrafficLight, ambulanceIsVeryCloseAndNeedsWay);
+            if (relevantJunctionData && relevantSignal) {
+                 car.checkAndHandleTrafficLight(relevantJunctionData, relevantSignal, ambulanceIsVeryCloseAndNeedsWay, mustGiveWay);
             } else {
                 car.isStoppedForLight = false; // No relevant light, so not stopped for one
             }
@@ -583,12 +731,11 @@ class Simulation {
             car.update(deltaTime); 
 
             if (ambulanceActive && ambulancePos) {
-                const dX = car.group.position.x - ambulancePos.x; // Positive if car is East of ambulance
-                const carIsGenerallyAheadOrOverlap = (car.speed > 0 && dX > -car.length * 1.5) || (car.speed < 0 && dX < car.length * 1.5);
-                const inProximityXForEvasion = Math.abs(dX) < Config.carEvadeDistance;
+                const carIsGenerallyAheadOrOverlap = carAheadOfAmbulance > -car.length * 1.5;
+                const inProximityForEvasion = Math.abs(carAheadOfAmbulance) < Config.carEvadeDistance;
 
-                if (carIsGenerallyAheadOrOverlap && inProximityXForEvasion) { // If car is ahead of or overlapping with ambulance and within evasion X range
-                    if (!car.isEvading) car.startEvade(ambulanceLaneZ); // ambulanceLaneZ is target Z of ambulance path
+                if (ambulanceOnCarRoad && carIsGenerallyAheadOrOverlap && inProximityForEvasion) { // If car is ahead of or overlapping with ambulance and within evasion range
+                    if (!car.isEvading) car.startEvade(ambulanceLateralOnCarEdge); // Ambulance lateral offset on the car's road
                     // If car is evading AND stopped for light, but ambulance is very close, it might need to inch forward
                     if (car.isEvading && car.isStoppedForLight && ambulanceIsVeryCloseAndNeedsWay) {
                         car.isStoppedForLight = false; 
@@ -599,13 +746,77 @@ class Simulation {
                 }
             } else { // Ambulance not active
                 if (car.isEvading) car.stopEvade();
-                if (!car.isStoppedForLight && Math.abs(car.currentSpeed) < Math.abs(car.speed)) { // Resume normal speed if not stopped and was slow
+                if (!car.isStoppedForLight && car.currentSpeed < car.speed) { // Resume normal speed if not stopped and was slow
                     car.currentSpeed = car.speed;
                 }
             }
         });
     }
     
+    // A car turning on a flashing yellow arrow waits while an oncoming car is driving up to the junction
+    mustYieldForTurn(junction, car) {
+        const opposite = { north: 'south', south: 'north', east: 'west', west: 'east' };
+        const approach = junction.approaches.find(a => a.edge === car.edge);
+        const oncoming = approach && junction.approaches.find(a => a.compass === opposite[approach.compass]);
+        if (!oncoming) return false;
+        return this.proceduralCars.some(other => other.edge === oncoming.edge && other.travelDir === oncoming.travelDir &&
+            !other.isStoppedForLight && other.getDistanceToEndNode() < (Config.permissiveTurnGap ?? 25));
+    }
+
+    // Flashing-red or dark junction, first come first served: a car gives way to any car on another approach nearer the junction
+    mustGiveWayAtUnsignalled(junction, car) {
+        const distance = car.getDistanceToEndNode();
+        return this.proceduralCars.some(other => other !== car && other.edge !== car.edge &&
+            other.getEndNode().id === junction.nodeId && other.getDistanceToEndNode() < distance);
+    }
+
+    // Vehicle states for the FCD recording (speeds converted from units per frame to units per second)
+    getFCDVehicles() {
+        const vehicles = this.proceduralCars.map(car => ({
+            id: car.id,
+            type: car.isBus ? 'bus' : 'passenger',
+            position: car.group.position,
+            direction: car.getDirection(),
+            speed: (car.isStoppedForLight && !car.isEvading ? 0 : car.currentSpeed) * 60,
+            edge: car.edge,
+            travelDir: car.travelDir,
+            laneIndex: car.laneIndex,
+            distanceAlongEdge: car.distanceAlongEdge
+        }));
+        this.emergencyVehicles.forEach(ambulance => {
+            if (!ambulance.model || ambulance.isDeactivating) return;
+            vehicles.push({
+                id: ambulance.id,
+                type: ambulance.type,
+                position: ambulance.getPosition(),
+                direction: ambulance.getDirection(),
+                speed: ambulance.isMoving() ? ambulance.getSpeed() : 0,
+                laneIndex: Config.ambulanceLaneIndex ?? 0
+            });
+        });
+        return vehicles;
+    }
+
+    // Everything an emergency vehicle can run into, in the form EmergencyVehicle.senseObstacles() expects
+    getTrafficObstacles() {
+        const obstacles = [];
+        this.proceduralCars.forEach(car => obstacles.push({
+            object: car, kind: 'vehicle', position: car.group.position, direction: car.getDirection().setY(0).normalize(),
+            speed: (car.isStoppedForLight && !car.isEvading ? 0 : car.currentSpeed) * 60, length: car.length, width: car.carWidth
+        }));
+        this.emergencyVehicles.forEach(unit => {
+            if (!unit.model || unit.hasFadedOut) return;
+            obstacles.push({
+                object: unit, kind: 'vehicle', position: unit.getPosition(), direction: unit.getDirection().setY(0).normalize(),
+                speed: unit.getSpeed(), length: unit.size.length, width: unit.size.width
+            });
+        });
+        this.proceduralPedestrians.forEach(ped => obstacles.push({
+            object: ped, kind: 'pedestrian', position: ped.group.position, direction: null, speed: 0, length: 0.6, width: 0.6
+        }));
+        return obstacles;
+    }
+
     updatePedestrianLogic(deltaTime) {
          this.proceduralPedestrians.forEach(p => {
             p.update(deltaTime);
@@ -641,10 +852,9 @@ class Simulation {
         this.cinematicCamera.targetPosition.y += camOffset.y; // Apply Y offset directly
 
 
-        // Target look-at point
+        // Target look-at point: on the route ahead (so the camera turns into a bend before the ambulance does)
         const lookAtOffset = Config.cameraLookAtOffsetAmbulance || {x:0, y:1.3, z:5};
-        this.cinematicCamera.targetLookAt.copy(ambPos)
-            .addScaledVector(ambDir, lookAtOffset.z) 
+        this.ambulance.getPointAhead(lookAtOffset.z, this.cinematicCamera.targetLookAt)
             .add(new THREE.Vector3(0, lookAtOffset.y, 0)); // Look slightly above ambulance base, and ahead
 
         // Smoothly interpolate camera position and look-at target
@@ -656,26 +866,33 @@ class Simulation {
     animate() {
         requestAnimationFrame(this.animate.bind(this));
         const deltaTime = Math.min(this.clock.getDelta(), 0.05); // Cap delta time to prevent large jumps
-
-        if (this.ambulance) {
-            this.ambulance.update(deltaTime); 
-            if (this.ambulance.hasFadedOut) {
-                // Clean up ambulance if it has completely faded
-                if (this.ambulance.group.parent) this.sceneSetup.remove(this.ambulance.group);
-                this.ambulance = null; 
-                if(this.cinematicCamera.active && this.sceneSetup.controls) {
-                    this.sceneSetup.controls.enabled = true; // Re-enable controls
+        this.simulationTime += deltaTime;
+
+        if (this.dispatchCenter) {
+            this.dispatchCenter.update(this.simulationTime, deltaTime); // New incidents, dispatches and scene/hospital timers
+            const obstacles = this.getTrafficObstacles();
+            this.emergencyVehicles.forEach(ambulance => {
+                ambulance.senseObstacles(obstacles, deltaTime, this.road.network); // Traffic and pedestrians in its way
+                ambulance.update(deltaTime);
+                if (ambulance.isEmergency && ambulance.isMoving()) {
+                    this.updateAmbulanceLogic(ambulance); // Signal preemption only for units driving with siren
+                    this.updateAmbulanceRerouting(ambulance, deltaTime);
+                } else {
+                    this.cancelPreemptionsOf(ambulance);
                 }
-                const ambulanceStatusEl = document.getElementById('ambulanceStatus');
-                if(ambulanceStatusEl) ambulanceStatusEl.textContent = 'Departed';
-            } else {
-                this.updateAmbulanceLogic(); // Only update logic if ambulance exists and hasn't faded
-            }
+            });
+            this.junctions.forEach(junction => this.arbitrateJunction(junction));
+            this.updateFocusAmbulance();
+            this.updateDispatchStatus();
         }
         
+        this.updateTransitPriority();
+        this.updateSignalFaults();
         this.manageJunctionCycles(deltaTime); 
-        this.updateCarLogic(deltaTime, this.ambulance); // Pass ambulance for car interaction
+        this.updateCarLogic(deltaTime, this.emergencyVehicles); // Pass ambulances for car interaction
         this.updatePedestrianLogic(deltaTime);
+        if (this.fcdExporter) this.fcdExporter.record(this.simulationTime, this.getFCDVehicles());
+        if (this.timeSpaceDiagram) this.timeSpaceDiagram.update(this.simulationTime, () => this.getFCDVehicles());
 
         // Update cinematic camera if active and ambulance is present
         if (this.cinematicCamera.active && this.ambulance && !this.ambulance.hasFadedOut) {